@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * simulate.js - Headless batch run of the particle simulation
+ *
+ * Runs the same core the browser worker uses (simulation.js) in plain Node,
+ * against the GeoTIFF heightmap, and writes per-county and per-grid-cell
+ * concentration time series.
+ *
+ * USAGE:
+ *   npm run simulate -- --hours 24 --wind-dir 270 --wind-speed 5 --seed 42
+ *   npm run simulate -- --stations data/spare-the-air.csv --start-hour 0
+ *   npm run simulate -- --inventory data/district-facilities.geojson
+ *   node scripts/simulate.js --help
+ *
+ * WIND:
+ * --wind-dir / --wind-speed drive the parameterised wind; --wind-dir is the
+ * direction the wind blows from, as stations report it. With --stations,
+ * hourly station observations (see windfield.js for the format) are gridded
+ * into a wind field that replaces it, replayed against the simulation clock.
+ *
+ * EMISSIONS:
+ * The built-in emitter network (registry.js) unless --inventory names a
+ * GeoJSON / CSV inventory in tons/year (see inventory.js for the format).
+ *
+ * REGIONS:
+ * Counties are the census lines bundled in public/bay-area-regions.geojson
+ * unless --regions names another GeoJSON / TopoJSON boundary file (see
+ * boundaries.js for the format).
+ * Exposure weights by 2020 Census county totals unless --population names a
+ * population grid or point file (see exposure.js).
+ *
+ * RECEPTORS:
+ * Alerts are raised at the built-in schools, hospitals and senior centres
+ * (registry.js RECEPTORS) unless --receptors names a GeoJSON / CSV receptor
+ * file (see inventory.js). Receptors are sampled every step; --alert-level
+ * scales the default thresholds (alerts.js ALERT_CONFIG).
+ *
+ * TIME:
+ * The simulation clock runs like the browser's auto-time mode, at the rate
+ * the physics implies (simulation.js SIM_HOURS_PER_SECOND, fixed 60 Hz
+ * steps): a 24 h scenario is 86.4 s of particle physics.
+ * --day sets the starting day of week and --month the month, which select
+ * highway traffic profiles and point-source activity cycles (registry.js
+ * TEMPORAL_PROFILES). The day rolls over at midnight; the month is fixed.
+ *
+ * OUTPUT (in --out):
+ * - counties.csv   hour,region,pollutant,particles,mass,mixed_ugm3,aqi
+ * - grid.csv       hour,pollutant,ix,iy,iz,x,y,z,particles,mass,ugm3  (occupied cells only)
+ * mass is kg airborne (whole column for counties); mixed_ugm3 averages the
+ * air below the mixing lid over the county, ugm3 the grid cell. aqi is the
+ * pollutant's US EPA index (aqi.js; blank for pollutants without one).
+ * - exposure.csv   region,name,hours,population,<pollutant>_exposure_ugm3,<endpoint>...
+ *   population-weighted ground-level exposure at the end of the run and
+ *   excess cases over the whole run (exposure.js HEALTH_ENDPOINTS), each
+ *   output interval counted at its sampled concentrations
+ * - alerts.csv     receptor,name,type,pollutant,threshold_ugm3,start_hour,end_hour,peak_ugm3,peak_hour,top_sources
+ *   sustained threshold exceedances at the receptors, hours from the start
+ * - simulation.json  everything above plus run settings and each county's
+ *   overall AQI and the final receptor readings (with --format json)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { MAP_BOUNDS, decodeHeightmap, setHeightmap, getTerrainHeight } from '../src/heightmap.js';
+import { initPolluters } from '../src/polluters.js';
+import { initTraffic, setWindField, getMixingHeight } from '../src/traffic.js';
+import { parseStationObservations, buildWindField } from '../src/windfield.js';
+import { parseInventory, parseReceptors } from '../src/inventory.js';
+import { parseRegionBoundaries } from '../src/boundaries.js';
+import { parsePopulation, setPopulation, getBuiltInPopulationSummary, updateExposure, getExposureReport, exposureReportToCSV } from '../src/exposure.js';
+import { ALERT_CONFIG, updateReceptors, getReceptorAlerts, getReceptorReadings, alertsToCSV } from '../src/alerts.js';
+import { setInventory, setReceptors } from '../src/registry.js';
+import {
+  GRID_CONFIG,
+  GRID_DIMS,
+  CELL_VOLUME_M3,
+  PARTICLE_CONFIG,
+  SIM_HOURS_PER_SECOND,
+  worldToCellIndex,
+  cellIndexToWorld,
+  toConcentration,
+  initSimulation,
+  stepSimulation,
+  getParticlePools,
+  getGrids,
+  getSources,
+  getMassBudgets,
+  getSeed
+} from '../src/simulation.js';
+import { REGIONS, setRegions, getRegionAt, getMixingTop, getMixingVolume } from '../src/regions.js';
+import { concentrationToAQI, computeAQI } from '../src/aqi.js';
+import { setQuiet, log, warn } from '../src/log.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_REGIONS = 'public/bay-area-regions.geojson';
+
+const FIXED_DT = 1 / 60;    // Same fixed step as the browser TimeManager
+
+// CLI options -> defaults (mirror the browser's initial settings)
+const OPTIONS = {
+  'wind-dir':         { type: 'string', default: '240',  help: 'Wind direction, degrees the wind blows from (0 = N, 90 = E)' },
+  'wind-speed':       { type: 'string', default: '4',    help: 'Wind speed, m/s' },
+  'turbulence':       { type: 'string', default: '0.3',  help: 'Turbulent mixing strength, 0-1' },
+  'inversion':        { type: 'string', default: '0.5',  help: 'Inversion lid strength, 0-1' },
+  'emission-rate':    { type: 'string', default: '1',    help: 'Emission multiplier (1 = inventory rates)' },
+  'start-hour':       { type: 'string', default: '0',    help: 'Time of day at the start, 0-24' },
+  'day':              { type: 'string', default: '2',    help: 'Day of week at the start, 0 = Sunday' },
+  'month':            { type: 'string', default: '6',    help: 'Month, 0 = January' },
+  'hours':            { type: 'string', default: '24',   help: 'Scenario length, sim-clock hours' },
+  'interval':         { type: 'string', default: '1',    help: 'Output interval, sim-clock hours' },
+  'stations':         { type: 'string',                  help: 'Station observation file (JSON/CSV); replaces --wind-dir/--wind-speed' },
+  'inventory':        { type: 'string',                  help: 'Emission inventory (GeoJSON/CSV, tons/yr); replaces the built-in emitters' },
+  'regions':          { type: 'string',                  help: 'County / water boundaries (GeoJSON/TopoJSON); replaces the bundled census lines' },
+  'population':       { type: 'string',                  help: 'Population grid (.asc) or points (CSV); replaces the county estimate' },
+  'receptors':        { type: 'string',                  help: 'Sensitive receptors (GeoJSON/CSV); replaces the built-in schools and hospitals' },
+  'alert-level':      { type: 'string', default: '1',    help: 'Receptor alert thresholds as a share of the air quality standards' },
+  'seed':             { type: 'string',                  help: 'Random seed (default: fresh; the seed used is printed)' },
+  'heightmap':        { type: 'string', default: 'public/baymerge.tif', help: 'GeoTIFF heightmap' },
+  'out':              { type: 'string', default: 'sim-output', help: 'Output directory' },
+  'format':           { type: 'string', default: 'csv',  help: 'csv or json' },
+  'quiet':            { type: 'boolean', default: false, help: 'Only print errors' },
+  'help':             { type: 'boolean', default: false, help: 'Show this help' },
+};
+
+// ============================================
+// Main
+// ============================================
+
+async function main() {
+  const { values } = parseArgs({ options: OPTIONS, strict: true });
+  
+  if (values.help) {
+    printHelp();
+    return;
+  }
+  
+  const run = {
+    windDirection: toNumber(values, 'wind-dir'),
+    windSpeed: toNumber(values, 'wind-speed'),
+    turbulence: toNumber(values, 'turbulence'),
+    inversionStrength: toNumber(values, 'inversion'),
+    emissionRate: toNumber(values, 'emission-rate'),
+    startHour: toNumber(values, 'start-hour'),
+    startDay: toNumber(values, 'day'),
+    month: toNumber(values, 'month'),
+    hours: toNumber(values, 'hours'),
+    interval: toNumber(values, 'interval'),
+    seed: values.seed !== undefined ? toNumber(values, 'seed') : null,
+    stations: values.stations ?? null,
+    inventory: values.inventory ?? null,
+    regions: values.regions ?? null,
+    population: values.population ?? null,
+    receptors: values.receptors ?? null,
+    alertLevel: toNumber(values, 'alert-level'),
+    format: values.format
+  };
+  
+  if (run.format !== 'csv' && run.format !== 'json') {
+    throw new Error(`--format must be csv or json (got "${run.format}")`);
+  }
+  if (run.alertLevel <= 0) {
+    throw new Error(`--alert-level must be positive (got "${values['alert-level']}")`);
+  }
+  if (run.hours <= 0 || run.interval <= 0) {
+    throw new Error('--hours and --interval must be positive');
+  }
+  if (!Number.isInteger(run.startDay) || run.startDay < 0 || run.startDay > 6) {
+    throw new Error(`--day must be 0-6, 0 = Sunday (got "${values.day}")`);
+  }
+  if (!Number.isInteger(run.month) || run.month < 0 || run.month > 11) {
+    throw new Error(`--month must be 0-11, 0 = January (got "${values.month}")`);
+  }
+  
+  // Core modules and the progress lines below report through log.js
+  setQuiet(values.quiet);
+  
+  // Terrain
+  const tiff = await readFile(path.resolve(ROOT, values.heightmap));
+  const arrayBuffer = tiff.buffer.slice(tiff.byteOffset, tiff.byteOffset + tiff.byteLength);
+  setHeightmap(await decodeHeightmap(arrayBuffer));
+  
+  // Core modules (same wiring as sim.worker.js)
+  const mapData = { bounds: MAP_BOUNDS, getTerrainHeight };
+  initTraffic(mapData);
+  if (run.stations) {
+    const stations = parseStationObservations(await readFile(path.resolve(process.cwd(), run.stations), 'utf8'));
+    setWindField(buildWindField(stations, getTerrainHeight));
+  }
+  const regionsPath = run.regions ? path.resolve(process.cwd(), run.regions) : path.resolve(ROOT, DEFAULT_REGIONS);
+  setRegions(parseRegionBoundaries(await readFile(regionsPath, 'utf8')).regions);
+  if (run.population) {
+    setPopulation(parsePopulation(await readFile(path.resolve(process.cwd(), run.population), 'utf8')));
+  } else if (getBuiltInPopulationSummary().counties === 0) {
+    warn('⚠️ No county names in the boundary file match the 2020 Census table; exposure population is zero');
+  }
+  if (run.receptors) {
+    setReceptors(parseReceptors(await readFile(path.resolve(process.cwd(), run.receptors), 'utf8')).receptors);
+  }
+  if (run.inventory) {
+    setInventory(parseInventory(await readFile(path.resolve(process.cwd(), run.inventory), 'utf8')));
+  }
+  initSimulation(mapData, initPolluters(mapData), run.seed ?? undefined);
+  run.seed = getSeed();
+  
+  const settings = {
+    windDirection: run.windDirection,
+    windSpeed: run.windSpeed,
+    turbulence: run.turbulence,
+    inversionStrength: run.inversionStrength,
+    emissionRate: run.emissionRate,
+    timeOfDay: run.startHour,
+    dayOfWeek: run.startDay,
+    month: run.month
+  };
+  
+  // Step through the scenario, sampling every interval
+  const stepHours = FIXED_DT * SIM_HOURS_PER_SECOND;
+  const totalSteps = Math.round(run.hours / stepHours);
+  const stepsPerSample = Math.max(1, Math.round(run.interval / stepHours));
+  const frames = [];
+  
+  log(`Simulating ${run.hours} h (${totalSteps} steps, seed ${run.seed}), sampling every ${run.interval} h...`);
+  
+  const started = Date.now();
+  for (let step = 1; step <= totalSteps; step++) {
+    // Advance the clock, then step (same order as the browser's auto-time)
+    settings.timeOfDay += stepHours;
+    if (settings.timeOfDay >= 24) {
+      settings.timeOfDay -= 24;
+      settings.dayOfWeek = (settings.dayOfWeek + 1) % 7;
+    }
+    
+    stepSimulation(FIXED_DT, settings);
+    updateReceptors(sampleGroundConcentration, stepHours, {
+      level: run.alertLevel,
+      attribute: sourcesNear
+    });
+    
+    if (step % stepsPerSample === 0 || step === totalSteps) {
+      const hour = step * stepHours;
+      frames.push(sampleFrame(hour, settings));
+      // Health impacts: the sampled concentrations stand for the interval
+      updateExposure(sampleGroundConcentration, hour - (frames.length > 1 ? frames[frames.length - 2].hour : 0));
+      log(`  ${hour.toFixed(2)} h  (${settings.timeOfDay.toFixed(2)} o'clock)  ${countParticles()} particles`);
+    }
+  }
+  
+  // Write results
+  const outDir = path.resolve(process.cwd(), values.out);
+  await mkdir(outDir, { recursive: true });
+  
+  if (run.format === 'csv') {
+    await writeFile(path.join(outDir, 'counties.csv'), countiesToCSV(frames));
+    await writeFile(path.join(outDir, 'grid.csv'), gridToCSV(frames));
+    await writeFile(path.join(outDir, 'exposure.csv'), exposureReportToCSV(getExposureReport()));
+    await writeFile(path.join(outDir, 'alerts.csv'), alertsToCSV(getReceptorAlerts()));
+  } else {
+    const result = {
+      run,
+      grid: { ...GRID_CONFIG, dims: GRID_DIMS, cellVolumeM3: CELL_VOLUME_M3 },
+      particleMassKg: PARTICLE_CONFIG.particleMass,
+      regions: Object.fromEntries(Object.entries(REGIONS).map(([id, r]) => [id, { name: r.name, type: r.type }])),
+      budgets: getMassBudgets(),
+      exposure: getExposureReport(),
+      alerts: getReceptorAlerts().alerts,
+      receptors: getReceptorReadings(),
+      frames
+    };
+    await writeFile(path.join(outDir, 'simulation.json'), JSON.stringify(result));
+  }
+  
+  const { alerts } = getReceptorAlerts();
+  if (alerts.length > 0) log(`${alerts.length} receptor alert(s)`);
+  log(`Done in ${((Date.now() - started) / 1000).toFixed(1)} s -> ${outDir}`);
+}
+
+// ============================================
+// Sampling
+// ============================================
+
+/**
+ * Snapshot county totals and occupied grid cells at one output time
+ */
+function sampleFrame(hour, settings) {
+  const lid = getMixingHeight(settings);
+  const counties = {};
+  const airQuality = {};
+  const cells = {};
+  
+  Object.entries(getParticlePools()).forEach(([pollutantId, pool]) => {
+    for (let k = 0; k < pool.count; k++) {
+      const i = pool.live[k];
+      const regionId = getRegionAt(pool.x[i], pool.z[i]);
+      if (!regionId) continue;
+      
+      const region = counties[regionId] || (counties[regionId] = {});
+      const entry = region[pollutantId] || (region[pollutantId] = { particles: 0, mass: 0, mixedMass: 0 });
+      entry.particles++;
+      entry.mass += pool.mass[i];
+      if (pool.y[i] <= getMixingTop(getTerrainHeight(pool.x[i], pool.z[i]), lid)) {
+        entry.mixedMass += pool.mass[i];
+      }
+    }
+  });
+  
+  Object.entries(counties).forEach(([regionId, region]) => {
+    const volume = getMixingVolume(regionId, lid);
+    const concentrations = {};
+    Object.entries(region).forEach(([pollutantId, entry]) => {
+      entry.mixed = volume > 0 ? toConcentration(entry.mixedMass, volume) : 0;
+      entry.aqi = concentrationToAQI(pollutantId, entry.mixed);
+      concentrations[pollutantId] = entry.mixed;
+    });
+    const { aqi, dominant, category } = computeAQI(concentrations);
+    airQuality[regionId] = { aqi, dominant, category: category.name };
+  });
+  
+  Object.entries(getGrids()).forEach(([pollutantId, grid]) => {
+    const list = [];
+    for (let k = 0; k < grid.occupiedCount; k++) {
+      const cell = grid.occupied[k];
+      list.push({ cell, particles: grid.count[cell], mass: grid.mass[cell], concentration: toConcentration(grid.mass[cell]) });
+    }
+    list.sort((a, b) => a.cell - b.cell);
+    cells[pollutantId] = list;
+  });
+  
+  return { hour, timeOfDay: settings.timeOfDay, counties, airQuality, cells };
+}
+
+/**
+ * Concentration in the grid cell at the ground under (x, z), µg/m³
+ */
+function sampleGroundConcentration(pollutantId, x, z) {
+  const cell = worldToCellIndex(x, getTerrainHeight(x, z), z);
+  return cell < 0 ? 0 : toConcentration(getGrids()[pollutantId].mass[cell]);
+}
+
+/**
+ * Airborne mass within ALERT_CONFIG.sourceRadius of (x, z) by emitter,
+ * largest first (the CLI's getSourceContributions)
+ */
+function sourcesNear(x, z, pollutantId) {
+  const pool = getParticlePools()[pollutantId];
+  const sources = getSources();
+  const radiusSq = ALERT_CONFIG.sourceRadius * ALERT_CONFIG.sourceRadius;
+  const bySource = new Map();
+  let total = 0;
+  
+  for (let k = 0; k < pool.count; k++) {
+    const i = pool.live[k];
+    const dx = pool.x[i] - x;
+    const dz = pool.z[i] - z;
+    if (dx * dx + dz * dz > radiusSq) continue;
+    bySource.set(pool.source[i], (bySource.get(pool.source[i]) || 0) + pool.mass[i]);
+    total += pool.mass[i];
+  }
+  
+  return Array.from(bySource, ([index, mass]) => ({
+    id: sources[index]?.id ?? 'unknown',
+    name: sources[index]?.name ?? 'unknown',
+    fraction: total > 0 ? mass / total : 0
+  })).sort((a, b) => b.fraction - a.fraction);
+}
+
+function countParticles() {
+  return Object.values(getParticlePools()).reduce((sum, pool) => sum + pool.count, 0);
+}
+
+// ============================================
+// Output Formatting
+// ============================================
+
+function countiesToCSV(frames) {
+  const rows = ['hour,region,pollutant,particles,mass,mixed_ugm3,aqi'];
+  frames.forEach(frame => {
+    Object.keys(REGIONS).forEach(regionId => {
+      const region = frame.counties[regionId] || {};
+      Object.keys(getParticlePools()).forEach(pollutantId => {
+        const entry = region[pollutantId] || { particles: 0, mass: 0, mixed: 0, aqi: concentrationToAQI(pollutantId, 0) };
+        rows.push(`${frame.hour.toFixed(3)},${regionId},${pollutantId},${entry.particles},` +
+                  `${entry.mass.toFixed(2)},${entry.mixed.toFixed(3)},${entry.aqi ?? ''}`);
+      });
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+function gridToCSV(frames) {
+  const rows = ['hour,pollutant,ix,iy,iz,x,y,z,particles,mass,ugm3'];
+  frames.forEach(frame => {
+    Object.entries(frame.cells).forEach(([pollutantId, list]) => {
+      list.forEach(({ cell, particles, mass, concentration }) => {
+        const c = cellIndexToWorld(cell, {});
+        rows.push(`${frame.hour.toFixed(3)},${pollutantId},${c.cellX},${c.cellY},${c.cellZ},` +
+                  `${c.x.toFixed(2)},${c.y.toFixed(2)},${c.z.toFixed(2)},${particles},` +
+                  `${mass.toFixed(2)},${concentration.toFixed(3)}`);
+      });
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function toNumber(values, name) {
+  const value = Number(values[name]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`--${name} must be a number (got "${values[name]}")`);
+  }
+  return value;
+}
+
+function printHelp() {
+  console.log('Usage: node scripts/simulate.js [options]\n');
+  Object.entries(OPTIONS).forEach(([name, option]) => {
+    const flag = option.type === 'boolean' ? `--${name}` : `--${name} <value>`;
+    const fallback = option.default !== undefined && option.type !== 'boolean' ? ` (default ${option.default})` : '';
+    console.log(`  ${flag.padEnd(28)} ${option.help}${fallback}`);
+  });
+}
+
+main().catch(error => {
+  console.error(`simulate: ${error.message}`);
+  process.exit(1);
+});
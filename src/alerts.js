@@ -0,0 +1,220 @@
+/**
+ * alerts.js - Threshold alerts at sensitive receptors
+ *
+ * Samples ground-level concentration at every receptor in registry.js
+ * RECEPTORS and raises an alert when a pollutant stays above its threshold
+ * for a sustained period. Each alert keeps its peak and the sources that
+ * contributed most at that peak. No THREE or DOM dependencies: the browser
+ * feeds it from the orchestrator's snapshot, the headless CLI from the core
+ * grids.
+ *
+ * Default thresholds are the US NAAQS levels (24-hour PM2.5, 8-hour O3,
+ * 1-hour NO2) applied to instantaneous modelled concentrations, with all
+ * NOx counted as NO2. The model has no background, so these are the
+ * increments from the simulated sources alone.
+ */
+
+import { RECEPTORS, geoToWorld } from './registry.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+export const ALERT_CONFIG = {
+  thresholds: {
+    PM25: 35,     // µg/m³ (NAAQS 24-hour)
+    OZONE: 137,   // µg/m³ (70 ppb, NAAQS 8-hour)
+    NOX: 188      // µg/m³ (100 ppb NO2, NAAQS 1-hour)
+  },
+  sustainHours: 1,     // Scenario hours above threshold before an alert is raised
+  topSources: 3,       // Contributors kept per alert
+  sourceRadius: 2.5,   // World units (~2.5 km) around a receptor for apportionment
+  maxAlerts: 50        // Ended alerts beyond this are dropped, oldest first
+};
+
+// ============================================
+// State
+// ============================================
+
+let scenarioHours = 0;
+let readings = {};    // receptorId -> pollutantId -> { concentration, threshold, aboveHours, alert }
+let alerts = [];      // Newest first
+
+// ============================================
+// Monitoring
+// ============================================
+
+/**
+ * Clear readings and alerts (new scenario or new receptor set)
+ */
+export function resetReceptorAlerts() {
+  scenarioHours = 0;
+  readings = {};
+  alerts = [];
+}
+
+/**
+ * Threshold in force for a receptor and pollutant
+ * @param {Object} receptor - Entry of RECEPTORS
+ * @param {string} pollutantId
+ * @param {number} [level=1] - Multiplier on the default thresholds
+ * @returns {number|undefined} µg/m³, undefined if the pollutant is not monitored
+ */
+export function getReceptorThreshold(receptor, pollutantId, level = 1) {
+  const own = receptor.thresholds?.[pollutantId];
+  if (own !== undefined) return own;
+  const standard = ALERT_CONFIG.thresholds[pollutantId];
+  return standard === undefined ? undefined : standard * level;
+}
+
+/**
+ * Sample every receptor and advance the alerts by `hours` of scenario time.
+ *
+ * @param {Function} sample - (pollutantId, x, z) => ground-level µg/m³
+ * @param {number} hours - Scenario time since the last update
+ * @param {Object} [options]
+ * @param {Function} [options.attribute] - (x, z, pollutantId) => contributions
+ *   sorted by mass ({ name, fraction }, e.g. orchestrator
+ *   getSourceContributions().bySource), called when an alert sets a new peak
+ * @param {number} [options.level=1] - Multiplier on the default thresholds
+ *   (receptor-specific thresholds are used as given)
+ */
+export function updateReceptors(sample, hours, options = {}) {
+  const { attribute = null, level = 1 } = options;
+  const step = Math.max(0, hours);
+  scenarioHours += step;
+  
+  RECEPTORS.forEach(receptor => {
+    const { x, z } = geoToWorld(receptor.coords.lon, receptor.coords.lat);
+    const receptorReadings = readings[receptor.id] || (readings[receptor.id] = {});
+    
+    const pollutantIds = new Set([
+      ...Object.keys(ALERT_CONFIG.thresholds),
+      ...Object.keys(receptor.thresholds || {})
+    ]);
+    pollutantIds.forEach(pollutantId => {
+      const threshold = getReceptorThreshold(receptor, pollutantId, level);
+      const concentration = sample(pollutantId, x, z);
+      const reading = receptorReadings[pollutantId] || (receptorReadings[pollutantId] = {
+        concentration: 0, threshold, aboveHours: 0, runPeak: 0, alert: null
+      });
+      reading.concentration = concentration;
+      reading.threshold = threshold;
+      
+      if (!(concentration >= threshold)) {
+        reading.aboveHours = 0;
+        reading.runPeak = 0;
+        if (reading.alert) {
+          reading.alert.endHour = scenarioHours;
+          reading.alert = null;
+        }
+        return;
+      }
+      
+      reading.aboveHours += step;
+      const newPeak = concentration > reading.runPeak;
+      reading.runPeak = Math.max(reading.runPeak, concentration);
+      
+      if (!reading.alert && reading.aboveHours >= ALERT_CONFIG.sustainHours) {
+        reading.alert = {
+          receptorId: receptor.id,
+          name: receptor.name,
+          type: receptor.type,
+          pollutant: pollutantId,
+          threshold,
+          startHour: scenarioHours - reading.aboveHours,
+          endHour: null,
+          peak: 0,
+          peakHour: scenarioHours,
+          sources: []
+        };
+        alerts.unshift(reading.alert);
+        trimAlerts();
+      }
+      
+      const alert = reading.alert;
+      if (alert && (newPeak || alert.peak === 0)) {
+        alert.peak = reading.runPeak;
+        alert.peakHour = scenarioHours;
+        if (attribute) {
+          alert.sources = attribute(x, z, pollutantId)
+            .slice(0, ALERT_CONFIG.topSources)
+            .map(({ id, name, fraction }) => ({ id, name, fraction }));
+        }
+      }
+    });
+  });
+}
+
+function trimAlerts() {
+  while (alerts.length > ALERT_CONFIG.maxAlerts) {
+    const index = alerts.findLastIndex(alert => alert.endHour !== null);
+    if (index < 0) break;
+    alerts.splice(index, 1);
+  }
+}
+
+// ============================================
+// Queries
+// ============================================
+
+/**
+ * Alerts of the scenario, newest first
+ * @returns {{hours: number, alerts: Array}} hours is the scenario time so far;
+ *   each alert is { receptorId, name, type, pollutant, threshold, startHour,
+ *   endHour (null while active), peak (µg/m³), peakHour, sources: [{ id,
+ *   name, fraction }] }, hours counted from the start of the scenario
+ */
+export function getReceptorAlerts() {
+  return { hours: scenarioHours, alerts };
+}
+
+/**
+ * Ids of receptors with an alert in progress
+ * @returns {Set<string>}
+ */
+export function getAlertingReceptors() {
+  return new Set(alerts.filter(alert => alert.endHour === null).map(alert => alert.receptorId));
+}
+
+/**
+ * Latest concentration at each receptor
+ * @returns {Object} receptorId -> pollutantId -> { concentration, threshold }
+ */
+export function getReceptorReadings() {
+  const result = {};
+  Object.entries(readings).forEach(([receptorId, byPollutant]) => {
+    result[receptorId] = {};
+    Object.entries(byPollutant).forEach(([pollutantId, { concentration, threshold }]) => {
+      result[receptorId][pollutantId] = { concentration, threshold };
+    });
+  });
+  return result;
+}
+
+/**
+ * Alerts as CSV (one row per alert, oldest first)
+ * @param {{alerts: Array}} report - From getReceptorAlerts()
+ * @returns {string}
+ */
+export function alertsToCSV(report) {
+  const rows = ['receptor,name,type,pollutant,threshold_ugm3,start_hour,end_hour,peak_ugm3,peak_hour,top_sources'];
+  [...report.alerts].reverse().forEach(alert => {
+    const sources = alert.sources
+      .map(source => `${source.id} ${(source.fraction * 100).toFixed(1)}%`)
+      .join('; ');
+    rows.push([
+      alert.receptorId,
+      `"${alert.name.replace(/"/g, '""')}"`,
+      alert.type,
+      alert.pollutant,
+      alert.threshold.toFixed(1),
+      alert.startHour.toFixed(2),
+      alert.endHour === null ? '' : alert.endHour.toFixed(2),
+      alert.peak.toFixed(2),
+      alert.peakHour.toFixed(2),
+      `"${sources}"`
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
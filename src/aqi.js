@@ -0,0 +1,154 @@
+/**
+ * aqi.js - US EPA Air Quality Index from modelled concentrations
+ *
+ * Piecewise-linear AQI with the EPA breakpoint tables (PM2.5 as revised in
+ * 2024, 8-hour O3). No THREE or DOM dependencies: county.js colours regions
+ * by it, the HUD lists it and the headless CLI reports it.
+ *
+ * The model gives instantaneous concentrations, which are used directly in
+ * place of the 24-hour (PM2.5) and 8-hour (O3) averages the official index
+ * is defined on.
+ */
+
+// ============================================
+// Configuration
+// ============================================
+
+/**
+ * The six AQI categories with the EPA colours.
+ */
+export const AQI_CATEGORIES = [
+  { max: 50,       name: 'Good',                           color: 0x00e400 },
+  { max: 100,      name: 'Moderate',                       color: 0xffff00 },
+  { max: 150,      name: 'Unhealthy for Sensitive Groups', color: 0xff7e00 },
+  { max: 200,      name: 'Unhealthy',                      color: 0xff0000 },
+  { max: 300,      name: 'Very Unhealthy',                 color: 0x8f3f97 },
+  { max: Infinity, name: 'Hazardous',                      color: 0x7e0023 }
+];
+
+/**
+ * Breakpoints per pollutant: [concLow, concHigh, aqiLow, aqiHigh].
+ * units: concentration unit the table is written in; toUnits converts
+ * from µg/m³, fromUnits back.
+ * truncate: decimal places the concentration is truncated to first.
+ */
+export const AQI_BREAKPOINTS = {
+  PM25: {
+    units: 'µg/m³',
+    toUnits: (ugm3) => ugm3,
+    fromUnits: (ugm3) => ugm3,
+    truncate: 1,
+    table: [
+      [0.0, 9.0, 0, 50],
+      [9.1, 35.4, 51, 100],
+      [35.5, 55.4, 101, 150],
+      [55.5, 125.4, 151, 200],
+      [125.5, 225.4, 201, 300],
+      [225.5, 325.4, 301, 500]
+    ]
+  },
+  OZONE: {
+    units: 'ppb',
+    toUnits: ozoneToPPB,
+    fromUnits: (ppb) => ppb * 48.00 / 24.45,
+    truncate: 0,
+    table: [
+      [0, 54, 0, 50],
+      [55, 70, 51, 100],
+      [71, 85, 101, 150],
+      [86, 105, 151, 200],
+      [106, 200, 201, 300],
+      // Above 200 ppb the EPA switches to 1-hour O3 (405+ ppb is Hazardous)
+      [201, 404, 300, 300],
+      [405, 604, 301, 500]
+    ]
+  }
+};
+
+// ============================================
+// Index Calculation
+// ============================================
+
+/**
+ * Ozone µg/m³ -> ppb (25 °C, 1 atm: × 24.45 / 48.00)
+ * @param {number} ugm3
+ * @returns {number}
+ */
+export function ozoneToPPB(ugm3) {
+  return ugm3 * 24.45 / 48.00;
+}
+
+/**
+ * AQI for one pollutant.
+ * @param {string} pollutantId - Key into AQI_BREAKPOINTS
+ * @param {number} concentration - µg/m³
+ * @returns {number|null} Integer AQI (500 cap), null if the pollutant has no index
+ */
+export function concentrationToAQI(pollutantId, concentration) {
+  const breakpoints = AQI_BREAKPOINTS[pollutantId];
+  if (!breakpoints) return null;
+  
+  const scale = Math.pow(10, breakpoints.truncate);
+  const value = Math.floor(Math.max(0, breakpoints.toUnits(concentration)) * scale) / scale;
+  
+  const table = breakpoints.table;
+  for (const [cLow, cHigh, iLow, iHigh] of table) {
+    if (value <= cHigh) {
+      // Truncation can leave a value in the gap between rows
+      const clamped = Math.max(value, cLow);
+      return Math.round((iHigh - iLow) / (cHigh - cLow) * (clamped - cLow) + iLow);
+    }
+  }
+  return 500;
+}
+
+/**
+ * Category for an AQI value.
+ * @param {number} aqi
+ * @returns {Object} Entry of AQI_CATEGORIES ({ max, name, color })
+ */
+export function getAQICategory(aqi) {
+  return AQI_CATEGORIES.find(category => aqi <= category.max);
+}
+
+/**
+ * Concentrations at the category boundaries (AQI 50, 100, 150, 200, 300).
+ * @param {string} pollutantId - Key into AQI_BREAKPOINTS
+ * @returns {Array<{concentration: number, aqi: number, category: Object}>}
+ *   µg/m³ at the top of each category, with the category above it; empty
+ *   if the pollutant has no index
+ */
+export function getAQIBoundaries(pollutantId) {
+  const breakpoints = AQI_BREAKPOINTS[pollutantId];
+  if (!breakpoints) return [];
+  
+  return AQI_CATEGORIES.slice(0, -1).map((category, i) => {
+    const row = breakpoints.table.find(([, , , aqiHigh]) => aqiHigh >= category.max);
+    return {
+      concentration: breakpoints.fromUnits(row[1]),
+      aqi: category.max,
+      category: AQI_CATEGORIES[i + 1]
+    };
+  });
+}
+
+/**
+ * Overall AQI: the highest of the per-pollutant indices.
+ * @param {Object} concentrations - pollutantId -> µg/m³
+ * @returns {{aqi: number, dominant: string|null, category: Object}}
+ *   dominant is the pollutant setting the index (null when all are 0)
+ */
+export function computeAQI(concentrations) {
+  let aqi = 0;
+  let dominant = null;
+  
+  Object.keys(AQI_BREAKPOINTS).forEach(pollutantId => {
+    const index = concentrationToAQI(pollutantId, concentrations[pollutantId] || 0);
+    if (index > aqi) {
+      aqi = index;
+      dominant = pollutantId;
+    }
+  });
+  
+  return { aqi, dominant, category: getAQICategory(aqi) };
+}
@@ -0,0 +1,314 @@
+/**
+ * boundaries.js - County / water boundary import (GeoJSON / TopoJSON)
+ *
+ * Turns a boundary file into regions.js-shaped regions, so surveyed county
+ * lines replace the built-in outlines (regions.js setRegions). No THREE or
+ * DOM dependencies, so the browser and the Node CLI read the same files.
+ *
+ * INPUT:
+ *   GeoJSON: FeatureCollection of Polygon / MultiPolygon features
+ *   TopoJSON: Topology; every Polygon / MultiPolygon geometry in its objects
+ * - properties.id (or feature id, or GEOID): region id; defaults to the
+ *   name in snake_case
+ * - properties.name (or NAME): display name
+ * - properties.type: 'water' for water bodies; anything else is a county.
+ *   Include the bays and ocean: the file replaces every built-in region.
+ * - properties.label: optional [lon, lat] for the label; otherwise it sits
+ *   at the centroid of the region's largest polygon
+ *
+ * Census cartographic boundary files (cb_*_county) converted to GeoJSON load
+ * as they are: rings are clipped to the map, and regions entirely outside it
+ * are skipped.
+ */
+
+import { GEO_BOUNDS } from './heightmap.js';
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a boundary file into regions.
+ *
+ * @param {string} text - File contents (GeoJSON or TopoJSON)
+ * @returns {{regions: Object, skipped: number}} regions in REGIONS shape
+ *   (id -> { name, type, label, polygons }); skipped counts features that
+ *   fell outside the map
+ * @throws {Error} On malformed input, naming the offending feature
+ */
+export function parseRegionBoundaries(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Boundary file is not valid JSON: ${error.message}`);
+  }
+  
+  let features;
+  if (data.type === 'Topology') {
+    features = topologyToFeatures(data);
+  } else if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else {
+    throw new Error('Boundary file must be a GeoJSON FeatureCollection or a TopoJSON Topology');
+  }
+  
+  const result = { regions: {}, skipped: 0 };
+  
+  features.forEach((feature, i) => {
+    const properties = feature.properties || {};
+    const name = String(properties.name ?? properties.NAME ?? '').trim();
+    const id = String(properties.id ?? feature.id ?? properties.GEOID ?? toId(name)).trim();
+    const label = `Feature ${id || i + 1}`;
+    if (!id) throw new Error(`${label}: missing id and name`);
+    if (result.regions[id]) throw new Error(`${label}: duplicate id`);
+    
+    const geometry = feature.geometry;
+    let polygons;
+    if (geometry?.type === 'Polygon') {
+      polygons = [geometry.coordinates];
+    } else if (geometry?.type === 'MultiPolygon') {
+      polygons = geometry.coordinates;
+    } else {
+      throw new Error(`${label}: geometry must be a Polygon or MultiPolygon (got ${geometry?.type ?? 'none'})`);
+    }
+    
+    if (!Array.isArray(polygons) || !polygons.every(Array.isArray)) {
+      throw new Error(`${label}: ${geometry.type} coordinates must be arrays of rings`);
+    }
+    
+    // Empty polygons (no rings) carry no area; skip them like off-map ones
+    const clipped = [];
+    polygons.forEach(rings => {
+      if (rings.length === 0) return;
+      const [outer, ...holes] = rings.map(ring => clipRing(readRing(ring, label)));
+      if (outer.length < 4) return;
+      clipped.push([outer, ...holes.filter(hole => hole.length >= 4)]);
+    });
+    if (clipped.length === 0) {
+      result.skipped++;
+      return;
+    }
+    
+    result.regions[id] = {
+      name: name || id,
+      type: properties.type === 'water' ? 'water' : 'county',
+      label: Array.isArray(properties.label) ? readRing([properties.label], label)[0] : getLabelPoint(clipped),
+      polygons: clipped
+    };
+  });
+  
+  if (Object.keys(result.regions).length === 0) {
+    throw new Error(result.skipped > 0
+      ? `Boundary file has no regions inside the map (${result.skipped} outside)`
+      : 'Boundary file has no regions');
+  }
+  return result;
+}
+
+/**
+ * Whether a dropped file looks like a boundary file rather than an
+ * inventory: TopoJSON, or a FeatureCollection of polygons
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isBoundaryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return false;
+  }
+  if (data?.type === 'Topology') return true;
+  const type = Array.isArray(data?.features) ? data.features[0]?.geometry?.type : null;
+  return type === 'Polygon' || type === 'MultiPolygon';
+}
+
+/**
+ * Decode TopoJSON arcs into GeoJSON-style features
+ */
+function topologyToFeatures(topology) {
+  const transform = topology.transform;
+  const arcs = (topology.arcs || []).map(arc => {
+    if (!transform) return arc;
+    // Quantized arcs are delta-encoded
+    const [sx, sy] = transform.scale;
+    const [tx, ty] = transform.translate;
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * sx + tx, y * sy + ty];
+    });
+  });
+  
+  const ring = indices => {
+    const points = [];
+    indices.forEach(index => {
+      // ~index walks the arc backwards; consecutive arcs share an endpoint
+      const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+      if (!arc) throw new Error(`TopoJSON arc ${index} does not exist`);
+      if (points.length > 0) points.pop();
+      points.push(...arc);
+    });
+    return points;
+  };
+  
+  const features = [];
+  const addGeometry = geometry => {
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(addGeometry);
+      return;
+    }
+    let coordinates;
+    if (geometry.type === 'Polygon') {
+      coordinates = geometry.arcs.map(ring);
+    } else if (geometry.type === 'MultiPolygon') {
+      coordinates = geometry.arcs.map(polygon => polygon.map(ring));
+    } else {
+      return;
+    }
+    features.push({
+      id: geometry.id,
+      properties: geometry.properties,
+      geometry: { type: geometry.type, coordinates }
+    });
+  };
+  Object.values(topology.objects || {}).forEach(addGeometry);
+  return features;
+}
+
+// ============================================
+// Geometry
+// ============================================
+
+function readRing(ring, label) {
+  if (!Array.isArray(ring)) throw new Error(`${label}: ring must be an array of [lon, lat]`);
+  return ring.map(point => {
+    const lon = Number(point?.[0]);
+    const lat = Number(point?.[1]);
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+      throw new Error(`${label}: coordinates must be [lon, lat] numbers`);
+    }
+    return [lon, lat];
+  });
+}
+
+/**
+ * Clip a ring to the map bounds (Sutherland-Hodgman against each edge).
+ * Returns a closed ring, or fewer than 4 points if nothing is left.
+ */
+function clipRing(ring) {
+  const edges = [
+    [p => p[0] >= GEO_BOUNDS.lonMin, (a, b) => intersectLon(a, b, GEO_BOUNDS.lonMin)],
+    [p => p[0] <= GEO_BOUNDS.lonMax, (a, b) => intersectLon(a, b, GEO_BOUNDS.lonMax)],
+    [p => p[1] >= GEO_BOUNDS.latMin, (a, b) => intersectLat(a, b, GEO_BOUNDS.latMin)],
+    [p => p[1] <= GEO_BOUNDS.latMax, (a, b) => intersectLat(a, b, GEO_BOUNDS.latMax)]
+  ];
+  
+  // Work on the open ring
+  let points = ring.slice();
+  if (points.length > 1 && samePoint(points[0], points[points.length - 1])) points.pop();
+  
+  edges.forEach(([inside, intersect]) => {
+    const input = points;
+    points = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      if (inside(current)) {
+        if (!inside(previous)) points.push(intersect(previous, current));
+        points.push(current);
+      } else if (inside(previous)) {
+        points.push(intersect(previous, current));
+      }
+    }
+  });
+  
+  if (points.length < 3) return [];
+  points.push(points[0]);
+  return points;
+}
+
+function intersectLon(a, b, lon) {
+  const t = (lon - a[0]) / (b[0] - a[0]);
+  return [lon, a[1] + (b[1] - a[1]) * t];
+}
+
+function intersectLat(a, b, lat) {
+  const t = (lat - a[1]) / (b[1] - a[1]);
+  return [a[0] + (b[0] - a[0]) * t, lat];
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Label position: area-weighted centroid of the largest polygon, moved to
+ * the middle of the widest interior span at that latitude when the centroid
+ * falls outside (crescent-shaped counties, bays)
+ */
+function getLabelPoint(polygons) {
+  let best = null;
+  polygons.forEach(rings => {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    rings.forEach((ring, r) => {
+      const { area: ringArea, x, y } = ringCentroid(ring);
+      // Holes subtract whatever their winding
+      const signed = r === 0 ? Math.abs(ringArea) : -Math.abs(ringArea);
+      area += signed;
+      cx += x * signed;
+      cy += y * signed;
+    });
+    if (area > 0 && (!best || area > best.area)) {
+      best = { area, rings, x: cx / area, y: cy / area };
+    }
+  });
+  if (!best) return polygons[0][0][0];
+  
+  // Interior spans along the centroid's latitude
+  const crossings = [];
+  best.rings.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[i + 1];
+      if ((y1 > best.y) !== (y2 > best.y)) {
+        crossings.push(x1 + (best.y - y1) / (y2 - y1) * (x2 - x1));
+      }
+    }
+  });
+  crossings.sort((a, b) => a - b);
+  
+  let span = null;
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    const [left, right] = [crossings[i], crossings[i + 1]];
+    if (best.x >= left && best.x <= right) return [best.x, best.y];
+    if (!span || right - left > span[1] - span[0]) span = [left, right];
+  }
+  return span ? [(span[0] + span[1]) / 2, best.y] : [best.x, best.y];
+}
+
+function ringCentroid(ring) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    x += (x1 + x2) * cross;
+    y += (y1 + y2) * cross;
+  }
+  area /= 2;
+  if (area === 0) return { area: 0, x: ring[0][0], y: ring[0][1] };
+  return { area, x: x / (6 * area), y: y / (6 * area) };
+}
+
+function toId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
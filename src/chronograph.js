@@ -15,6 +15,9 @@
 
 import * as THREE from 'three';
 
+// Sunlight lives in solar.js (shared with the simulation core)
+export { getSolarIntensity } from './solar.js';
+
 // ============================================
 // FIXED TIMESTEP TIME MANAGER
 // ============================================
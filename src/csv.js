@@ -0,0 +1,103 @@
+/**
+ * csv.js - CSV reading and number validation shared by the file importers
+ *
+ * Emission inventories and receptors (inventory.js), station observations
+ * (windfield.js) and population points (exposure.js) all read CSV through
+ * readCSV() and check their numbers with requireNumber(), so quoting and
+ * error messages behave the same in every loader. No THREE or DOM
+ * dependencies.
+ */
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Read a CSV file with a header row.
+ *
+ * @param {string} text - File contents
+ * @param {string} kind - File kind for error messages ("Inventory", ...)
+ * @param {string[]} [requiredColumns] - Lower-case columns that must exist
+ * @returns {{header: string[], rows: Array<{label: string, record: Object}>}}
+ *   Lower-case header, and one entry per non-blank line with its label
+ *   ("Line 3") and trimmed values by column; empty cells are left out
+ * @throws {Error} If a required column is missing
+ */
+export function readCSV(text, kind, requiredColumns = []) {
+  const lines = text.split(/\r?\n/);
+  const header = splitCSVLine(lines[0]).map(h => h.trim().toLowerCase());
+  
+  const missing = requiredColumns.filter(c => !header.includes(c));
+  if (missing.length > 0) {
+    throw new Error(`${kind} CSV is missing column(s): ${missing.join(', ')}`);
+  }
+  
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const values = splitCSVLine(lines[i]);
+    const record = {};
+    header.forEach((name, c) => {
+      const value = values[c]?.trim();
+      if (value !== undefined && value !== '') record[name] = value;
+    });
+    rows.push({ label: `Line ${i + 1}`, record });
+  }
+  return { header, rows };
+}
+
+/**
+ * Split a CSV line on commas, honouring double-quoted fields
+ * (facility names often contain commas)
+ */
+function splitCSVLine(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += ch;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+// ============================================
+// Numbers
+// ============================================
+
+/**
+ * A number from a CSV cell or JSON property
+ * @throws {Error} "<label>: <name> must be a number" otherwise
+ */
+export function requireNumber(value, name, label) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`${label}: ${name} must be a number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * As requireNumber(), but a missing or empty value gives undefined
+ */
+export function optionalNumber(value, name, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return requireNumber(value, name, label);
+}
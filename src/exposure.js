@@ -0,0 +1,416 @@
+/**
+ * exposure.js - Population exposure and health-impact estimates
+ *
+ * Overlays a population layer on the ground-level concentration grid:
+ * population-weighted exposure per county, plus excess cases from
+ * log-linear concentration-response functions accumulated over the
+ * scenario. No THREE or DOM dependencies; the browser refreshes it from the
+ * orchestrator's snapshot and the headless CLI from the core grids.
+ *
+ * POPULATION INPUT:
+ *   ESRI ASCII grid (.asc): ncols / nrows / xllcorner|xllcenter /
+ *     yllcorner|yllcenter / cellsize / NODATA_value header, then people per
+ *     cell, north row first; lon/lat (WGS84) cells (e.g. WorldPop, GPW)
+ *   CSV: lon,lat,population (id optional), e.g. census tract centroids
+ * Points outside the map are skipped. Without a file, each county's 2020
+ * Census population is spread evenly over its land, matching counties by
+ * name so surveyed boundary files work too.
+ *
+ * HEALTH IMPACTS:
+ *   cases = population x baseline rate x years x (1 - exp(-beta x C))
+ * with C the modelled concentration. The model has no background, so C is
+ * the increment from the simulated sources and the cases are attributable
+ * to them.
+ */
+
+import { GEO_BOUNDS, MAP_BOUNDS } from './heightmap.js';
+import { REGIONS, getRegionAt, getRegionRaster } from './regions.js';
+import { geoToWorld } from './registry.js';
+import { ozoneToPPB } from './aqi.js';
+import { readCSV, requireNumber } from './csv.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+const HOURS_PER_YEAR = 8760;
+
+/**
+ * Concentration-response functions (BenMAP-style log-linear).
+ * beta: per µg/m³ (PM2.5) or per ppb (O3, per toUnits)
+ * baselineRate: cases per person per year, all ages (approximate California
+ * rates; swap in local incidence for real studies)
+ */
+export const HEALTH_ENDPOINTS = [
+  {
+    id: 'deaths_pm25',
+    name: 'Premature deaths (PM2.5)',
+    pollutant: 'PM25',
+    beta: Math.log(1.06) / 10,     // Krewski et al. 2009: RR 1.06 per 10 µg/m³
+    baselineRate: 0.0068
+  },
+  {
+    id: 'deaths_o3',
+    name: 'Premature deaths (O₃)',
+    pollutant: 'OZONE',
+    toUnits: ozoneToPPB,
+    beta: Math.log(1.0052) / 10,   // Bell et al. 2004: +0.52% per 10 ppb
+    baselineRate: 0.0068
+  },
+  {
+    id: 'asthma_er_pm25',
+    name: 'Asthma ER visits (PM2.5)',
+    pollutant: 'PM25',
+    beta: 0.0056,                  // Mar et al. 2010
+    baselineRate: 0.0044
+  },
+  {
+    id: 'asthma_er_o3',
+    name: 'Asthma ER visits (O₃)',
+    pollutant: 'OZONE',
+    toUnits: ozoneToPPB,
+    beta: 0.0052,                  // Ito et al. 2007
+    baselineRate: 0.0044
+  }
+];
+
+// Pollutants exposure is reported for
+export const EXPOSURE_POLLUTANTS = ['PM25', 'OZONE'];
+
+// 2020 Census population and land area (km²) of the Bay Area counties, by
+// lower-case name
+const COUNTY_POPULATION = {
+  'san francisco': { population: 873965, landAreaKm2: 121 },
+  'san mateo': { population: 764442, landAreaKm2: 1161 },
+  'santa clara': { population: 1936259, landAreaKm2: 3343 },
+  'alameda': { population: 1682353, landAreaKm2: 1910 },
+  'contra costa': { population: 1165927, landAreaKm2: 1855 },
+  'solano': { population: 453491, landAreaKm2: 2128 },
+  'napa': { population: 138019, landAreaKm2: 1953 },
+  'marin': { population: 262321, landAreaKm2: 1346 },
+  'sonoma': { population: 488863, landAreaKm2: 4082 }
+};
+
+// Spacing of the built-in population points (km)
+const BUILT_IN_POPULATION_STEP = 1;
+
+// ============================================
+// State
+// ============================================
+
+let population = null;       // { x, z, people: Float32Array, count } from a population file
+let populationLoaded = false;
+let builtInPopulation = null; // Census estimate, built on first use and again after setRegions()
+let builtInRaster = null;     // Region raster the estimate was spread over
+let scenarioHours = 0;
+let exposure = {};           // regionId -> { population, weighted: { pollutantId: person·µg/m³ } }
+let impacts = {};            // regionId -> { endpointId: cases }
+
+// ============================================
+// Population
+// ============================================
+
+/**
+ * Parse a population file into points.
+ *
+ * @param {string} text - File contents (ESRI ASCII grid or CSV)
+ * @returns {{points: Array<{lon: number, lat: number, population: number}>, skipped: number}}
+ *   skipped counts populated cells / rows outside the map
+ * @throws {Error} On malformed input, naming the offending line
+ */
+export function parsePopulation(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Population file is empty');
+  
+  const points = /^ncols\b/i.test(trimmed) ? parseAsciiGrid(trimmed) : parsePopulationCSV(trimmed);
+  const inside = points.filter(p => p.population > 0 && isOnMap(p.lon, p.lat));
+  if (inside.length === 0) throw new Error('Population file has no people inside the map');
+  return { points: inside, skipped: points.filter(p => p.population > 0).length - inside.length };
+}
+
+function parseAsciiGrid(text) {
+  const lines = text.split(/\r?\n/);
+  const header = {};
+  let line = 0;
+  while (line < lines.length && /^[a-z_]+\s/i.test(lines[line].trim())) {
+    const [key, value] = lines[line].trim().split(/\s+/);
+    header[key.toLowerCase()] = Number(value);
+    line++;
+  }
+  
+  const { ncols, nrows, cellsize } = header;
+  if (!(ncols > 0 && nrows > 0 && cellsize > 0)) {
+    throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+  }
+  const west = header.xllcorner ?? (header.xllcenter !== undefined ? header.xllcenter - cellsize / 2 : undefined);
+  const south = header.yllcorner ?? (header.yllcenter !== undefined ? header.yllcenter - cellsize / 2 : undefined);
+  if (!Number.isFinite(west) || !Number.isFinite(south)) {
+    throw new Error('ASCII grid header needs xllcorner/xllcenter and yllcorner/yllcenter');
+  }
+  
+  const values = lines.slice(line).join(' ').trim().split(/\s+/).map(Number);
+  if (values.length < ncols * nrows) {
+    throw new Error(`ASCII grid has ${values.length} values, expected ${ncols * nrows}`);
+  }
+  
+  const points = [];
+  for (let row = 0; row < nrows; row++) {
+    for (let col = 0; col < ncols; col++) {
+      const value = values[row * ncols + col];
+      if (!(value > 0) || value === header.nodata_value) continue;
+      points.push({
+        lon: west + (col + 0.5) * cellsize,
+        lat: south + (nrows - row - 0.5) * cellsize,
+        population: value
+      });
+    }
+  }
+  return points;
+}
+
+function parsePopulationCSV(text) {
+  const { header, rows } = readCSV(text, 'Population', ['lon', 'lat']);
+  const popColumn = header.find(h => h === 'population' || h === 'pop');
+  if (!popColumn) throw new Error('Population CSV is missing column(s): population');
+  
+  return rows.map(({ label, record }) => {
+    const population = requireNumber(record[popColumn], 'population', label);
+    if (population < 0) throw new Error(`${label}: population must not be negative`);
+    return {
+      lon: requireNumber(record.lon, 'lon', label),
+      lat: requireNumber(record.lat, 'lat', label),
+      population
+    };
+  });
+}
+
+function isOnMap(lon, lat) {
+  return lon >= GEO_BOUNDS.lonMin && lon <= GEO_BOUNDS.lonMax &&
+         lat >= GEO_BOUNDS.latMin && lat <= GEO_BOUNDS.latMax;
+}
+
+/**
+ * Replace the population layer
+ * @param {{points: Array}|null} parsed - From parsePopulation(), null for
+ *   the built-in county estimate
+ */
+export function setPopulation(parsed) {
+  population = parsed ? toPopulationPoints(parsed.points) : null;
+  populationLoaded = parsed !== null;
+  resetExposure();
+}
+
+export function isPopulationLoaded() {
+  return populationLoaded;
+}
+
+function toPopulationPoints(points) {
+  const x = new Float32Array(points.length);
+  const z = new Float32Array(points.length);
+  const people = new Float32Array(points.length);
+  points.forEach((point, i) => {
+    ({ x: x[i], z: z[i] } = geoToWorld(point.lon, point.lat));
+    people[i] = point.population;
+  });
+  return { x, z, people, count: points.length };
+}
+
+/**
+ * Census table key for a region ("San Mateo" and "San Mateo County" both match)
+ * @param {Object} region - Entry of REGIONS
+ * @returns {string|null}
+ */
+function getCensusKey(region) {
+  if (!region || region.type !== 'county') return null;
+  const key = String(region.name).trim().toLowerCase().replace(/\s+county$/, '');
+  return COUNTY_POPULATION[key] ? key : null;
+}
+
+/**
+ * County 2020 populations at census density over each county's land in the
+ * map. Where an outline covers more ground than the census land area, the
+ * density is thinned so a county never holds more than its census total.
+ */
+function buildBuiltInPopulation() {
+  const step = BUILT_IN_POPULATION_STEP;
+  const cellPoints = [];
+  const cellCounts = {};
+  for (let x = -MAP_BOUNDS.width / 2 + step / 2; x < MAP_BOUNDS.width / 2; x += step) {
+    for (let z = -MAP_BOUNDS.depth / 2 + step / 2; z < MAP_BOUNDS.depth / 2; z += step) {
+      const key = getCensusKey(REGIONS[getRegionAt(x, z)]);
+      if (!key) continue;
+      cellPoints.push([x, z, key]);
+      cellCounts[key] = (cellCounts[key] || 0) + 1;
+    }
+  }
+  
+  const peoplePerCell = {};
+  Object.entries(cellCounts).forEach(([key, cells]) => {
+    const { population: people, landAreaKm2 } = COUNTY_POPULATION[key];
+    const rasterArea = cells * step * step;
+    peoplePerCell[key] = people / landAreaKm2 * Math.min(1, landAreaKm2 / rasterArea) * step * step;
+  });
+  
+  return {
+    x: Float32Array.from(cellPoints, p => p[0]),
+    z: Float32Array.from(cellPoints, p => p[1]),
+    people: Float32Array.from(cellPoints, p => peoplePerCell[p[2]]),
+    count: cellPoints.length,
+    counties: Object.keys(cellCounts).length
+  };
+}
+
+/**
+ * Census estimate over the active regions, rebuilt when setRegions() has
+ * replaced the outlines
+ */
+function getBuiltInPopulation() {
+  const raster = getRegionRaster();
+  if (!builtInPopulation || raster !== builtInRaster) {
+    builtInPopulation = buildBuiltInPopulation();
+    builtInRaster = raster;
+  }
+  return builtInPopulation;
+}
+
+/**
+ * What the built-in estimate covers, for the population status
+ * @returns {{counties: number, population: number}} Counties matched to the
+ *   census table by name and the people placed inside the map
+ */
+export function getBuiltInPopulationSummary() {
+  const { people, count, counties } = getBuiltInPopulation();
+  let total = 0;
+  for (let i = 0; i < count; i++) total += people[i];
+  return { counties, population: total };
+}
+
+function getPopulation() {
+  return population || getBuiltInPopulation();
+}
+
+// ============================================
+// Exposure & Impacts
+// ============================================
+
+/**
+ * Clear accumulated impacts (new scenario)
+ */
+export function resetExposure() {
+  scenarioHours = 0;
+  exposure = {};
+  impacts = {};
+}
+
+/**
+ * Recompute population-weighted exposure and add the health impacts of
+ * `hours` at the current concentrations.
+ *
+ * @param {Function} sample - (pollutantId, x, z) => ground-level µg/m³
+ * @param {number} hours - Scenario time these concentrations stand for
+ */
+export function updateExposure(sample, hours) {
+  const { x, z, people, count } = getPopulation();
+  const years = hours / HOURS_PER_YEAR;
+  exposure = {};
+  
+  for (let i = 0; i < count; i++) {
+    const regionId = getRegionAt(x[i], z[i]);
+    if (!regionId) continue;
+    
+    const entry = exposure[regionId] || (exposure[regionId] = {
+      population: 0,
+      weighted: Object.fromEntries(EXPOSURE_POLLUTANTS.map(id => [id, 0]))
+    });
+    entry.population += people[i];
+    
+    const concentrations = {};
+    EXPOSURE_POLLUTANTS.forEach(pollutantId => {
+      concentrations[pollutantId] = sample(pollutantId, x[i], z[i]);
+      entry.weighted[pollutantId] += people[i] * concentrations[pollutantId];
+    });
+    
+    if (years <= 0) continue;
+    const regionImpacts = impacts[regionId] || (impacts[regionId] = {});
+    HEALTH_ENDPOINTS.forEach(endpoint => {
+      const c = concentrations[endpoint.pollutant];
+      if (!(c > 0)) return;
+      const level = endpoint.toUnits ? endpoint.toUnits(c) : c;
+      const cases = people[i] * endpoint.baselineRate * years * (1 - Math.exp(-endpoint.beta * level));
+      regionImpacts[endpoint.id] = (regionImpacts[endpoint.id] || 0) + cases;
+    });
+  }
+  
+  scenarioHours += Math.max(0, hours);
+}
+
+/**
+ * Exposure and accumulated impacts by region, plus totals
+ * @returns {Object} { hours, populationLoaded, total, regions } where total
+ *   and each regions[id] are { name, population, exposure: { pollutantId: µg/m³ },
+ *   impacts: { endpointId: cases } }
+ */
+export function getExposureReport() {
+  const regions = {};
+  const total = { name: 'All regions', population: 0, weighted: {}, impacts: {} };
+  EXPOSURE_POLLUTANTS.forEach(id => { total.weighted[id] = 0; });
+  HEALTH_ENDPOINTS.forEach(endpoint => { total.impacts[endpoint.id] = 0; });
+  
+  Object.entries(exposure).forEach(([regionId, entry]) => {
+    const regionImpacts = Object.fromEntries(HEALTH_ENDPOINTS.map(endpoint =>
+      [endpoint.id, impacts[regionId]?.[endpoint.id] || 0]));
+    regions[regionId] = {
+      name: REGIONS[regionId]?.name ?? regionId,
+      population: entry.population,
+      exposure: weightedMean(entry.weighted, entry.population),
+      impacts: regionImpacts
+    };
+    
+    total.population += entry.population;
+    EXPOSURE_POLLUTANTS.forEach(id => { total.weighted[id] += entry.weighted[id]; });
+    HEALTH_ENDPOINTS.forEach(endpoint => { total.impacts[endpoint.id] += regionImpacts[endpoint.id]; });
+  });
+  
+  return {
+    hours: scenarioHours,
+    populationLoaded,
+    total: {
+      name: total.name,
+      population: total.population,
+      exposure: weightedMean(total.weighted, total.population),
+      impacts: total.impacts
+    },
+    regions
+  };
+}
+
+function weightedMean(weighted, people) {
+  return Object.fromEntries(Object.entries(weighted).map(([id, sum]) => [id, people > 0 ? sum / people : 0]));
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Report as CSV: one row per region, then the totals (region "ALL")
+ * @param {Object} report - From getExposureReport()
+ * @returns {string}
+ */
+export function exposureReportToCSV(report) {
+  const header = [
+    'region', 'name', 'hours', 'population',
+    ...EXPOSURE_POLLUTANTS.map(id => `${id.toLowerCase()}_exposure_ugm3`),
+    ...HEALTH_ENDPOINTS.map(endpoint => endpoint.id)
+  ];
+  const row = (id, entry) => [
+    id, `"${entry.name}"`, report.hours.toFixed(3), Math.round(entry.population),
+    ...EXPOSURE_POLLUTANTS.map(p => entry.exposure[p].toFixed(4)),
+    ...HEALTH_ENDPOINTS.map(endpoint => entry.impacts[endpoint.id].toExponential(4))
+  ].join(',');
+  
+  const rows = [header.join(',')];
+  Object.entries(report.regions).forEach(([id, entry]) => rows.push(row(id, entry)));
+  rows.push(row('ALL', report.total));
+  return rows.join('\n') + '\n';
+}
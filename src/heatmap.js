@@ -0,0 +1,199 @@
+/**
+ * heatmap.js - Ground-level concentration draped on the terrain
+ *
+ * A copy of the terrain mesh (same geometry and UVs) textured with the
+ * near-surface concentration field (surface.js): what people breathe at
+ * street level. Shows one pollutant through a colormap over a chosen
+ * range, or the combined US EPA AQI in the standard category colours.
+ * Clean air is transparent so the terrain shows through.
+ */
+
+import * as THREE from 'three';
+import { MAP_BOUNDS, getHeightmap } from './heightmap.js';
+import { createSurfaceLattice, sampleSurfaceField } from './surface.js';
+import { concentrationToAQI, getAQICategory } from './aqi.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  cols: 302,           // Texels west to east (~0.5 km); rows keep the map's aspect
+  opacity: 0.75,       // At the top of the range
+  fadeIn: 0.05,        // Share of the range over which the overlay fades in
+  renderOrder: 2       // Over the terrain, under the smog
+};
+
+/**
+ * Colormaps as evenly spaced stops (sRGB)
+ */
+export const HEATMAP_COLORMAPS = {
+  viridis: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725],
+  magma:   [0x000004, 0x3b0f70, 0x8c2981, 0xde4968, 0xfe9f6d, 0xfcfdbf],
+  turbo:   [0x30123b, 0x4686fb, 0x1ae4b6, 0xa2fc3c, 0xfabb39, 0xe4460a, 0x7a0403]
+};
+
+// Pollutants behind the combined AQI (aqi.js AQI_BREAKPOINTS)
+const AQI_POLLUTANTS = ['PM25', 'OZONE'];
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let mesh = null;
+let texture = null;
+let lattice = null;
+let latticeSource = undefined;   // Heightmap data the lattice was sampled on
+const fields = {};               // pollutantId -> reused Float32Array
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * @param {THREE.Scene} sceneRef
+ * @param {THREE.Mesh} terrainMesh - From map.js getTerrainMesh()
+ */
+export function initHeatmap(sceneRef, terrainMesh) {
+  console.log('🗺️ Initializing ground heatmap...');
+  
+  scene = sceneRef;
+  
+  const cols = CONFIG.cols;
+  const rows = Math.round(cols * MAP_BOUNDS.depth / MAP_BOUNDS.width);
+  texture = new THREE.DataTexture(new Uint8Array(cols * rows * 4), cols, rows, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    depthWrite: false,
+    toneMapped: false,
+    polygonOffset: true,       // Win the depth test against the terrain it copies
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -4
+  });
+  
+  mesh = new THREE.Mesh(terrainMesh.geometry, material);
+  mesh.name = 'groundHeatmap';
+  mesh.position.copy(terrainMesh.position);
+  mesh.rotation.copy(terrainMesh.rotation);
+  mesh.scale.copy(terrainMesh.scale);
+  mesh.renderOrder = CONFIG.renderOrder;
+  mesh.visible = false;
+  scene.add(mesh);
+  
+  console.log(`  → ${cols}×${rows} texels`);
+  return mesh;
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Recolour the overlay from the latest grid (skipped while hidden).
+ * @param {Function} getMass - pollutantId => dense kg per grid cell
+ *   (orchestrator getCellMass)
+ * @param {Object} settings - heatmapPollutant (pollutant id or 'AQI'),
+ *   heatmapColormap (key of HEATMAP_COLORMAPS), heatmapMax (µg/m³ at the
+ *   top of the colormap)
+ */
+export function updateHeatmap(getMass, settings) {
+  if (!mesh || !mesh.visible) return;
+  
+  // Lattice shares the texture's texels; resample the ground when the GeoTIFF lands
+  const heightmap = getHeightmap();
+  const source = heightmap ? heightmap.data : null;
+  if (!lattice || source !== latticeSource) {
+    lattice = createSurfaceLattice(texture.image.width, texture.image.height);
+    latticeSource = source;
+  }
+  
+  const sample = (pollutantId) => {
+    fields[pollutantId] = sampleSurfaceField(getMass(pollutantId), lattice, fields[pollutantId]);
+    return fields[pollutantId];
+  };
+  
+  const { cols, rows } = lattice;
+  const data = texture.image.data;
+  
+  // Texture row 0 is the south edge (UV v = 0); lattice row 0 is north
+  const write = (i, hex, alpha) => {
+    const row = Math.floor(i / cols);
+    const texel = ((rows - 1 - row) * cols + (i % cols)) * 4;
+    data[texel] = (hex >> 16) & 0xff;
+    data[texel + 1] = (hex >> 8) & 0xff;
+    data[texel + 2] = hex & 0xff;
+    data[texel + 3] = Math.round(alpha * 255);
+  };
+  
+  if (settings.heatmapPollutant === 'AQI') {
+    const [pm, ozone] = AQI_POLLUTANTS.map(sample);
+    for (let i = 0; i < cols * rows; i++) {
+      const aqi = Math.max(concentrationToAQI('PM25', pm[i]), concentrationToAQI('OZONE', ozone[i]));
+      write(i, getAQICategory(aqi).color, aqi >= 1 ? CONFIG.opacity : 0);
+    }
+  } else {
+    const field = sample(settings.heatmapPollutant);
+    for (let i = 0; i < cols * rows; i++) {
+      const t = Math.min(1, field[i] / settings.heatmapMax);
+      const alpha = CONFIG.opacity * Math.min(1, t / CONFIG.fadeIn);
+      write(i, sampleColormap(settings.heatmapColormap, t), alpha);
+    }
+  }
+  
+  texture.needsUpdate = true;
+}
+
+/**
+ * Colour at t (0-1) along a colormap
+ * @param {string} name - Key of HEATMAP_COLORMAPS (viridis if unknown)
+ * @param {number} t
+ * @returns {number} sRGB hex
+ */
+export function sampleColormap(name, t) {
+  const stops = HEATMAP_COLORMAPS[name] || HEATMAP_COLORMAPS.viridis;
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const blend = position - index;
+  const a = stops[index];
+  const b = stops[index + 1];
+  let hex = 0;
+  for (let shift = 16; shift >= 0; shift -= 8) {
+    const from = (a >> shift) & 0xff;
+    const to = (b >> shift) & 0xff;
+    hex |= Math.round(from + (to - from) * blend) << shift;
+  }
+  return hex;
+}
+
+export function setHeatmapVisible(visible) {
+  if (mesh) mesh.visible = visible;
+}
+
+export function isHeatmapVisible() {
+  return mesh ? mesh.visible : false;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function disposeHeatmap() {
+  if (mesh && scene) {
+    // Geometry belongs to the terrain
+    scene.remove(mesh);
+    mesh.material.dispose();
+  }
+  if (texture) texture.dispose();
+  mesh = null;
+  texture = null;
+  lattice = null;
+  latticeSource = undefined;
+  scene = null;
+}
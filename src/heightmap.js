@@ -0,0 +1,348 @@
+/**
+ * heightmap.js - Terrain elevation data + height queries
+ * 
+ * Parses the GeoTIFF heightmap and answers "how high is the ground here?"
+ * Has no THREE or DOM dependencies so the same sampler runs on the main
+ * thread (terrain mesh, landmarks) and in the simulation worker (particles).
+ * 
+ * Until a heightmap is set, getTerrainHeight() falls back to procedural hills.
+ */
+
+import { log } from './log.js';
+
+// ============================================
+// Constants & Configuration
+// ============================================
+
+// Bay Area bounds, 1 world unit = approx 1 km (accurate to TIFF coverage)
+export const MAP_BOUNDS = {
+  width: 151,   // 151 km east-west
+  depth: 134,   // 134 km north-south
+  maxHeight: 25 // max terrain height in world units
+};
+
+// Geographic coordinate bounds (WGS84)
+export const GEO_BOUNDS = {
+  lonMin: -123.135223,  // West
+  lonMax: -121.415863,  // East
+  latMin: 37.182476,    // South
+  latMax: 38.387867     // North
+};
+
+// Meters of elevation -> world Y (8x exaggeration for visible relief)
+export const VERTICAL_SCALE = 0.008;
+
+// Number of smoothing iterations applied after parsing (0 = none)
+export const HEIGHTMAP_SMOOTHING_PASSES = 2;
+
+// Loaded heightmap (smoothed raster)
+let elevationData = null;  // Float32Array, row 0 = north
+let rasterWidth = 0;
+let rasterHeight = 0;
+
+// ============================================
+// Simple TIFF Parser (for uncompressed 32-bit float GeoTIFF)
+// ============================================
+
+export async function parseGeoTIFF(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  
+  // Check byte order (II = little-endian, MM = big-endian)
+  const byteOrder = view.getUint16(0, true);
+  const littleEndian = (byteOrder === 0x4949); // 'II'
+  
+  // Verify TIFF magic number
+  const magic = view.getUint16(2, littleEndian);
+  if (magic !== 42) throw new Error('Not a valid TIFF file');
+  
+  // Get IFD offset
+  const ifdOffset = view.getUint32(4, littleEndian);
+  
+  // Read IFD entries
+  const numEntries = view.getUint16(ifdOffset, littleEndian);
+  
+  let width = 0, height = 0, bitsPerSample = 0, stripOffsets = [], stripByteCounts = [];
+  let rowsPerStrip = 0, sampleFormat = 1;
+  
+  for (let i = 0; i < numEntries; i++) {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const valueOffset = entryOffset + 8;
+    
+    // Read value based on type and count
+    const getValue = () => {
+      if (type === 3) return view.getUint16(valueOffset, littleEndian); // SHORT
+      if (type === 4) return view.getUint32(valueOffset, littleEndian); // LONG
+      return view.getUint32(valueOffset, littleEndian);
+    };
+    
+    const getValues = (offset) => {
+      const values = [];
+      const actualOffset = count > 1 ? view.getUint32(valueOffset, littleEndian) : valueOffset;
+      for (let j = 0; j < count; j++) {
+        if (type === 3) values.push(view.getUint16(actualOffset + j * 2, littleEndian));
+        else if (type === 4) values.push(view.getUint32(actualOffset + j * 4, littleEndian));
+      }
+      return values;
+    };
+    
+    switch (tag) {
+      case 256: width = getValue(); break;           // ImageWidth
+      case 257: height = getValue(); break;          // ImageLength
+      case 258: bitsPerSample = getValue(); break;   // BitsPerSample
+      case 273: stripOffsets = getValues(); break;   // StripOffsets
+      case 278: rowsPerStrip = getValue(); break;    // RowsPerStrip
+      case 279: stripByteCounts = getValues(); break; // StripByteCounts
+      case 339: sampleFormat = getValue(); break;    // SampleFormat (3 = float)
+    }
+  }
+  
+  log(`    TIFF: ${width}x${height}, ${bitsPerSample}-bit, format=${sampleFormat}`);
+  
+  // Read the raster data
+  const pixelCount = width * height;
+  const data = new Float32Array(pixelCount);
+  
+  if (bitsPerSample === 32 && sampleFormat === 3) {
+    // 32-bit float
+    let pixelIndex = 0;
+    for (let s = 0; s < stripOffsets.length; s++) {
+      const offset = stripOffsets[s];
+      const byteCount = stripByteCounts[s];
+      const floatCount = byteCount / 4;
+      
+      for (let i = 0; i < floatCount && pixelIndex < pixelCount; i++) {
+        data[pixelIndex++] = view.getFloat32(offset + i * 4, littleEndian);
+      }
+    }
+  } else {
+    throw new Error(`Unsupported TIFF format: ${bitsPerSample}-bit, sampleFormat=${sampleFormat}`);
+  }
+  
+  return { width, height, data };
+}
+
+// ============================================
+// Elevation Smoothing (Gaussian-like blur)
+// ============================================
+
+export function smoothElevationData(data, width, height, passes = 1) {
+  if (passes <= 0) return data;
+  
+  log(`    Smoothing elevation data (${passes} passes)...`);
+  
+  let current = new Float32Array(data);
+  let next = new Float32Array(data.length);
+  
+  // 3x3 Gaussian-ish kernel weights
+  const kernel = [
+    1, 2, 1,
+    2, 4, 2,
+    1, 2, 1
+  ];
+  const kernelSum = 16;
+  
+  for (let pass = 0; pass < passes; pass++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        
+        // Check if this is a nodata pixel - don't smooth those
+        if (current[idx] < -1000) {
+          next[idx] = current[idx];
+          continue;
+        }
+        
+        let sum = 0;
+        let weightSum = 0;
+        
+        // Sample 3x3 neighborhood
+        for (let ky = -1; ky <= 1; ky++) {
+          for (let kx = -1; kx <= 1; kx++) {
+            const nx = x + kx;
+            const ny = y + ky;
+            
+            // Skip out of bounds
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const nidx = ny * width + nx;
+            const val = current[nidx];
+            
+            // Skip nodata neighbors
+            if (val < -1000) continue;
+            
+            const weight = kernel[(ky + 1) * 3 + (kx + 1)];
+            sum += val * weight;
+            weightSum += weight;
+          }
+        }
+        
+        next[idx] = weightSum > 0 ? sum / weightSum : current[idx];
+      }
+    }
+    
+    // Swap buffers
+    [current, next] = [next, current];
+  }
+  
+  return current;
+}
+
+/**
+ * Parse a GeoTIFF and smooth it, ready for setHeightmap().
+ * @param {ArrayBuffer} arrayBuffer - Raw .tif contents
+ * @param {number} [smoothingPasses]
+ * @returns {Promise<Object>} { width, height, data: Float32Array }
+ */
+export async function decodeHeightmap(arrayBuffer, smoothingPasses = HEIGHTMAP_SMOOTHING_PASSES) {
+  const tiffData = await parseGeoTIFF(arrayBuffer);
+  const data = smoothElevationData(tiffData.data, tiffData.width, tiffData.height, smoothingPasses);
+  return { width: tiffData.width, height: tiffData.height, data };
+}
+
+// ============================================
+// Heightmap State
+// ============================================
+
+/**
+ * Use a decoded raster for height queries.
+ * @param {Object|null} heightmap - { width, height, data: Float32Array } or null for procedural
+ */
+export function setHeightmap(heightmap) {
+  elevationData = heightmap ? heightmap.data : null;
+  rasterWidth = heightmap ? heightmap.width : 0;
+  rasterHeight = heightmap ? heightmap.height : 0;
+}
+
+/**
+ * Get the raster currently used for height queries.
+ * @returns {Object|null} { width, height, data } or null if not loaded yet
+ */
+export function getHeightmap() {
+  if (!elevationData) return null;
+  return { width: rasterWidth, height: rasterHeight, data: elevationData };
+}
+
+// ============================================
+// Sample Elevation (for runtime height queries)
+// Used by particles, landmarks, etc. to get terrain height at any world position
+// Uses bilinear interpolation for smooth results between grid points
+// ============================================
+
+function sampleElevation(worldX, worldZ) {
+  if (!elevationData) return 0;
+  
+  // Convert world coordinates to UV (0-1)
+  const u = (worldX + MAP_BOUNDS.width / 2) / MAP_BOUNDS.width;
+  const v = (worldZ + MAP_BOUNDS.depth / 2) / MAP_BOUNDS.depth;
+  
+  // Clamp to valid range
+  const clampedU = Math.max(0, Math.min(1, u));
+  const clampedV = Math.max(0, Math.min(1, v));
+  
+  // Convert to pixel coordinates
+  const px = clampedU * (rasterWidth - 1);
+  // Direct mapping (no flip)
+  const py = clampedV * (rasterHeight - 1);
+  
+  // Bilinear interpolation for smooth sampling
+  const x0 = Math.floor(px);
+  const z0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, rasterWidth - 1);
+  const z1 = Math.min(z0 + 1, rasterHeight - 1);
+  
+  const fx = px - x0;
+  const fz = py - z0;
+  
+  // Get 4 neighboring elevation values
+  const getElev = (x, z) => {
+    const idx = z * rasterWidth + x;
+    const val = elevationData[idx];
+    return (Number.isFinite(val) && val > -1000) ? val : 0;
+  };
+  
+  const e00 = getElev(x0, z0);
+  const e10 = getElev(x1, z0);
+  const e01 = getElev(x0, z1);
+  const e11 = getElev(x1, z1);
+  
+  // Bilinear interpolation
+  const top = e00 * (1 - fx) + e10 * fx;
+  const bottom = e01 * (1 - fx) + e11 * fx;
+  let elevation = top * (1 - fz) + bottom * fz;
+  
+  let height = elevation * VERTICAL_SCALE;
+  
+  // Apply delta basin elevation boost
+  // Convert world coords to geographic
+  const lon = GEO_BOUNDS.lonMin + clampedU * (GEO_BOUNDS.lonMax - GEO_BOUNDS.lonMin);
+  const lat = GEO_BOUNDS.latMax - clampedV * (GEO_BOUNDS.latMax - GEO_BOUNDS.latMin);
+  
+  // Delta region: 121.8°W to 121.4°W AND 37.6°N to 38.4°N with smooth blending
+  const deltaLonMin = -121.8, deltaLonMax = -121.4;
+  const deltaLatMin = 37.6, deltaLatMax = 38.4;
+  const blendDist = 0.1;
+  
+  if (lon >= deltaLonMin - blendDist && lon <= deltaLonMax + blendDist &&
+      lat >= deltaLatMin - blendDist && lat <= deltaLatMax + blendDist) {
+    
+    // Calculate blend factor for each edge
+    const blendLeft = Math.min(1, Math.max(0, (lon - (deltaLonMin - blendDist)) / blendDist));
+    const blendRight = Math.min(1, Math.max(0, ((deltaLonMax + blendDist) - lon) / blendDist));
+    const blendBottom = Math.min(1, Math.max(0, (lat - (deltaLatMin - blendDist)) / blendDist));
+    const blendTop = Math.min(1, Math.max(0, ((deltaLatMax + blendDist) - lat) / blendDist));
+    
+    // Smoothstep for smoother transition
+    const smoothstep = (t) => t * t * (3 - 2 * t);
+    const blendFactor = smoothstep(blendLeft) * smoothstep(blendRight) * smoothstep(blendBottom) * smoothstep(blendTop);
+    
+    height += MAP_BOUNDS.maxHeight * 0.01 * blendFactor; // 1% boost with blend
+  }
+  
+  return height;
+}
+
+// ============================================
+// Height Queries
+// ============================================
+
+/**
+ * Terrain height (world Y) at a world position.
+ */
+export function getTerrainHeight(x, z) {
+  // Use GeoTIFF elevation if available
+  if (elevationData) {
+    return sampleElevation(x, z);
+  }
+  
+  // Fallback to procedural
+  let height = 0;
+  
+  // East Bay hills
+  if (x > 5 && x < 35) {
+    const hillFactor = Math.max(0, 1 - Math.abs(x - 20) / 15);
+    height += hillFactor * 4 * (0.5 + 0.5 * Math.sin(z * 0.1));
+  }
+  
+  // Marin headlands
+  if (x < -10 && z > 10) {
+    const marinFactor = Math.max(0, 1 - Math.abs(x + 25) / 20) * Math.max(0, 1 - Math.abs(z - 25) / 20);
+    height += marinFactor * 5;
+  }
+  
+  // Santa Cruz mountains
+  if (x < 5 && z < -20) {
+    const scFactor = Math.max(0, 1 - Math.abs(x + 10) / 20) * Math.max(0, 1 - Math.abs(z + 40) / 25);
+    height += scFactor * 6;
+  }
+  
+  // Bay depression
+  const distFromBay = Math.sqrt(Math.pow(x / 15, 2) + Math.pow(z / 25, 2));
+  if (distFromBay < 1) {
+    height -= (1 - distFromBay) * 3;
+  }
+  
+  return Math.max(0, height);
+}
@@ -7,6 +7,26 @@
 
 let callbacks = {};
 let elements = {};
+let sectionImage = null;   // Offscreen canvas for the cross-section plot
+
+// Display labels for emitter profile types (source breakdown panel)
+const SOURCE_TYPE_LABELS = {
+  urban: 'Urban',
+  refinery: 'Refineries',
+  highway: 'Highways',
+  airport: 'Airports',
+  military: 'Military',
+  port: 'Ports',
+  bridge: 'Bridges',
+  interchange: 'Interchanges',
+  unknown: 'Other'
+};
+
+// Number of individual emitters listed in the source breakdown
+const SOURCE_LIST_LENGTH = 8;
+
+// Month slider labels (settings.month, 0 = January)
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 // ============================================
 // Initialization
@@ -22,10 +42,12 @@ export function initHUD(settings, cbs) {
     // Time of day
     timeOfDay: document.getElementById('time-of-day'),
     timeValue: document.getElementById('time-value'),
+    dayButtons: document.querySelectorAll('#day-presets .time-preset'),
+    month: document.getElementById('month'),
+    monthValue: document.getElementById('month-value'),
     toggleAutoTime: document.getElementById('toggle-auto-time'),
-    autoTimeSpeed: document.getElementById('auto-time-speed'),
-    autoSpeedValue: document.getElementById('auto-speed-value'),
-    autoSpeedGroup: document.getElementById('auto-speed-group'),
+    timeScale: document.getElementById('time-scale'),
+    timeScaleValue: document.getElementById('time-scale-value'),
     
     // Brightness
     brightness: document.getElementById('brightness'),
@@ -35,19 +57,45 @@ export function initHUD(settings, cbs) {
     windDirection: document.getElementById('wind-direction'),
     windSpeed: document.getElementById('wind-speed'),
     turbulence: document.getElementById('turbulence'),
+    inversion: document.getElementById('inversion'),
     emissionRate: document.getElementById('emission-rate'),
+    alertLevel: document.getElementById('alert-level'),
     
     // Value displays
     windDirValue: document.getElementById('wind-dir-value'),
     windSpeedValue: document.getElementById('wind-speed-value'),
     turbulenceValue: document.getElementById('turbulence-value'),
+    inversionValue: document.getElementById('inversion-value'),
     emissionRateValue: document.getElementById('emission-rate-value'),
+    alertLevelValue: document.getElementById('alert-level-value'),
     
     // Toggles
     togglePM25: document.getElementById('toggle-pm25'),
     toggleVOC: document.getElementById('toggle-voc'),
+    toggleNOx: document.getElementById('toggle-nox'),
     toggleOzone: document.getElementById('toggle-ozone'),
     toggleCounties: document.getElementById('toggle-counties'),
+    toggleVolume: document.getElementById('toggle-volume'),
+    toggleHeatmap: document.getElementById('toggle-heatmap'),
+    heatmapPollutant: document.getElementById('heatmap-pollutant'),
+    heatmapColormap: document.getElementById('heatmap-colormap'),
+    heatmapRange: document.getElementById('heatmap-range'),
+    heatmapRangeValue: document.getElementById('heatmap-range-value'),
+    toggleIsopleths: document.getElementById('toggle-isopleths'),
+    isoplethPollutant: document.getElementById('isopleth-pollutant'),
+    isoplethLevels: document.getElementById('isopleth-levels'),
+    isoplethLegend: document.getElementById('isopleth-legend'),
+    
+    // Station winds
+    stationsFile: document.getElementById('stations-file'),
+    stationsClear: document.getElementById('stations-clear'),
+    stationsStatus: document.getElementById('stations-status'),
+    inventoryFile: document.getElementById('inventory-file'),
+    inventoryClear: document.getElementById('inventory-clear'),
+    inventoryStatus: document.getElementById('inventory-status'),
+    
+    // Simulation
+    seed: document.getElementById('seed'),
     
     // Buttons
     btnPause: document.getElementById('btn-pause'),
@@ -55,7 +103,48 @@ export function initHUD(settings, cbs) {
     
     // Stats
     particleCount: document.getElementById('particle-count'),
-    simTime: document.getElementById('sim-time')
+    simTime: document.getElementById('sim-time'),
+    
+    // Source breakdown
+    sourcePanel: document.getElementById('source-panel'),
+    sourceRegion: document.getElementById('source-region'),
+    sourcePollutant: document.getElementById('source-pollutant'),
+    sourceClose: document.getElementById('source-close'),
+    sourceTotal: document.getElementById('source-total'),
+    sourceTypes: document.getElementById('source-types'),
+    sourceList: document.getElementById('source-list'),
+    
+    // Air quality
+    aqiTable: document.getElementById('aqi-table'),
+    regionsFile: document.getElementById('regions-file'),
+    regionsClear: document.getElementById('regions-clear'),
+    regionsStatus: document.getElementById('regions-status'),
+    
+    // Health impact
+    exposureSummary: document.getElementById('exposure-summary'),
+    exposureTable: document.getElementById('exposure-table'),
+    exposureImpacts: document.getElementById('exposure-impacts'),
+    populationFile: document.getElementById('population-file'),
+    populationClear: document.getElementById('population-clear'),
+    populationStatus: document.getElementById('population-status'),
+    exposureExport: document.getElementById('exposure-export'),
+    
+    // Receptor alerts
+    alertsSummary: document.getElementById('alerts-summary'),
+    alertsList: document.getElementById('alerts-list'),
+    receptorsFile: document.getElementById('receptors-file'),
+    receptorsClear: document.getElementById('receptors-clear'),
+    receptorsStatus: document.getElementById('receptors-status'),
+    alertsExport: document.getElementById('alerts-export'),
+    
+    // Cross-section
+    sectionDraw: document.getElementById('section-draw'),
+    sectionClear: document.getElementById('section-clear'),
+    sectionPanel: document.getElementById('section-panel'),
+    sectionPollutant: document.getElementById('section-pollutant'),
+    sectionClose: document.getElementById('section-close'),
+    sectionSummary: document.getElementById('section-summary'),
+    sectionPlot: document.getElementById('section-plot')
   };
   
   // Set initial values from settings
@@ -75,16 +164,20 @@ function syncFromSettings(settings) {
     elements.timeOfDay.value = settings.timeOfDay;
     elements.timeValue.textContent = formatTimeOfDay(settings.timeOfDay);
   }
+  setActiveDay(settings.dayOfWeek);
+  
+  if (elements.month) {
+    elements.month.value = settings.month;
+    elements.monthValue.textContent = MONTH_NAMES[settings.month];
+  }
   
   if (elements.toggleAutoTime) {
     elements.toggleAutoTime.classList.toggle('active', settings.autoTime);
   }
   
-  if (elements.autoTimeSpeed) {
-    elements.autoTimeSpeed.value = settings.autoTimeSpeed;
-    elements.autoSpeedValue.textContent = `${settings.autoTimeSpeed.toFixed(1)} hr/s`;
-    elements.autoTimeSpeed.disabled = !settings.autoTime;
-    elements.autoSpeedGroup.style.opacity = settings.autoTime ? '1' : '0.5';
+  if (elements.timeScale) {
+    elements.timeScale.value = settings.timeScale;
+    elements.timeScaleValue.textContent = `${settings.timeScale.toFixed(1)}×`;
   }
   
   if (elements.brightness) {
@@ -107,11 +200,21 @@ function syncFromSettings(settings) {
     elements.turbulenceValue.textContent = settings.turbulence.toFixed(2);
   }
   
+  if (elements.inversion) {
+    elements.inversion.value = settings.inversionStrength;
+    elements.inversionValue.textContent = settings.inversionStrength.toFixed(2);
+  }
+  
   if (elements.emissionRate) {
     elements.emissionRate.value = settings.emissionRate;
     elements.emissionRateValue.textContent = `${settings.emissionRate.toFixed(1)}x`;
   }
   
+  if (elements.alertLevel) {
+    elements.alertLevel.value = settings.alertLevel;
+    elements.alertLevelValue.textContent = `${Math.round(settings.alertLevel * 100)}%`;
+  }
+  
   // Toggles
   if (elements.togglePM25) {
     elements.togglePM25.classList.toggle('active', settings.enablePM25);
@@ -119,12 +222,38 @@ function syncFromSettings(settings) {
   if (elements.toggleVOC) {
     elements.toggleVOC.classList.toggle('active', settings.enableVOC);
   }
+  if (elements.toggleNOx) {
+    elements.toggleNOx.classList.toggle('active', settings.enableNOx);
+  }
   if (elements.toggleOzone) {
     elements.toggleOzone.classList.toggle('active', settings.enableOzone);
   }
   if (elements.toggleCounties) {
     elements.toggleCounties.classList.toggle('active', settings.showCounties !== false);
   }
+  if (elements.toggleVolume) {
+    elements.toggleVolume.classList.toggle('active', settings.volumetricSmog !== false);
+  }
+  if (elements.toggleHeatmap) {
+    elements.toggleHeatmap.classList.toggle('active', settings.showHeatmap);
+    elements.heatmapPollutant.value = settings.heatmapPollutant;
+    elements.heatmapColormap.value = settings.heatmapColormap;
+    elements.heatmapRange.value = Math.log10(settings.heatmapMax);
+    elements.heatmapRangeValue.textContent = `0-${formatRange(settings.heatmapMax)} µg/m³`;
+    syncHeatmapControls(settings.heatmapPollutant);
+  }
+  if (elements.toggleIsopleths) {
+    elements.toggleIsopleths.classList.toggle('active', settings.showIsopleths);
+    elements.isoplethPollutant.value = settings.isoplethPollutant;
+    elements.isoplethLevels.value = (settings.isoplethLevels || []).join(', ');
+  }
+  if (elements.sectionPollutant) {
+    elements.sectionPollutant.value = settings.sectionPollutant;
+  }
+  
+  if (elements.seed) {
+    elements.seed.value = settings.seed;
+  }
 }
 
 // ============================================
@@ -143,16 +272,14 @@ function attachListeners(settings) {
   elements.toggleAutoTime?.addEventListener('click', () => {
     elements.toggleAutoTime.classList.toggle('active');
     const enabled = elements.toggleAutoTime.classList.contains('active');
-    elements.autoTimeSpeed.disabled = !enabled;
-    elements.autoSpeedGroup.style.opacity = enabled ? '1' : '0.5';
     callbacks.onChangeSettings?.({ autoTime: enabled });
   });
   
-  // Auto Time Speed
-  elements.autoTimeSpeed?.addEventListener('input', (e) => {
+  // Simulation speed (the sim clock keeps its fixed rate per simulated second)
+  elements.timeScale?.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
-    elements.autoSpeedValue.textContent = `${value.toFixed(1)} hr/s`;
-    callbacks.onChangeSettings?.({ autoTimeSpeed: value });
+    elements.timeScaleValue.textContent = `${value.toFixed(1)}×`;
+    callbacks.onChangeSettings?.({ timeScale: value });
   });
   
   // Brightness
@@ -163,7 +290,7 @@ function attachListeners(settings) {
   });
   
   // Time Preset Buttons
-  document.querySelectorAll('.time-preset').forEach(btn => {
+  document.querySelectorAll('.time-preset[data-time]').forEach(btn => {
     btn.addEventListener('click', () => {
       const time = parseFloat(btn.dataset.time);
       elements.timeOfDay.value = time;
@@ -172,6 +299,22 @@ function attachListeners(settings) {
     });
   });
   
+  // Day of Week Buttons
+  elements.dayButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const day = parseInt(btn.dataset.day, 10);
+      setActiveDay(day);
+      callbacks.onChangeSettings?.({ dayOfWeek: day });
+    });
+  });
+  
+  // Month
+  elements.month?.addEventListener('input', (e) => {
+    const value = parseInt(e.target.value, 10);
+    elements.monthValue.textContent = MONTH_NAMES[value];
+    callbacks.onChangeSettings?.({ month: value });
+  });
+  
   // Wind Direction
   elements.windDirection?.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
@@ -193,6 +336,13 @@ function attachListeners(settings) {
     callbacks.onChangeSettings?.({ turbulence: value });
   });
   
+  // Inversion strength
+  elements.inversion?.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    elements.inversionValue.textContent = value.toFixed(2);
+    callbacks.onChangeSettings?.({ inversionStrength: value });
+  });
+  
   // Emission Rate
   elements.emissionRate?.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
@@ -200,6 +350,13 @@ function attachListeners(settings) {
     callbacks.onChangeSettings?.({ emissionRate: value });
   });
   
+  // Alert level (share of the air quality standard)
+  elements.alertLevel?.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    elements.alertLevelValue.textContent = `${Math.round(value * 100)}%`;
+    callbacks.onChangeSettings?.({ alertLevel: value });
+  });
+  
   // Pollutant Toggles
   elements.togglePM25?.addEventListener('click', () => {
     elements.togglePM25.classList.toggle('active');
@@ -213,6 +370,12 @@ function attachListeners(settings) {
     callbacks.onChangeSettings?.({ enableVOC: enabled });
   });
   
+  elements.toggleNOx?.addEventListener('click', () => {
+    elements.toggleNOx.classList.toggle('active');
+    const enabled = elements.toggleNOx.classList.contains('active');
+    callbacks.onChangeSettings?.({ enableNOx: enabled });
+  });
+  
   elements.toggleOzone?.addEventListener('click', () => {
     elements.toggleOzone.classList.toggle('active');
     const enabled = elements.toggleOzone.classList.contains('active');
@@ -226,6 +389,143 @@ function attachListeners(settings) {
     callbacks.onToggleCounties?.();
   });
   
+  // Smog render mode (volume vs prisms)
+  elements.toggleVolume?.addEventListener('click', () => {
+    elements.toggleVolume.classList.toggle('active');
+    const enabled = elements.toggleVolume.classList.contains('active');
+    callbacks.onChangeSettings?.({ volumetricSmog: enabled });
+  });
+  
+  // Ground heatmap
+  elements.toggleHeatmap?.addEventListener('click', () => {
+    elements.toggleHeatmap.classList.toggle('active');
+    const enabled = elements.toggleHeatmap.classList.contains('active');
+    callbacks.onChangeSettings?.({ showHeatmap: enabled });
+  });
+  
+  elements.heatmapPollutant?.addEventListener('change', (e) => {
+    syncHeatmapControls(e.target.value);
+    callbacks.onChangeSettings?.({ heatmapPollutant: e.target.value });
+  });
+  
+  elements.heatmapColormap?.addEventListener('change', (e) => {
+    callbacks.onChangeSettings?.({ heatmapColormap: e.target.value });
+  });
+  
+  elements.heatmapRange?.addEventListener('input', (e) => {
+    const value = roundRange(Math.pow(10, parseFloat(e.target.value)));
+    elements.heatmapRangeValue.textContent = `0-${formatRange(value)} µg/m³`;
+    callbacks.onChangeSettings?.({ heatmapMax: value });
+  });
+  
+  // Isopleths
+  elements.toggleIsopleths?.addEventListener('click', () => {
+    elements.toggleIsopleths.classList.toggle('active');
+    const enabled = elements.toggleIsopleths.classList.contains('active');
+    callbacks.onChangeSettings?.({ showIsopleths: enabled });
+  });
+  
+  elements.isoplethPollutant?.addEventListener('change', (e) => {
+    callbacks.onChangeSettings?.({ isoplethPollutant: e.target.value });
+  });
+  
+  // Comma / space separated µg/m³; blank for the AQI boundaries
+  elements.isoplethLevels?.addEventListener('change', (e) => {
+    const text = e.target.value.trim();
+    const levels = text ? text.split(/[\s,;]+/).map(Number) : [];
+    if (levels.every(level => Number.isFinite(level) && level > 0)) {
+      callbacks.onChangeSettings?.({ isoplethLevels: levels.length > 0 ? levels : null });
+    } else {
+      e.target.value = (settings.isoplethLevels || []).join(', ');
+    }
+  });
+  
+  // Station observations (replace the wind sliders)
+  elements.stationsFile?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) callbacks.onLoadStations?.(file);
+    e.target.value = ''; // Allow re-loading the same file
+  });
+  
+  elements.stationsClear?.addEventListener('click', () => {
+    callbacks.onClearStations?.();
+  });
+  
+  // Emission inventory
+  elements.inventoryFile?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) callbacks.onLoadInventory?.(file);
+    e.target.value = '';
+  });
+  
+  elements.inventoryClear?.addEventListener('click', () => {
+    callbacks.onClearInventory?.();
+  });
+  
+  // County / water boundaries
+  elements.regionsFile?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) callbacks.onLoadRegions?.(file);
+    e.target.value = '';
+  });
+  
+  elements.regionsClear?.addEventListener('click', () => {
+    callbacks.onClearRegions?.();
+  });
+  
+  // Population layer and exposure export
+  elements.populationFile?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) callbacks.onLoadPopulation?.(file);
+    e.target.value = '';
+  });
+  
+  elements.populationClear?.addEventListener('click', () => {
+    callbacks.onClearPopulation?.();
+  });
+  
+  elements.exposureExport?.addEventListener('click', () => {
+    callbacks.onExportExposure?.();
+  });
+  
+  // Sensitive receptors and alert export
+  elements.receptorsFile?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) callbacks.onLoadReceptors?.(file);
+    e.target.value = '';
+  });
+  
+  elements.receptorsClear?.addEventListener('click', () => {
+    callbacks.onClearReceptors?.();
+  });
+  
+  elements.alertsExport?.addEventListener('click', () => {
+    callbacks.onExportAlerts?.();
+  });
+  
+  // Drop anywhere on the page: boundary files replace the regions, anything
+  // else is read as an emission inventory (main.js decides)
+  document.addEventListener('dragover', (e) => {
+    if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+  });
+  
+  document.addEventListener('drop', (e) => {
+    const file = e.dataTransfer?.files[0];
+    if (!file) return;
+    e.preventDefault();
+    callbacks.onDropFile?.(file);
+  });
+  
+  // Seed (takes effect on the next reset)
+  elements.seed?.addEventListener('change', (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (Number.isFinite(value) && value >= 0) {
+      callbacks.onChangeSettings?.({ seed: value });
+    } else {
+      e.target.value = settings.seed;
+    }
+  });
+  
   // Pause Button
   elements.btnPause?.addEventListener('click', () => {
     callbacks.onPauseToggle?.();
@@ -236,6 +536,32 @@ function attachListeners(settings) {
     callbacks.onReset?.();
   });
   
+  // Source breakdown panel
+  elements.sourcePollutant?.addEventListener('change', (e) => {
+    callbacks.onSourcePollutantChange?.(e.target.value);
+  });
+  
+  elements.sourceClose?.addEventListener('click', () => {
+    callbacks.onClearRegion?.();
+  });
+  
+  // Cross-section
+  elements.sectionDraw?.addEventListener('click', () => {
+    callbacks.onDrawSection?.();
+  });
+  
+  elements.sectionClear?.addEventListener('click', () => {
+    callbacks.onClearSection?.();
+  });
+  
+  elements.sectionClose?.addEventListener('click', () => {
+    callbacks.onClearSection?.();
+  });
+  
+  elements.sectionPollutant?.addEventListener('change', (e) => {
+    callbacks.onChangeSettings?.({ sectionPollutant: e.target.value });
+  });
+  
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     if (e.target.tagName === 'INPUT') return; // Don't capture when typing
@@ -248,6 +574,9 @@ function attachListeners(settings) {
       case 'r':
         callbacks.onReset?.();
         break;
+      case 'escape':
+        callbacks.onCancelSection?.();
+        break;
     }
   });
 }
@@ -281,6 +610,475 @@ export function updateHUD(state) {
     elements.timeOfDay.value = state.timeOfDay;
     elements.timeValue.textContent = state.timeLabel || formatTimeOfDay(state.timeOfDay);
   }
+  
+  // Day of week (advances when auto-cycling past midnight)
+  if (state.dayOfWeek !== undefined) {
+    setActiveDay(state.dayOfWeek);
+  }
+}
+
+/**
+ * Highlight the day-of-week button for day (0 = Sunday)
+ */
+function setActiveDay(day) {
+  elements.dayButtons.forEach(btn => {
+    btn.classList.toggle('active', parseInt(btn.dataset.day, 10) === day);
+  });
+}
+
+// ============================================
+// Station Winds
+// ============================================
+
+/**
+ * Show station wind status. While stations drive the wind the
+ * direction / speed sliders are disabled.
+ * 
+ * @param {string} label - Status text (file summary or error message)
+ * @param {boolean} active - Station wind field in use
+ * @param {boolean} [isError] - Show the label as an error
+ */
+export function setStationStatus(label, active, isError = false) {
+  if (elements.stationsStatus) {
+    elements.stationsStatus.textContent = label;
+    elements.stationsStatus.title = label;
+    elements.stationsStatus.classList.toggle('error', isError);
+  }
+  if (elements.windDirection) elements.windDirection.disabled = active;
+  if (elements.windSpeed) elements.windSpeed.disabled = active;
+  if (elements.stationsClear) elements.stationsClear.disabled = !active;
+}
+
+// ============================================
+// Emission Inventory
+// ============================================
+
+/**
+ * Show which emitter network is loaded.
+ * 
+ * @param {string} label - Status text (file summary or error message)
+ * @param {boolean} imported - An imported inventory replaces the built-in emitters
+ * @param {boolean} [isError] - Show the label as an error
+ */
+export function setInventoryStatus(label, imported, isError = false) {
+  if (elements.inventoryStatus) {
+    elements.inventoryStatus.textContent = label;
+    elements.inventoryStatus.title = label;
+    elements.inventoryStatus.classList.toggle('error', isError);
+  }
+  if (elements.inventoryClear) elements.inventoryClear.disabled = !imported;
+}
+
+// ============================================
+// Source Breakdown Panel
+// ============================================
+
+/**
+ * Show which emitters contribute to the pollution over a region.
+ * 
+ * @param {string} regionName - Display name of the selected region
+ * @param {Object} contributions - Result of getSourceContributions()
+ */
+export function updateSourceBreakdown(regionName, contributions) {
+  if (!elements.sourcePanel) return;
+  
+  elements.sourcePanel.style.display = 'block';
+  elements.sourceRegion.textContent = regionName;
+  elements.sourceTotal.textContent = 
+    `${formatNumber(contributions.totalParticles)} particles overhead`;
+  
+  // Emitter types (refineries vs highways vs ports...)
+  elements.sourceTypes.replaceChildren(
+    ...contributions.byType.map(entry => 
+      createSourceRow(SOURCE_TYPE_LABELS[entry.type] || entry.type, entry.fraction, true))
+  );
+  
+  // Individual emitters, remainder lumped into "Other"
+  const top = contributions.bySource.slice(0, SOURCE_LIST_LENGTH);
+  const rows = top.map(entry => createSourceRow(entry.name, entry.fraction, false));
+  const otherFraction = contributions.bySource
+    .slice(SOURCE_LIST_LENGTH)
+    .reduce((sum, entry) => sum + entry.fraction, 0);
+  if (otherFraction > 0) {
+    rows.push(createSourceRow('Other sources', otherFraction, false));
+  }
+  elements.sourceList.replaceChildren(...rows);
+}
+
+export function hideSourceBreakdown() {
+  if (elements.sourcePanel) {
+    elements.sourcePanel.style.display = 'none';
+  }
+}
+
+function createSourceRow(label, fraction, isType) {
+  const row = document.createElement('div');
+  row.className = isType ? 'source-row source-type' : 'source-row';
+  
+  const name = document.createElement('span');
+  name.className = 'source-name';
+  name.textContent = label;
+  
+  const bar = document.createElement('div');
+  bar.className = 'source-bar';
+  const fill = document.createElement('div');
+  fill.className = 'source-bar-fill';
+  fill.style.width = `${(fraction * 100).toFixed(1)}%`;
+  bar.appendChild(fill);
+  
+  const value = document.createElement('span');
+  value.className = 'source-value';
+  value.textContent = `${(fraction * 100).toFixed(1)}%`;
+  
+  row.append(name, bar, value);
+  return row;
+}
+
+// ============================================
+// Air Quality Table
+// ============================================
+
+/**
+ * Show which county / water boundaries are in use.
+ * 
+ * @param {string} label - Status text (file summary or error message)
+ * @param {boolean} loaded - A loaded file replaces the bundled boundaries
+ * @param {boolean} [isError] - Show the label as an error
+ */
+export function setRegionsStatus(label, loaded, isError = false) {
+  if (elements.regionsStatus) {
+    elements.regionsStatus.textContent = label;
+    elements.regionsStatus.title = label;
+    elements.regionsStatus.classList.toggle('error', isError);
+  }
+  if (elements.regionsClear) elements.regionsClear.disabled = !loaded;
+}
+
+/**
+ * List each county's AQI, worst first.
+ * 
+ * @param {Array<{name: string, aqi: number, pollutant: string, category: string, color: number}>} rows
+ *   pollutant is the display name of the dominant pollutant ('' when clean);
+ *   color is the category color (hex number)
+ */
+export function updateAQITable(rows) {
+  if (!elements.aqiTable) return;
+  
+  const sorted = [...rows].sort((a, b) => b.aqi - a.aqi);
+  elements.aqiTable.replaceChildren(...sorted.map(createAQIRow));
+}
+
+function createAQIRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'aqi-row';
+  
+  const name = document.createElement('span');
+  name.className = 'source-name';
+  name.textContent = entry.name;
+  
+  const value = document.createElement('span');
+  value.className = isDarkColor(entry.color) ? 'aqi-value dark' : 'aqi-value';
+  value.style.background = `#${entry.color.toString(16).padStart(6, '0')}`;
+  value.textContent = entry.aqi;
+  
+  const pollutant = document.createElement('span');
+  pollutant.textContent = entry.pollutant || '-';
+  
+  const category = document.createElement('span');
+  category.className = 'aqi-category';
+  category.textContent = entry.category;
+  category.title = entry.category;
+  
+  row.append(name, value, pollutant, category);
+  return row;
+}
+
+function isDarkColor(hex) {
+  const r = (hex >> 16) & 0xff;
+  const g = (hex >> 8) & 0xff;
+  const b = hex & 0xff;
+  return 0.299 * r + 0.587 * g + 0.114 * b < 128;
+}
+
+// ============================================
+// Health Impact Panel
+// ============================================
+
+/**
+ * Show population-weighted exposure per county and the scenario's
+ * accumulated health impacts.
+ * 
+ * @param {Object} report - From exposure.js getExposureReport()
+ * @param {Array<{id: string, name: string}>} endpoints - Health endpoints to list
+ */
+export function updateExposurePanel(report, endpoints) {
+  if (!elements.exposureTable) return;
+  
+  elements.exposureSummary.textContent =
+    `${report.hours.toFixed(1)} h scenario, ${formatNumber(Math.round(report.total.population))} people`;
+  
+  const rows = Object.values(report.regions)
+    .sort((a, b) => b.population - a.population)
+    .map(entry => createExposureRow(entry.name, entry.population, entry.exposure));
+  rows.push(createExposureRow('All', report.total.population, report.total.exposure));
+  elements.exposureTable.replaceChildren(...rows);
+  
+  elements.exposureImpacts.replaceChildren(...endpoints.map(endpoint => {
+    const row = document.createElement('div');
+    row.className = 'source-row impact-row';
+    
+    const name = document.createElement('span');
+    name.className = 'source-name';
+    name.textContent = endpoint.name;
+    
+    const value = document.createElement('span');
+    value.className = 'source-value';
+    value.textContent = formatCases(report.total.impacts[endpoint.id]);
+    
+    row.append(name, value);
+    return row;
+  }));
+}
+
+function createExposureRow(label, population, exposure) {
+  const row = document.createElement('div');
+  row.className = 'exposure-row';
+  
+  const cells = [label, formatNumber(Math.round(population)), exposure.PM25.toFixed(2), exposure.OZONE.toFixed(2)];
+  row.append(...cells.map((text, i) => {
+    const cell = document.createElement('span');
+    if (i === 0) cell.className = 'source-name';
+    cell.textContent = text;
+    return cell;
+  }));
+  return row;
+}
+
+/**
+ * Show which population layer is in use.
+ * 
+ * @param {string} label - Status text (file summary or error message)
+ * @param {boolean} loaded - A loaded file replaces the built-in county estimate
+ * @param {boolean} [isError] - Show the label as an error
+ */
+export function setPopulationStatus(label, loaded, isError = false) {
+  if (elements.populationStatus) {
+    elements.populationStatus.textContent = label;
+    elements.populationStatus.title = label;
+    elements.populationStatus.classList.toggle('error', isError);
+  }
+  if (elements.populationClear) elements.populationClear.disabled = !loaded;
+}
+
+// ============================================
+// Receptor Alerts
+// ============================================
+
+/**
+ * List the scenario's receptor alerts, newest first: receptor, pollutant,
+ * peak and the sources behind the peak.
+ * 
+ * @param {Object} report - From alerts.js getReceptorAlerts()
+ * @param {number} receptorCount - Receptors being monitored
+ * @param {Object} pollutantNames - pollutantId -> display name
+ */
+export function updateAlertsPanel(report, receptorCount, pollutantNames) {
+  if (!elements.alertsList) return;
+  
+  const active = report.alerts.filter(alert => alert.endHour === null).length;
+  elements.alertsSummary.textContent =
+    `${receptorCount} receptors, ${active} active alert${active === 1 ? '' : 's'}`;
+  
+  elements.alertsList.replaceChildren(...report.alerts.map(alert => {
+    const entry = document.createElement('div');
+    entry.className = alert.endHour === null ? 'alert-entry active' : 'alert-entry';
+    
+    const title = document.createElement('div');
+    title.className = 'alert-title source-name';
+    title.textContent = `${alert.name} · ${pollutantNames[alert.pollutant] || alert.pollutant}`;
+    title.title = alert.name;
+    
+    const detail = document.createElement('div');
+    detail.className = 'alert-detail';
+    const when = alert.endHour === null
+      ? `for ${(report.hours - alert.startHour).toFixed(1)} h`
+      : `${(alert.endHour - alert.startHour).toFixed(1)} h, ended`;
+    detail.textContent = `peak ${alert.peak.toFixed(1)} / ${alert.threshold.toFixed(0)} µg/m³, ${when}`;
+    
+    entry.append(title, detail,
+      ...alert.sources.map(source => createSourceRow(source.name, source.fraction, false)));
+    return entry;
+  }));
+}
+
+/**
+ * Show which receptor set is in use.
+ * 
+ * @param {string} label - Status text (file summary or error message)
+ * @param {boolean} imported - An imported set replaces the built-in receptors
+ * @param {boolean} [isError] - Show the label as an error
+ */
+export function setReceptorsStatus(label, imported, isError = false) {
+  if (elements.receptorsStatus) {
+    elements.receptorsStatus.textContent = label;
+    elements.receptorsStatus.title = label;
+    elements.receptorsStatus.classList.toggle('error', isError);
+  }
+  if (elements.receptorsClear) elements.receptorsClear.disabled = !imported;
+}
+
+// Excess cases are small fractions for short scenarios
+function formatCases(cases) {
+  if (!cases) return '0';
+  return cases >= 0.1 ? cases.toFixed(2) : cases.toExponential(1);
+}
+
+// ============================================
+// Ground Heatmap
+// ============================================
+
+// The AQI view uses the fixed EPA categories: no colormap or range
+function syncHeatmapControls(pollutant) {
+  const isAQI = pollutant === 'AQI';
+  elements.heatmapColormap.disabled = isAQI;
+  elements.heatmapRange.disabled = isAQI;
+}
+
+// Two significant figures
+function roundRange(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+function formatRange(value) {
+  return value < 10 ? value.toFixed(1) : Math.round(value).toString();
+}
+
+/**
+ * List the isopleth levels in their line colours.
+ * 
+ * @param {Array<{color: number, label: string}>} levels - From isopleths.js getIsoplethLevels()
+ */
+export function updateIsoplethLegend(levels) {
+  if (!elements.isoplethLegend) return;
+  elements.isoplethLegend.replaceChildren(...levels.map(level => {
+    const item = document.createElement('span');
+    item.textContent = level.label;
+    item.style.color = `#${level.color.toString(16).padStart(6, '0')}`;
+    return item;
+  }));
+}
+
+// ============================================
+// Cross-Section
+// ============================================
+
+/**
+ * Show whether a line is being drawn and whether there is a section to clear.
+ * 
+ * @param {boolean} drawing - Waiting for a drag on the terrain
+ * @param {boolean} hasSection - A cross-section is standing
+ */
+export function setSectionDrawing(drawing, hasSection) {
+  if (elements.sectionDraw) {
+    elements.sectionDraw.classList.toggle('primary', drawing);
+    elements.sectionDraw.textContent = drawing ? 'Drag...' : 'Draw';
+  }
+  if (elements.sectionClear) elements.sectionClear.disabled = !hasSection;
+}
+
+/**
+ * Plot a cross-section: concentration against distance and height, with
+ * the terrain profile and the mixing height.
+ * 
+ * @param {Object} profile - From section.js updateSection()
+ * @param {Object} options
+ * @param {string} options.pollutantName - Display name of the plotted pollutant
+ * @param {number} options.max - µg/m³ at the top of the colormap
+ * @param {number} options.mixingHeight - Lid height (world Y)
+ * @param {number} options.verticalScale - World Y per metre of elevation
+ */
+export function updateSectionPanel(profile, options) {
+  if (!elements.sectionPlot) return;
+  elements.sectionPanel.style.display = 'block';
+  
+  const { pollutantName, max, mixingHeight, verticalScale } = options;
+  elements.sectionSummary.textContent =
+    `${profile.length.toFixed(1)} km · ${pollutantName} peak ${profile.peak.toFixed(1)} µg/m³ · scale 0-${formatRange(max)}`;
+  
+  const canvas = elements.sectionPlot;
+  const ctx = canvas.getContext('2d');
+  const plot = { left: 90, right: canvas.width - 20, top: 20, bottom: canvas.height - 50 };
+  const columns = profile.ground.length;
+  const toX = (column) => plot.left + (column / (columns - 1)) * (plot.right - plot.left);
+  const toY = (y) => plot.bottom - (Math.min(Math.max(y, 0), profile.top) / profile.top) * (plot.bottom - plot.top);
+  
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.font = '20px "JetBrains Mono", monospace';
+  
+  // Concentration, texel centres on the sample points
+  const { data, width, height } = profile.image;
+  sectionImage = sectionImage || document.createElement('canvas');
+  sectionImage.width = width;
+  sectionImage.height = height;
+  const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+  sectionImage.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+  ctx.clip();
+  ctx.drawImage(sectionImage, toX(-0.5), plot.top, toX(columns - 0.5) - toX(-0.5), plot.bottom - plot.top);
+  
+  // Terrain profile
+  ctx.beginPath();
+  ctx.moveTo(toX(0), plot.bottom);
+  profile.ground.forEach((ground, column) => ctx.lineTo(toX(column), toY(ground)));
+  ctx.lineTo(toX(columns - 1), plot.bottom);
+  ctx.closePath();
+  ctx.fillStyle = '#3a3328';
+  ctx.fill();
+  ctx.strokeStyle = '#8a7a5a';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  // Mixing height (inversion lid colour)
+  const lidY = toY(mixingHeight);
+  ctx.setLineDash([10, 8]);
+  ctx.strokeStyle = '#d8c49a';
+  ctx.beginPath();
+  ctx.moveTo(plot.left, lidY);
+  ctx.lineTo(plot.right, lidY);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#d8c49a';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(`mixing height ${Math.round(mixingHeight / verticalScale)} m`, plot.right - 6, lidY - 4);
+  ctx.restore();
+  
+  // Axes: height in metres, distance in km
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+  
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  const topMetres = profile.top / verticalScale;
+  for (let metres = 0; metres <= topMetres; metres += 500) {
+    ctx.fillText(`${metres} m`, plot.left - 8, toY(metres * verticalScale));
+  }
+  
+  ctx.textBaseline = 'top';
+  [0, 0.5, 1].forEach(fraction => {
+    ctx.textAlign = fraction === 0 ? 'left' : fraction === 1 ? 'right' : 'center';
+    ctx.fillText(`${(profile.length * fraction).toFixed(fraction === 0 ? 0 : 1)} km`,
+      toX(fraction * (columns - 1)), plot.bottom + 10);
+  });
+}
+
+export function hideSectionPanel() {
+  if (elements.sectionPanel) elements.sectionPanel.style.display = 'none';
 }
 
 // ============================================
@@ -0,0 +1,326 @@
+/**
+ * inventory.js - Emission inventory import (GeoJSON / CSV)
+ *
+ * Turns a facility and roadway inventory into registry-shaped emitters, so
+ * an air district's data can replace the built-in network (registry.js
+ * setInventory). No THREE or DOM dependencies, so the worker and the Node
+ * CLI read the same files.
+ *
+ * INPUT:
+ *   GeoJSON: FeatureCollection of Point (point emitters) and LineString
+ *     (highways) features; properties id, name, profile, scale, PM25, VOC,
+ *     NOX, aadt
+ *   CSV: id,name,profile,scale,lon,lat,pm25,voc,nox,aadt
+ *     One row per point emitter. A highway is consecutive rows sharing an
+ *     id, one per waypoint in order; attributes come from its first row.
+ * - profile: key into EMITTER_PROFILES; HIGHWAY_* profiles are line sources
+ * - PM25 / VOC / NOX: annual emissions, short tons/year. Omit all three to
+ *   use the profile's default rates (points) or aadt x emission factors
+ *   (highways); a pollutant left out when others are given emits nothing
+ * - scale: multiplier (optional, default 1)
+ * - aadt: highways only, annual average daily traffic
+ *
+ * Points outside the map are skipped and highways are clipped to it, so a
+ * district-wide inventory loads without trimming it first. A highway that
+ * leaves the map and comes back becomes one emitter per stretch inside
+ * (ids suffixed -1, -2, ...); reported tons/year are shared by length,
+ * counting the part outside the map.
+ *
+ * RECEPTORS (parseReceptors, for registry.js setReceptors):
+ *   GeoJSON: FeatureCollection of Point features; properties id, name, type
+ *   CSV: id,name,type,lon,lat
+ * - type: key into RECEPTOR_TYPES (school, hospital, senior; default other)
+ * - PM25 / OZONE / NOX / VOC: optional alert thresholds, µg/m³, overriding
+ *   the defaults for that receptor
+ */
+
+import {
+  EMITTER_PROFILES,
+  RECEPTOR_TYPES,
+  TONS_PER_YEAR_TO_GRAMS_PER_SECOND,
+  calculateRouteLength,
+  isInBounds
+} from './registry.js';
+import { GEO_BOUNDS } from './heightmap.js';
+import { POLLUTANT_TYPES } from './polluters.js';
+import { readCSV, requireNumber, optionalNumber } from './csv.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+const CSV_REQUIRED_COLUMNS = ['id', 'profile', 'lon', 'lat'];
+const RECEPTOR_CSV_REQUIRED_COLUMNS = ['id', 'lon', 'lat'];
+
+// Pollutants an inventory can carry (secondary ones form in the air)
+const EMITTED_POLLUTANTS = Object.keys(POLLUTANT_TYPES).filter(id => !POLLUTANT_TYPES[id].secondary);
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse an inventory file into point and line emitters.
+ *
+ * @param {string} text - File contents (GeoJSON or CSV)
+ * @returns {{pointEmitters: Array, lineEmitters: Array, skipped: number}}
+ *   Emitters in POINT_EMITTERS / LINE_EMITTERS shape; skipped counts
+ *   features that fell outside the map
+ * @throws {Error} On malformed input, naming the offending line / feature
+ */
+export function parseInventory(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Inventory file is empty');
+  
+  const records = trimmed[0] === '{'
+    ? parseGeoJSONRecords(trimmed, 'Inventory')
+    : parseCSVRecords(trimmed, 'Inventory', CSV_REQUIRED_COLUMNS);
+  
+  const inventory = { pointEmitters: [], lineEmitters: [], skipped: 0 };
+  
+  records.forEach(({ label, properties, coordinates }) => {
+    const id = String(properties.id ?? '').trim();
+    if (!id) throw new Error(`${label}: missing id`);
+    
+    const profileName = String(properties.profile ?? '').trim();
+    const profile = EMITTER_PROFILES[profileName];
+    if (!profile) throw new Error(`${label}: unknown profile "${profileName}"`);
+    
+    const isLine = profile.type === 'highway';
+    if (isLine && coordinates.length < 2) {
+      throw new Error(`${label}: ${profileName} is a highway profile and needs a line (2+ points)`);
+    }
+    if (!isLine && coordinates.length !== 1) {
+      throw new Error(`${label}: ${profileName} is a point profile and needs a single point`);
+    }
+    
+    const points = coordinates.map(([lon, lat]) => ({
+      lon: requireNumber(lon, 'lon', label),
+      lat: requireNumber(lat, 'lat', label)
+    }));
+    
+    const emitter = {
+      id,
+      name: String(properties.name ?? '').trim() || id,
+      profile: profileName,
+      scale: optionalNumber(properties.scale, 'scale', label) ?? 1.0
+    };
+    
+    const emissions = readEmissions(properties, label);
+    if (emissions) emitter.emissions = emissions;
+    
+    if (isLine) {
+      const aadt = optionalNumber(properties.aadt, 'aadt', label);
+      if (aadt !== undefined) emitter.aadt = aadt;
+      
+      const stretches = clipRoute(points);
+      if (stretches.length === 0) {
+        inventory.skipped++;
+        return;
+      }
+      const routeLength = calculateRouteLength(points);
+      stretches.forEach((waypoints, i) => {
+        const stretch = { ...emitter, waypoints };
+        if (stretches.length > 1) {
+          stretch.id = `${id}-${i + 1}`;
+          stretch.name = `${emitter.name} (${i + 1}/${stretches.length})`;
+        }
+        if (emitter.emissions && routeLength > 0) {
+          const share = calculateRouteLength(waypoints) / routeLength;
+          stretch.emissions = Object.fromEntries(Object.entries(emitter.emissions)
+            .map(([pollutantId, rate]) => [pollutantId, rate * share]));
+        }
+        inventory.lineEmitters.push(stretch);
+      });
+    } else {
+      if (!isInBounds(points[0].lon, points[0].lat)) {
+        inventory.skipped++;
+        return;
+      }
+      emitter.coords = points[0];
+      inventory.pointEmitters.push(emitter);
+    }
+  });
+  
+  if (inventory.pointEmitters.length + inventory.lineEmitters.length === 0) {
+    throw new Error(inventory.skipped > 0
+      ? `Inventory has no emitters inside the map (${inventory.skipped} outside)`
+      : 'Inventory has no emitters');
+  }
+  return inventory;
+}
+
+/**
+ * Per-pollutant tons/year -> grams per second (null when no rates given)
+ */
+function readEmissions(properties, label) {
+  let emissions = null;
+  EMITTED_POLLUTANTS.forEach(pollutantId => {
+    const tonsPerYear = optionalNumber(
+      properties[pollutantId] ?? properties[pollutantId.toLowerCase()], pollutantId, label);
+    if (tonsPerYear === undefined) return;
+    if (tonsPerYear < 0) throw new Error(`${label}: ${pollutantId} must not be negative`);
+    
+    emissions = emissions || Object.fromEntries(EMITTED_POLLUTANTS.map(p => [p, 0]));
+    emissions[pollutantId] = tonsPerYear * TONS_PER_YEAR_TO_GRAMS_PER_SECOND;
+  });
+  return emissions;
+}
+
+/**
+ * Clip a route to the map segment by segment, splitting it where it leaves
+ * @param {Array<{lon: number, lat: number}>} points - Waypoints
+ * @returns {Array<Array<{lon: number, lat: number}>>} Stretches inside the
+ *   map, 2+ waypoints each
+ */
+function clipRoute(points) {
+  const stretches = [];
+  let stretch = null;
+  for (let i = 0; i < points.length - 1; i++) {
+    const segment = clipSegment(points[i], points[i + 1]);
+    if (!segment) {
+      stretch = null;
+      continue;
+    }
+    // Re-entering the map starts a new stretch
+    if (!stretch || segment.start !== points[i]) {
+      stretch = [segment.start];
+      stretches.push(stretch);
+    }
+    stretch.push(segment.end);
+    if (segment.end !== points[i + 1]) stretch = null;
+  }
+  return stretches;
+}
+
+/**
+ * Liang-Barsky clip of one segment to GEO_BOUNDS
+ * @returns {{start: Object, end: Object}|null} Endpoints inside the map
+ *   (the originals where not cut), null when the segment misses the map
+ */
+function clipSegment(a, b) {
+  const dLon = b.lon - a.lon;
+  const dLat = b.lat - a.lat;
+  const edges = [
+    [-dLon, a.lon - GEO_BOUNDS.lonMin],
+    [dLon, GEO_BOUNDS.lonMax - a.lon],
+    [-dLat, a.lat - GEO_BOUNDS.latMin],
+    [dLat, GEO_BOUNDS.latMax - a.lat]
+  ];
+  
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return null;
+    } else if (p < 0) {
+      t0 = Math.max(t0, q / p);
+    } else {
+      t1 = Math.min(t1, q / p);
+    }
+  }
+  if (t0 >= t1) return null;
+  
+  const at = t => ({ lon: a.lon + dLon * t, lat: a.lat + dLat * t });
+  return { start: t0 > 0 ? at(t0) : a, end: t1 < 1 ? at(t1) : b };
+}
+
+/**
+ * Parse a sensitive-receptor file.
+ *
+ * @param {string} text - File contents (GeoJSON or CSV)
+ * @returns {{receptors: Array, skipped: number}} Receptors in RECEPTORS
+ *   shape; skipped counts receptors outside the map
+ * @throws {Error} On malformed input, naming the offending line / feature
+ */
+export function parseReceptors(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Receptor file is empty');
+  
+  const records = trimmed[0] === '{'
+    ? parseGeoJSONRecords(trimmed, 'Receptor')
+    : parseCSVRecords(trimmed, 'Receptor', RECEPTOR_CSV_REQUIRED_COLUMNS);
+  
+  const result = { receptors: [], skipped: 0 };
+  
+  records.forEach(({ label, properties, coordinates }) => {
+    const id = String(properties.id ?? '').trim();
+    if (!id) throw new Error(`${label}: missing id`);
+    if (coordinates.length !== 1) throw new Error(`${label}: a receptor needs a single point`);
+    
+    const type = String(properties.type ?? '').trim().toLowerCase() || 'other';
+    if (!RECEPTOR_TYPES[type]) throw new Error(`${label}: unknown receptor type "${type}"`);
+    
+    const coords = {
+      lon: requireNumber(coordinates[0][0], 'lon', label),
+      lat: requireNumber(coordinates[0][1], 'lat', label)
+    };
+    if (!isInBounds(coords.lon, coords.lat)) {
+      result.skipped++;
+      return;
+    }
+    
+    const receptor = { id, name: String(properties.name ?? '').trim() || id, type, coords };
+    
+    Object.keys(POLLUTANT_TYPES).forEach(pollutantId => {
+      const threshold = optionalNumber(
+        properties[pollutantId] ?? properties[pollutantId.toLowerCase()], pollutantId, label);
+      if (threshold === undefined) return;
+      if (threshold <= 0) throw new Error(`${label}: ${pollutantId} threshold must be positive`);
+      receptor.thresholds = receptor.thresholds || {};
+      receptor.thresholds[pollutantId] = threshold;
+    });
+    
+    result.receptors.push(receptor);
+  });
+  
+  if (result.receptors.length === 0) {
+    throw new Error(result.skipped > 0
+      ? `Receptor file has no receptors inside the map (${result.skipped} outside)`
+      : 'Receptor file has no receptors');
+  }
+  return result;
+}
+
+function parseGeoJSONRecords(text, kind) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${kind} file is not valid JSON: ${error.message}`);
+  }
+  
+  if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error(`${kind} GeoJSON must be a FeatureCollection`);
+  }
+  
+  return data.features.map((feature, i) => {
+    const properties = { id: feature.id, ...feature.properties };
+    const label = `Feature ${properties.id ?? i + 1}`;
+    const geometry = feature.geometry;
+    
+    if (geometry?.type === 'Point') {
+      return { label, properties, coordinates: [geometry.coordinates] };
+    }
+    if (geometry?.type === 'LineString') {
+      return { label, properties, coordinates: geometry.coordinates };
+    }
+    throw new Error(`${label}: geometry must be a Point or LineString (got ${geometry?.type ?? 'none'})`);
+  });
+}
+
+function parseCSVRecords(text, kind, requiredColumns) {
+  // Consecutive rows with the same id are one emitter (highway waypoints)
+  const records = [];
+  let current = null;
+  readCSV(text, kind, requiredColumns).rows.forEach(({ label, record }) => {
+    if (current && record.id !== undefined && record.id === current.properties.id) {
+      current.coordinates.push([record.lon, record.lat]);
+      return;
+    }
+    const { lon, lat, ...properties } = record;
+    current = { label, properties, coordinates: [[lon, lat]] };
+    records.push(current);
+  });
+  return records;
+}
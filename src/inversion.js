@@ -0,0 +1,85 @@
+/**
+ * inversion.js - Visual for the mixing-height / inversion lid
+ * 
+ * A translucent haze-coloured sheet at the current lid height
+ * (traffic.js getMixingHeight). Hills taller than the lid poke through
+ * it, and it grows more opaque as the inversion strengthens.
+ */
+
+import * as THREE from 'three';
+import { MAP_BOUNDS } from './heightmap.js';
+import { getMixingHeight } from './traffic.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  color: 0xd8c49a,         // Brownish marine-layer haze
+  minOpacity: 0.04,        // Weak lid barely visible
+  maxOpacity: 0.22,        // Strong lid
+  renderOrder: 5
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let mesh = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+export function initInversion(sceneRef) {
+  console.log('🌫️ Initializing inversion layer...');
+  
+  scene = sceneRef;
+  
+  const geometry = new THREE.PlaneGeometry(MAP_BOUNDS.width, MAP_BOUNDS.depth);
+  geometry.rotateX(-Math.PI / 2);
+  
+  const material = new THREE.MeshBasicMaterial({
+    color: CONFIG.color,
+    transparent: true,
+    opacity: CONFIG.minOpacity,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  });
+  
+  mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'inversionLid';
+  mesh.renderOrder = CONFIG.renderOrder;
+  scene.add(mesh);
+  
+  return mesh;
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Move the sheet to the current lid height and fade with strength
+ */
+export function updateInversion(settings) {
+  if (!mesh) return;
+  
+  const strength = Math.min(1, Math.max(0, settings.inversionStrength ?? 0));
+  mesh.position.y = getMixingHeight(settings);
+  mesh.material.opacity = CONFIG.minOpacity + (CONFIG.maxOpacity - CONFIG.minOpacity) * strength;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function disposeInversion() {
+  if (mesh && scene) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+  mesh = null;
+}
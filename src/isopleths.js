@@ -0,0 +1,245 @@
+/**
+ * isopleths.js - Iso-concentration lines on the terrain
+ *
+ * Runs contours.js ContourGenerator (marching triangles + ribbons) over
+ * the near-surface concentration field (surface.js) instead of the terrain
+ * heights: lattice triangles carry the concentration in their vertex Y,
+ * and the crossings are dropped back onto the ground. Lines sit at the
+ * AQI category boundaries in the EPA colours, or at user-chosen levels in
+ * the heatmap's colormap, and are regenerated every few simulated seconds.
+ */
+
+import * as THREE from 'three';
+import { ContourGenerator } from './contours.js';
+import { MAP_BOUNDS, getHeightmap, getTerrainHeight } from './heightmap.js';
+import { createSurfaceLattice, sampleSurfaceField } from './surface.js';
+import { getAQIBoundaries } from './aqi.js';
+import { sampleColormap } from './heatmap.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  cols: 151,                  // Lattice points west to east (~1 km)
+  regenerateInterval: 3,      // Simulated seconds between regenerations
+  defaultLevels: [1, 3, 10, 30, 100],   // µg/m³ for pollutants without an AQI
+  
+  // ContourGenerator overrides
+  style: {
+    minorWidth: 0.25,
+    majorWidth: 0.45,         // AQI 100 (the standard) and worse
+    minorColor: 0xffffff,
+    yOffset: 0.15,            // Over the ground heatmap
+    opacity: 0.9
+  }
+};
+
+// ============================================
+// GENERATOR
+// ============================================
+
+class IsoplethGenerator extends ContourGenerator {
+  constructor(config = {}) {
+    super(null, config);
+    this.nodes = [];
+    this.levelColors = new Map();   // Level value -> THREE.Color
+    this.contourGroup = new THREE.Group();
+    this.contourGroup.name = 'isopleths';
+  }
+  
+  /**
+   * Two triangles per lattice square; nodes are shared so a new field only
+   * rewrites their Y
+   */
+  extractTriangles() {
+    const { cols, rows, x, z } = this.lattice;
+    
+    this.nodes = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        this.nodes.push(new THREE.Vector3(x[col], 0, z[row]));
+      }
+    }
+    
+    this.triangleCache = [];
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const a = row * cols + col;
+        const c = a + cols;
+        this.triangleCache.push(
+          { v0: this.nodes[a], v1: this.nodes[c], v2: this.nodes[a + 1] },
+          { v0: this.nodes[a + 1], v1: this.nodes[c], v2: this.nodes[c + 1] }
+        );
+      }
+    }
+    this.stats.triangleCount = this.triangleCache.length;
+  }
+  
+  /**
+   * Rebuild the ribbons for a new field
+   * @param {Object} lattice - surface.js createSurfaceLattice()
+   * @param {Float32Array} field - µg/m³ per lattice point
+   * @param {Array} levels - From getIsoplethLevels()
+   */
+  update(lattice, field, levels) {
+    const resized = this.lattice?.cols !== lattice.cols || this.lattice?.rows !== lattice.rows;
+    this.lattice = lattice;
+    if (resized) this.extractTriangles();
+    field.forEach((value, i) => { this.nodes[i].y = value; });
+    
+    this.levelColors = new Map(levels.map(level => [level.value, new THREE.Color(level.color)]));
+    
+    const segments = [];
+    levels.forEach(level => {
+      this.findContourSegments(level.value).forEach(segment => {
+        // Crossings come back at y = concentration; put them on the ground
+        segment.p1.y = getTerrainHeight(segment.p1.x, segment.p1.z);
+        segment.p2.y = getTerrainHeight(segment.p2.x, segment.p2.z);
+        segment.elevation = level.value;
+        segment.isMajor = level.isMajor;
+        segment.isCoastline = false;
+        segments.push(segment);
+      });
+    });
+    
+    this.contourGroup.children.slice().forEach(child => {
+      this.contourGroup.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    const ribbons = this.buildRibbonMesh(segments);
+    if (ribbons) {
+      ribbons.name = 'isoplethRibbons';
+      this.contourGroup.add(ribbons);
+    }
+    this.stats.segmentCount = segments.length;
+    this.stats.contourLevels = levels.length;
+  }
+  
+  getContourColor(elevation) {
+    return this.levelColors.get(elevation) || new THREE.Color(this.config.minorColor);
+  }
+}
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let generator = null;
+let lattice = null;
+let latticeSource = undefined;   // Heightmap data the lattice was sampled on
+let field = null;
+let lastTime = -Infinity;        // Simulation time of the last regeneration
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+export function initIsopleths(sceneRef) {
+  console.log('〰️ Initializing isopleths...');
+  
+  scene = sceneRef;
+  generator = new IsoplethGenerator(CONFIG.style);
+  return generator.contourGroup;
+}
+
+// ============================================
+// LEVELS
+// ============================================
+
+/**
+ * Concentrations to draw lines at
+ * @param {string} pollutantId
+ * @param {Array<number>|null} custom - User-chosen µg/m³ (null or empty for
+ *   the AQI category boundaries, or fixed levels without an AQI)
+ * @param {string} colormap - Key of heatmap.js HEATMAP_COLORMAPS for
+ *   levels that aren't AQI boundaries
+ * @returns {Array<{value: number, color: number, isMajor: boolean, label: string}>}
+ *   value in µg/m³, ascending
+ */
+export function getIsoplethLevels(pollutantId, custom, colormap) {
+  const boundaries = custom?.length ? [] : getAQIBoundaries(pollutantId);
+  if (boundaries.length > 0) {
+    return boundaries.map(boundary => ({
+      value: boundary.concentration,
+      color: boundary.category.color,
+      isMajor: boundary.aqi >= 100,
+      label: `AQI ${boundary.aqi}`
+    }));
+  }
+  
+  const values = [...(custom?.length ? custom : CONFIG.defaultLevels)].sort((a, b) => a - b);
+  return values.map((value, i) => ({
+    value,
+    color: sampleColormap(colormap, values.length > 1 ? i / (values.length - 1) : 1),
+    isMajor: false,
+    label: `${value} µg/m³`
+  }));
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Regenerate the lines when enough simulated time has passed (skipped
+ * while hidden).
+ * @param {Function} getMass - pollutantId => dense kg per grid cell
+ *   (orchestrator getCellMass)
+ * @param {Object} settings - isoplethPollutant, isoplethLevels (µg/m³ or
+ *   null), heatmapColormap
+ * @param {number} simTime - Simulated seconds (TimeManager.getTime())
+ */
+export function updateIsopleths(getMass, settings, simTime) {
+  if (!generator || !generator.isVisible) return;
+  if (simTime >= lastTime && simTime - lastTime < CONFIG.regenerateInterval) return;
+  lastTime = simTime;
+  
+  const heightmap = getHeightmap();
+  const source = heightmap ? heightmap.data : null;
+  if (!lattice || source !== latticeSource) {
+    const rows = Math.round(CONFIG.cols * MAP_BOUNDS.depth / MAP_BOUNDS.width);
+    lattice = createSurfaceLattice(CONFIG.cols, rows);
+    latticeSource = source;
+  }
+  
+  field = sampleSurfaceField(getMass(settings.isoplethPollutant), lattice, field || undefined);
+  generator.update(lattice, field,
+    getIsoplethLevels(settings.isoplethPollutant, settings.isoplethLevels, settings.heatmapColormap));
+}
+
+/**
+ * Regenerate on the next update (settings changed)
+ */
+export function refreshIsopleths() {
+  lastTime = -Infinity;
+}
+
+export function setIsoplethsVisible(visible) {
+  if (!generator) return;
+  if (visible) {
+    generator.show(scene);
+    refreshIsopleths();
+  } else {
+    generator.hide();
+  }
+}
+
+export function areIsoplethsVisible() {
+  return generator ? generator.getIsVisible() : false;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function disposeIsopleths() {
+  if (generator) generator.dispose();
+  generator = null;
+  lattice = null;
+  latticeSource = undefined;
+  field = null;
+  scene = null;
+}
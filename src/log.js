@@ -0,0 +1,25 @@
+/**
+ * log.js - Progress messages from the simulation core
+ *
+ * Core modules report setup and progress through log() / warn() rather than
+ * the console directly, so a host can silence them (the CLI's --quiet)
+ * without patching the global console. Errors still go to console.error.
+ */
+
+let quiet = false;
+
+/**
+ * Silence (or restore) log() and warn()
+ * @param {boolean} value
+ */
+export function setQuiet(value) {
+  quiet = value;
+}
+
+export function log(...args) {
+  if (!quiet) console.log(...args);
+}
+
+export function warn(...args) {
+  if (!quiet) console.warn(...args);
+}
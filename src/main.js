@@ -8,20 +8,36 @@
  * 1. Get real delta time from clock
  * 2. TimeManager.update() returns number of fixed steps to run
  * 3. Run simulation N times with fixed dt (frame-rate independent)
- * 4. Render once per frame (can interpolate for smoothness)
+ * 4. Render once per frame, with the smog blended between the last two
+ *    steps by TimeManager.getAlpha()
  */
 
 import * as THREE from 'three';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
-import { initMap, disposeMap, getTerrainMesh, createHighwayRibbons, getLandmarkMeshes, setHoveredLandmark } from './map.js';
-import { initControls, updateControls } from './controls.js';
-import { initHUD, updateHUD } from './hud.js';
-import { initPolluters } from './polluters.js';
-import { initTraffic } from './traffic.js';
-import { initOrchestrator, stepOrchestrator, resetOrchestrator, setPaused, getParticleCount, getParticles } from './orchestrator.js';
+import { initMap, disposeMap, getTerrainMesh, createHighwayRibbons, refreshEmitterMarkers, getLandmarkMeshes, setHoveredLandmark } from './map.js';
+import { initControls, updateControls, getControls } from './controls.js';
+import { initHUD, updateHUD, updateSourceBreakdown, hideSourceBreakdown, setStationStatus, setInventoryStatus, updateAQITable, updateExposurePanel, setPopulationStatus, updateAlertsPanel, setReceptorsStatus, setRegionsStatus, setSectionDrawing, updateSectionPanel, hideSectionPanel, updateIsoplethLegend } from './hud.js';
+import { initPolluters, POLLUTANT_TYPES } from './polluters.js';
+import { initTraffic, getMixingHeight } from './traffic.js';
+import { initOrchestrator, stepOrchestrator, resetOrchestrator, setPaused, getCompletedSteps, setStationObservations, setEmitterInventory, getParticleCount, getParticles, getSourceContributions, sampleGroundConcentration, getCellMass, setSmogRenderMode, renderOrchestrator } from './orchestrator.js';
+import { parseStationObservations } from './windfield.js';
+import { parseInventory, parseReceptors } from './inventory.js';
+import { parseRegionBoundaries, isBoundaryFile } from './boundaries.js';
+import { HEALTH_ENDPOINTS, parsePopulation, setPopulation, getBuiltInPopulationSummary, updateExposure, resetExposure, getExposureReport, exposureReportToCSV } from './exposure.js';
+import { ALERT_CONFIG, updateReceptors, resetReceptorAlerts, getReceptorAlerts, getAlertingReceptors, alertsToCSV } from './alerts.js';
+import { SIM_HOURS_PER_SECOND } from './simulation.js';
+import { VERTICAL_SCALE } from './heightmap.js';
+import { setInventory, setReceptors, RECEPTORS } from './registry.js';
+import { setRegions, getRegionRaster } from './regions.js';
+import { getZoneIndex } from './zones.js';
 import { TimeManager, initSky, setTimeOfDay, updateSky, getTimeLabel } from './chronograph.js';
 import { initContours, toggleContours, areContoursVisible } from './contours.js';
-import { initCounties, updatePollutionFromParticles, toggleCounties as toggleCountyRegions, areCountiesVisible } from './county.js';
+import { initInversion, updateInversion } from './inversion.js';
+import { initReceptors, updateReceptorMarkers, refreshReceptorMarkers } from './receptors.js';
+import { initHeatmap, updateHeatmap, setHeatmapVisible } from './heatmap.js';
+import { initSection, previewSectionLine, setSectionLine, updateSection, clearSection, hasSection } from './section.js';
+import { initIsopleths, updateIsopleths, refreshIsopleths, setIsoplethsVisible, getIsoplethLevels } from './isopleths.js';
+import { initCounties, disposeCounties, setCountiesVisible, updatePollutionFromParticles, toggleCounties as toggleCountyRegions, areCountiesVisible, getRegions, selectRegion, getSelectedRegion, getRegionFillMeshes, getRegionAirQuality } from './county.js';
 
 // ============================================
 // Global App State
@@ -30,37 +46,75 @@ export const appState = {
   paused: false,
   contoursInitialized: false,
   highwaysInitialized: false,
-  countiesInitialized: false
+  countiesInitialized: false,
+  receptorsInitialized: false,
+  heatmapInitialized: false,
+  stationsLoaded: false,   // Station observations drive the wind (sliders ignored)
+  inventoryLoaded: false,  // Imported emission inventory replaces the built-in emitters
+  populationLoaded: false, // Population file replaces the built-in county estimate
+  receptorsLoaded: false,  // Receptor file replaces the built-in schools / hospitals
+  regionsLoaded: false,    // Boundary file replaces the bundled census county lines
+  drawingSection: false,   // Next drag on the terrain lays a cross-section (orbit paused)
+  sourcePollutant: 'ALL'   // Pollutant shown in the source breakdown panel
 };
 
+// How often the source breakdown panel is recomputed (real seconds)
+const SOURCE_PANEL_INTERVAL = 0.5;
+
 export const settings = {
   // Wind / Transport
-  windDirection: 120,    // degrees (0 = North, 90 = East, etc.)
+  windDirection: 240,    // degrees the wind blows from (0 = North, 90 = East, etc.)
   windSpeed: 4.0,        // m/s
   turbulence: 0.3,       // 0-1 mixing strength
+  inversionStrength: 0.5, // 0-1 how hard the mixing-height lid traps pollution
   
   // Emissions
-  emissionRate: 0.2,     // multiplier
+  emissionRate: 1.0,     // multiplier on inventory emissions (1 = as reported)
+  
+  // Receptor alerts
+  alertLevel: 1.0,       // alert threshold as a share of the air quality standard
+  
+  // Randomness (same seed + settings = same particles; applied on reset)
+  seed: 1,
   
   // Pollutant toggles
   enablePM25: true,
   enableVOC: true,
-  enableOzone: true,
+  enableNOx: true,
+  enableOzone: true,     // Photochemical O₃ formation
   
   // Time of day
   timeOfDay: 10,         // 0-24 hour scale
-  autoTime: false,       // Auto-cycle time
-  autoTimeSpeed: 0.5,    // Hours per real second when auto
+  dayOfWeek: 2,          // 0 = Sunday; drives weekday/weekend traffic
+  month: 6,              // 0 = January; seasonal emission cycles and sea breeze
+  autoTime: false,       // Auto-cycle time (SIM_HOURS_PER_SECOND per simulated second)
   brightness: 1.0,       // Lighting intensity multiplier
   
   // Simulation
-  timeScale: 1.0,        // simulation speed multiplier
+  timeScale: 1.0,        // Simulated seconds per real second
   
   // Contours
   showContours: false,
   
   // Counties
-  showCounties: true
+  showCounties: true,
+  
+  // Smog: ray-marched haze, or per-cell prisms for low-end machines
+  volumetricSmog: true,
+  
+  // Ground heatmap (near-surface concentration on the terrain)
+  showHeatmap: false,
+  heatmapPollutant: 'AQI',  // pollutant id, or 'AQI' for the combined index
+  heatmapColormap: 'viridis',
+  heatmapMax: 35,           // µg/m³ at the top of the colormap
+  
+  // Cross-section (shares the heatmap's colormap and range)
+  sectionPollutant: 'PM25',
+  
+  // Isopleths (iso-concentration lines on the ground)
+  showIsopleths: false,
+  isoplethPollutant: 'PM25',
+  isoplethLevels: null      // µg/m³; null for the AQI category boundaries
 };
 
 // ============================================
@@ -71,6 +125,11 @@ let clock;
 let stats;
 let raycaster, mouse;
 let isMouseOverCanvas = false;
+let pointerDownAt = null;
+let sectionDrag = null;   // { start, end } world points while a cross-section is dragged
+let sourcePanelTimer = 0;
+let exposureHours = 0;    // Scenario hours simulated since the last exposure update
+let receptorSteps = 0;    // Completed steps at the last receptor update
 
 function initThree() {
   // Scene
@@ -129,6 +188,205 @@ function initThree() {
     isMouseOverCanvas = false;
     setHoveredLandmark(null);
   });
+  
+  // Click (without dragging) selects a county for source breakdown
+  // (or, in cross-section mode, drags out the section line)
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+    if (appState.drawingSection) startSectionDrag(event);
+  });
+  renderer.domElement.addEventListener('pointermove', onSectionDrag);
+  renderer.domElement.addEventListener('pointerup', onPointerUp);
+}
+
+/**
+ * Select the county under the cursor on click (ignores orbit drags)
+ */
+function onPointerUp(event) {
+  if (sectionDrag) {
+    pointerDownAt = null;
+    finishSectionDrag();
+    return;
+  }
+  if (!pointerDownAt) return;
+  const moved = Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y);
+  pointerDownAt = null;
+  if (moved > 5 || appState.drawingSection || !appState.countiesInitialized || !areCountiesVisible()) return;
+  
+  onMouseMove(event);
+  raycaster.setFromCamera(mouse, camera);
+  const hits = raycaster.intersectObjects(getRegionFillMeshes(), false);
+  
+  selectRegion(hits.length > 0 ? hits[0].object.userData.regionId : null);
+  refreshSourceBreakdown();
+}
+
+/**
+ * Recompute the source breakdown for the selected county
+ */
+function refreshSourceBreakdown() {
+  const regionId = getSelectedRegion();
+  if (!regionId) {
+    hideSourceBreakdown();
+    return;
+  }
+  
+  const pollutants = appState.sourcePollutant === 'ALL' ? undefined : [appState.sourcePollutant];
+  const raster = getRegionRaster();
+  const zoneIndex = raster.ids.indexOf(regionId);
+  const contributions = getSourceContributions(
+    (x, z) => getZoneIndex(raster, x, z) === zoneIndex,
+    { pollutants }
+  );
+  updateSourceBreakdown(getRegions()[regionId].name, contributions);
+}
+
+/**
+ * Push the per-county AQI to the HUD table
+ */
+function refreshAQITable() {
+  const regions = getRegions();
+  const rows = Object.entries(getRegionAirQuality())
+    .filter(([id]) => regions[id].type === 'county')
+    .map(([id, quality]) => ({
+      name: regions[id].name,
+      aqi: quality.aqi,
+      pollutant: quality.dominant ? POLLUTANT_TYPES[quality.dominant].name : '',
+      category: quality.category.name,
+      color: quality.category.color
+    }));
+  updateAQITable(rows);
+}
+
+/**
+ * Fold the scenario time since the last refresh into the health impacts
+ * and update the panel
+ */
+function refreshExposure() {
+  updateExposure(sampleGroundConcentration, exposureHours);
+  exposureHours = 0;
+  updateExposurePanel(getExposureReport(), HEALTH_ENDPOINTS);
+}
+
+/**
+ * Population status for the census estimate: counties matched by name, or
+ * an error when the boundary file names none of them
+ */
+function showBuiltInPopulationStatus() {
+  const { counties, population } = getBuiltInPopulationSummary();
+  if (counties === 0) {
+    setPopulationStatus('No county names match the 2020 Census table; population is zero', false, true);
+  } else {
+    setPopulationStatus(`2020 Census county totals: ${counties} counties, ${Math.round(population).toLocaleString()} people`, false);
+  }
+}
+
+function resetScenarioExposure() {
+  resetExposure();
+  exposureHours = 0;
+  resetReceptorAlerts();
+  receptorSteps = 0;
+}
+
+/**
+ * Sample every receptor at ground level once per snapshot from the worker,
+ * advancing the threshold alerts by the steps that snapshot covers and
+ * crediting new peaks to the emitters of the particles around the receptor
+ */
+function refreshReceptors() {
+  const completed = getCompletedSteps();
+  if (completed <= receptorSteps) return;
+  const hours = (completed - receptorSteps) * TimeManager.getDt() * SIM_HOURS_PER_SECOND;
+  receptorSteps = completed;
+  
+  const radiusSq = ALERT_CONFIG.sourceRadius * ALERT_CONFIG.sourceRadius;
+  updateReceptors(sampleGroundConcentration, hours, {
+    level: settings.alertLevel,
+    attribute: (x, z, pollutantId) => getSourceContributions(
+      (px, pz) => (px - x) * (px - x) + (pz - z) * (pz - z) <= radiusSq,
+      { pollutants: [pollutantId] }
+    ).bySource
+  });
+}
+
+function refreshAlertsPanel() {
+  const names = Object.fromEntries(Object.entries(POLLUTANT_TYPES).map(([id, type]) => [id, type.name]));
+  updateAlertsPanel(getReceptorAlerts(), RECEPTORS.length, names);
+}
+
+// ============================================
+// Cross-Section
+// ============================================
+
+/**
+ * Enter or leave cross-section mode (orbit controls paused meanwhile)
+ */
+function setSectionDrawMode(drawing) {
+  appState.drawingSection = drawing;
+  sectionDrag = null;
+  previewSectionLine(null, null);
+  getControls().enabled = !drawing;
+  renderer.domElement.style.cursor = drawing ? 'crosshair' : '';
+  setSectionDrawing(drawing, hasSection());
+}
+
+function startSectionDrag(event) {
+  const point = pickTerrain(event);
+  if (point) sectionDrag = { start: point, end: null };
+}
+
+function onSectionDrag(event) {
+  if (!sectionDrag) return;
+  const point = pickTerrain(event);
+  if (point) {
+    sectionDrag.end = point;
+    previewSectionLine(sectionDrag.start, point);
+  }
+}
+
+/**
+ * Stand the curtain on the dragged line; a click or very short drag keeps
+ * waiting for a proper line
+ */
+function finishSectionDrag() {
+  const { start, end } = sectionDrag;
+  sectionDrag = null;
+  if (end && setSectionLine(start, end)) {
+    setSectionDrawMode(false);
+    refreshSection();
+  } else {
+    previewSectionLine(null, null);
+  }
+}
+
+/**
+ * Recolour the curtain and redraw the panel plot
+ */
+function refreshSection() {
+  const profile = updateSection(getCellMass, settings);
+  if (!profile) return;
+  updateSectionPanel(profile, {
+    pollutantName: POLLUTANT_TYPES[settings.sectionPollutant].name,
+    max: settings.heatmapMax,
+    mixingHeight: getMixingHeight(settings),
+    verticalScale: VERTICAL_SCALE
+  });
+}
+
+function refreshIsoplethLegend() {
+  updateIsoplethLegend(getIsoplethLevels(settings.isoplethPollutant, settings.isoplethLevels, settings.heatmapColormap));
+}
+
+/**
+ * World point on the terrain under the cursor, or null
+ */
+function pickTerrain(event) {
+  const terrain = getTerrainMesh();
+  if (!terrain) return null;
+  onMouseMove(event);
+  raycaster.setFromCamera(mouse, camera);
+  const hits = raycaster.intersectObject(terrain, false);
+  return hits.length > 0 ? hits[0].point : null;
 }
 
 /**
@@ -222,6 +480,28 @@ function tryInitHighways() {
   }
 }
 
+// ============================================
+// Ground Heatmap (waits for terrain)
+// ============================================
+function tryInitHeatmap() {
+  const terrain = getTerrainMesh();
+  if (terrain && !appState.heatmapInitialized) {
+    initHeatmap(scene, terrain);
+    setHeatmapVisible(settings.showHeatmap);
+    appState.heatmapInitialized = true;
+  }
+}
+
+// ============================================
+// Receptor Markers (wait for terrain)
+// ============================================
+function tryInitReceptors() {
+  if (getTerrainMesh() && !appState.receptorsInitialized) {
+    initReceptors(scene);
+    appState.receptorsInitialized = true;
+  }
+}
+
 // ============================================
 // County Initialization (can init immediately)
 // ============================================
@@ -255,6 +535,9 @@ async function init() {
   initTraffic(mapData, settings);
   const polluters = initPolluters(mapData);
   initOrchestrator(scene, mapData, polluters, settings);
+  initInversion(scene);
+  initSection(scene);
+  initIsopleths(scene);
   
   // Initialize HUD with callbacks
   initHUD(settings, {
@@ -271,6 +554,30 @@ async function init() {
         setTimeOfDay(settings.timeOfDay, scene, settings.brightness);
       }
       
+      if ('volumetricSmog' in newSettings) {
+        setSmogRenderMode(newSettings.volumetricSmog ? 'volume' : 'prisms');
+      }
+      
+      // Ground heatmap toggle and appearance (redrawn at once, not on the next refresh)
+      if ('showHeatmap' in newSettings) {
+        setHeatmapVisible(settings.showHeatmap);
+      }
+      if (['showHeatmap', 'heatmapPollutant', 'heatmapColormap', 'heatmapMax'].some(key => key in newSettings)) {
+        updateHeatmap(getCellMass, settings);
+      }
+      if (['sectionPollutant', 'heatmapColormap', 'heatmapMax'].some(key => key in newSettings)) {
+        refreshSection();
+      }
+      
+      // Isopleths toggle and levels (regenerated on the next frame)
+      if ('showIsopleths' in newSettings) {
+        setIsoplethsVisible(settings.showIsopleths);
+      }
+      if (['isoplethPollutant', 'isoplethLevels', 'heatmapColormap'].some(key => key in newSettings)) {
+        refreshIsopleths();
+        refreshIsoplethLegend();
+      }
+      
       // Handle contour toggle
       if ('showContours' in newSettings) {
         if (appState.contoursInitialized) {
@@ -282,8 +589,9 @@ async function init() {
       }
     },
     onReset: () => {
-      resetOrchestrator();
+      resetOrchestrator(settings.seed);
       TimeManager.reset();
+      resetScenarioExposure();
     },
     onPauseToggle: () => {
       appState.paused = !appState.paused;
@@ -303,15 +611,266 @@ async function init() {
       } else {
         console.log('Counties not yet initialized');
       }
+    },
+    onSourcePollutantChange: (pollutantId) => {
+      appState.sourcePollutant = pollutantId;
+      refreshSourceBreakdown();
+    },
+    onClearRegion: () => {
+      selectRegion(null);
+      refreshSourceBreakdown();
+    },
+    onLoadStations: async (file) => {
+      try {
+        const stations = parseStationObservations(await file.text());
+        setStationObservations(stations);
+        appState.stationsLoaded = true;
+        setStationStatus(`${file.name}: ${stations.length} stations`, true);
+      } catch (error) {
+        console.error('Station file rejected:', error);
+        setStationStatus(error.message, appState.stationsLoaded, true);
+      }
+    },
+    onClearStations: () => {
+      setStationObservations(null);
+      appState.stationsLoaded = false;
+      setStationStatus('Using wind sliders', false);
+    },
+    onLoadRegions: async (file) => {
+      try {
+        applyRegions(parseRegionBoundaries(await file.text()), file.name);
+      } catch (error) {
+        console.error('Boundary file rejected:', error);
+        setRegionsStatus(error.message, appState.regionsLoaded, true);
+      }
+    },
+    onClearRegions: () => {
+      applyRegions(null, null);
+    },
+    onDropFile: async (file) => {
+      const text = await file.text();
+      const boundaries = isBoundaryFile(text);
+      try {
+        if (boundaries) {
+          applyRegions(parseRegionBoundaries(text), file.name);
+        } else {
+          applyInventory(parseInventory(text), file.name, mapData);
+        }
+      } catch (error) {
+        console.error('Dropped file rejected:', error);
+        if (boundaries) {
+          setRegionsStatus(error.message, appState.regionsLoaded, true);
+        } else {
+          setInventoryStatus(error.message, appState.inventoryLoaded, true);
+        }
+      }
+    },
+    onLoadInventory: async (file) => {
+      try {
+        applyInventory(parseInventory(await file.text()), file.name, mapData);
+      } catch (error) {
+        console.error('Inventory rejected:', error);
+        setInventoryStatus(error.message, appState.inventoryLoaded, true);
+      }
+    },
+    onClearInventory: () => {
+      applyInventory(null, null, mapData);
+    },
+    onLoadPopulation: async (file) => {
+      try {
+        const population = parsePopulation(await file.text());
+        setPopulation(population);
+        exposureHours = 0;
+        appState.populationLoaded = true;
+        const people = population.points.reduce((sum, p) => sum + p.population, 0);
+        setPopulationStatus(`${file.name}: ${Math.round(people).toLocaleString()} people`, true);
+      } catch (error) {
+        console.error('Population file rejected:', error);
+        setPopulationStatus(error.message, appState.populationLoaded, true);
+      }
+    },
+    onClearPopulation: () => {
+      setPopulation(null);
+      exposureHours = 0;
+      appState.populationLoaded = false;
+      showBuiltInPopulationStatus();
+    },
+    onExportExposure: () => {
+      downloadCSV(exposureReportToCSV(getExposureReport()), 'exposure.csv');
+    },
+    onLoadReceptors: async (file) => {
+      try {
+        applyReceptors(parseReceptors(await file.text()), file.name);
+      } catch (error) {
+        console.error('Receptor file rejected:', error);
+        setReceptorsStatus(error.message, appState.receptorsLoaded, true);
+      }
+    },
+    onClearReceptors: () => {
+      applyReceptors(null, null);
+    },
+    onExportAlerts: () => {
+      downloadCSV(alertsToCSV(getReceptorAlerts()), 'alerts.csv');
+    },
+    onDrawSection: () => {
+      setSectionDrawMode(!appState.drawingSection);
+    },
+    onCancelSection: () => {
+      if (appState.drawingSection) setSectionDrawMode(false);
+    },
+    onClearSection: () => {
+      clearSection();
+      hideSectionPanel();
+      setSectionDrawMode(false);
     }
   });
   
+  refreshIsoplethLegend();
+  
+  // County / water boundaries, loaded before the county meshes are built:
+  // the file named in the URL (?regions=data/counties.geojson), else the
+  // bundled census lines, else the hand-drawn outlines in regions.js
+  try {
+    defaultRegions = await fetchRegions(DEFAULT_REGIONS_URL);
+  } catch (error) {
+    console.error('Bundled boundaries rejected, using the hand-drawn outlines:', error);
+  }
+  const params = new URLSearchParams(window.location.search);
+  const regionsUrl = params.get('regions');
+  applyRegions(null, null);
+  if (regionsUrl) {
+    try {
+      applyRegions(await fetchRegions(regionsUrl), regionsUrl.split('/').pop());
+    } catch (error) {
+      console.error('Region boundaries rejected:', error);
+      setRegionsStatus(error.message, false, true);
+    }
+  }
+  
+  // Inventory named in the URL (?inventory=data/district.geojson)
+  const inventoryUrl = params.get('inventory');
+  if (inventoryUrl) {
+    try {
+      const response = await fetch(inventoryUrl);
+      if (!response.ok) throw new Error(`Failed to fetch ${inventoryUrl}: ${response.status}`);
+      applyInventory(parseInventory(await response.text()), inventoryUrl.split('/').pop(), mapData);
+    } catch (error) {
+      console.error('Inventory rejected:', error);
+      setInventoryStatus(error.message, false, true);
+    }
+  }
+  
   console.log('[OK] Initialization complete. Starting simulation...');
   
   // Start animation loop
   animate();
 }
 
+// ============================================
+// Region Boundaries
+// ============================================
+
+// Census county lines shipped in public/, used unless a boundary file is loaded
+const DEFAULT_REGIONS_URL = '/bay-area-regions.geojson';
+let defaultRegions = null;   // parseRegionBoundaries() result, null if the fetch failed
+
+async function fetchRegions(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  return parseRegionBoundaries(await response.text());
+}
+
+/**
+ * Swap the county / water boundaries and rebuild the county meshes. The
+ * region raster, exposure and mixing volumes follow on their next use.
+ * @param {Object|null} parsed - From parseRegionBoundaries(), null for the default
+ * @param {string|null} name - File name for the status line
+ */
+function applyRegions(parsed, name) {
+  const boundaries = parsed || defaultRegions;
+  setRegions(boundaries ? boundaries.regions : null);
+  if (appState.countiesInitialized) {
+    disposeCounties();
+    initCounties(scene);
+    setCountiesVisible(settings.showCounties);
+  }
+  refreshSourceBreakdown();
+  if (!appState.populationLoaded) showBuiltInPopulationStatus();
+  
+  appState.regionsLoaded = parsed !== null;
+  if (parsed) {
+    const skipped = parsed.skipped > 0 ? `, ${parsed.skipped} outside map` : '';
+    setRegionsStatus(`${name}: ${Object.keys(parsed.regions).length} regions${skipped}`, true);
+  } else if (defaultRegions) {
+    const counties = Object.values(defaultRegions.regions).filter(r => r.type === 'county').length;
+    setRegionsStatus(`Census county lines (${counties} counties)`, false);
+  } else {
+    setRegionsStatus('Bundled boundaries missing; hand-drawn outlines', false, true);
+  }
+}
+
+// ============================================
+// Emission Inventory
+// ============================================
+
+/**
+ * Swap the emitter network everywhere it is used: registry, emissions,
+ * worker, markers. Starts a new run.
+ * @param {Object|null} inventory - From parseInventory(), null for built-in
+ * @param {string|null} name - File name for the status line
+ * @param {Object} mapData - From initMap()
+ * @throws {Error} If the inventory fails registry validation
+ */
+function applyInventory(inventory, name, mapData) {
+  setInventory(inventory);
+  setEmitterInventory(inventory, initPolluters(mapData), settings.seed);
+  TimeManager.reset();
+  resetScenarioExposure();
+  refreshEmitterMarkers(scene);
+  
+  appState.inventoryLoaded = inventory !== null;
+  if (inventory) {
+    const skipped = inventory.skipped > 0 ? `, ${inventory.skipped} outside map` : '';
+    setInventoryStatus(`${name}: ${inventory.pointEmitters.length} points, ${inventory.lineEmitters.length} lines${skipped}`, true);
+  } else {
+    setInventoryStatus('Built-in emitters', false);
+  }
+}
+
+// ============================================
+// Sensitive Receptors
+// ============================================
+
+/**
+ * Swap the monitored receptors (registry, markers) and clear their alerts
+ * @param {Object|null} parsed - From parseReceptors(), null for built-in
+ * @param {string|null} name - File name for the status line
+ * @throws {Error} If the receptors fail registry validation
+ */
+function applyReceptors(parsed, name) {
+  setReceptors(parsed ? parsed.receptors : null);
+  resetReceptorAlerts();
+  receptorSteps = getCompletedSteps();
+  refreshReceptorMarkers();
+  refreshAlertsPanel();
+  
+  appState.receptorsLoaded = parsed !== null;
+  if (parsed) {
+    const skipped = parsed.skipped > 0 ? `, ${parsed.skipped} outside map` : '';
+    setReceptorsStatus(`${name}: ${parsed.receptors.length} receptors${skipped}`, true);
+  } else {
+    setReceptorsStatus('Built-in receptors', false);
+  }
+}
+
+function downloadCSV(csv, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 // ============================================
 // Animation Loop (Fixed Timestep)
 // ============================================
@@ -341,6 +900,16 @@ function animate() {
     tryInitCounties();
   }
   
+  // Try to initialize receptor markers if terrain is ready
+  if (!appState.receptorsInitialized) {
+    tryInitReceptors();
+  }
+  
+  // Try to initialize the ground heatmap if terrain is ready
+  if (!appState.heatmapInitialized) {
+    tryInitHeatmap();
+  }
+  
   // ============================================
   // FIXED TIMESTEP SIMULATION
   // ============================================
@@ -353,14 +922,19 @@ function animate() {
   for (let i = 0; i < steps; i++) {
     // Auto time progression (uses fixed dt for consistency)
     if (settings.autoTime && !appState.paused) {
-      settings.timeOfDay += fixedDt * settings.autoTimeSpeed;
+      settings.timeOfDay += fixedDt * SIM_HOURS_PER_SECOND;
       if (settings.timeOfDay >= 24) {
         settings.timeOfDay -= 24;
+        settings.dayOfWeek = (settings.dayOfWeek + 1) % 7;
       }
     }
     
     // Step the particle simulation with fixed dt
     stepOrchestrator(fixedDt, settings);
+    
+    // Scenario time for health impacts (the clock's rate whether or not it runs)
+    const stepHours = fixedDt * SIM_HOURS_PER_SECOND;
+    exposureHours += stepHours;
   }
   
   // ============================================
@@ -373,7 +947,23 @@ function animate() {
   
   // Update county pollution levels based on particle positions
   if (appState.countiesInitialized) {
-    updatePollutionFromParticles(getParticles());
+    updatePollutionFromParticles(getParticles(), settings);
+  }
+  
+  // Receptor readings follow every snapshot; alert markers pulse per frame
+  refreshReceptors();
+  updateReceptorMarkers(getAlertingReceptors(), realDeltaTime);
+  
+  // Refresh source breakdown, AQI, exposure and the alerts panel (throttled)
+  sourcePanelTimer += realDeltaTime;
+  if (sourcePanelTimer >= SOURCE_PANEL_INTERVAL) {
+    sourcePanelTimer = 0;
+    refreshSourceBreakdown();
+    if (appState.countiesInitialized) refreshAQITable();
+    refreshExposure();
+    refreshAlertsPanel();
+    updateHeatmap(getCellMass, settings);
+    refreshSection();
   }
   
   // Update sky visuals
@@ -382,6 +972,9 @@ function animate() {
   }
   updateSky(realDeltaTime, settings.timeOfDay);
   
+  // Inversion lid follows time of day and strength
+  updateInversion(settings);
+  
   // Update HUD
   updateHUD({
     particleCount: getParticleCount(),
@@ -389,10 +982,17 @@ function animate() {
     paused: appState.paused,
     timeOfDay: settings.timeOfDay,
     timeLabel: getTimeLabel(settings.timeOfDay),
+    dayOfWeek: settings.dayOfWeek,
     contoursVisible: areContoursVisible(),
     fps: TimeManager.getStats().fps
   });
   
+  // Isopleths follow the ground-level field every few simulated seconds
+  updateIsopleths(getCellMass, settings, TimeManager.getTime());
+  
+  // Smog between the last two steps (smooth at any frame rate or time scale)
+  renderOrchestrator(TimeManager.getAlpha());
+  
   // Render
   renderer.render(scene, camera);
   
@@ -12,118 +12,27 @@ import {
   getProfile, 
   geoToWorld as registryGeoToWorld 
 } from './registry.js';
-
-// ============================================
-// Simple TIFF Parser (for uncompressed 32-bit float GeoTIFF)
-// ============================================
-
-async function parseGeoTIFF(arrayBuffer) {
-  const view = new DataView(arrayBuffer);
-  
-  // Check byte order (II = little-endian, MM = big-endian)
-  const byteOrder = view.getUint16(0, true);
-  const littleEndian = (byteOrder === 0x4949); // 'II'
-  
-  // Verify TIFF magic number
-  const magic = view.getUint16(2, littleEndian);
-  if (magic !== 42) throw new Error('Not a valid TIFF file');
-  
-  // Get IFD offset
-  const ifdOffset = view.getUint32(4, littleEndian);
-  
-  // Read IFD entries
-  const numEntries = view.getUint16(ifdOffset, littleEndian);
-  
-  let width = 0, height = 0, bitsPerSample = 0, stripOffsets = [], stripByteCounts = [];
-  let rowsPerStrip = 0, sampleFormat = 1;
-  
-  for (let i = 0; i < numEntries; i++) {
-    const entryOffset = ifdOffset + 2 + i * 12;
-    const tag = view.getUint16(entryOffset, littleEndian);
-    const type = view.getUint16(entryOffset + 2, littleEndian);
-    const count = view.getUint32(entryOffset + 4, littleEndian);
-    const valueOffset = entryOffset + 8;
-    
-    // Read value based on type and count
-    const getValue = () => {
-      if (type === 3) return view.getUint16(valueOffset, littleEndian); // SHORT
-      if (type === 4) return view.getUint32(valueOffset, littleEndian); // LONG
-      return view.getUint32(valueOffset, littleEndian);
-    };
-    
-    const getValues = (offset) => {
-      const values = [];
-      const actualOffset = count > 1 ? view.getUint32(valueOffset, littleEndian) : valueOffset;
-      for (let j = 0; j < count; j++) {
-        if (type === 3) values.push(view.getUint16(actualOffset + j * 2, littleEndian));
-        else if (type === 4) values.push(view.getUint32(actualOffset + j * 4, littleEndian));
-      }
-      return values;
-    };
-    
-    switch (tag) {
-      case 256: width = getValue(); break;           // ImageWidth
-      case 257: height = getValue(); break;          // ImageLength
-      case 258: bitsPerSample = getValue(); break;   // BitsPerSample
-      case 273: stripOffsets = getValues(); break;   // StripOffsets
-      case 278: rowsPerStrip = getValue(); break;    // RowsPerStrip
-      case 279: stripByteCounts = getValues(); break; // StripByteCounts
-      case 339: sampleFormat = getValue(); break;    // SampleFormat (3 = float)
-    }
-  }
-  
-  console.log(`    TIFF: ${width}x${height}, ${bitsPerSample}-bit, format=${sampleFormat}`);
-  
-  // Read the raster data
-  const pixelCount = width * height;
-  const data = new Float32Array(pixelCount);
-  
-  if (bitsPerSample === 32 && sampleFormat === 3) {
-    // 32-bit float
-    let pixelIndex = 0;
-    for (let s = 0; s < stripOffsets.length; s++) {
-      const offset = stripOffsets[s];
-      const byteCount = stripByteCounts[s];
-      const floatCount = byteCount / 4;
-      
-      for (let i = 0; i < floatCount && pixelIndex < pixelCount; i++) {
-        data[pixelIndex++] = view.getFloat32(offset + i * 4, littleEndian);
-      }
-    }
-  } else {
-    throw new Error(`Unsupported TIFF format: ${bitsPerSample}-bit, sampleFormat=${sampleFormat}`);
-  }
-  
-  return { width, height, data };
-}
+import {
+  MAP_BOUNDS,
+  GEO_BOUNDS,
+  VERTICAL_SCALE,
+  HEIGHTMAP_SMOOTHING_PASSES,
+  decodeHeightmap,
+  setHeightmap,
+  getTerrainHeight
+} from './heightmap.js';
+
+// Terrain height queries live in heightmap.js (shared with the sim worker)
+export { getTerrainHeight };
 
 // ============================================
 // Constants & Configuration
 // ============================================
 
-// World scale: 1 unit = approx 1 km
-const WORLD_SCALE = 1;
-
-// Bay Area bounds (accurate to TIFF coverage)
-const MAP_BOUNDS = {
-  width: 151,   // 151 km east-west
-  depth: 134,   // 134 km north-south
-  maxHeight: 25 // max terrain height in world units
-};
-
-// Geographic coordinate bounds (WGS84)
-const GEO_BOUNDS = {
-  lonMin: -123.135223,  // West
-  lonMax: -121.415863,  // East
-  latMin: 37.182476,    // South
-  latMax: 38.387867     // North
-};
-
 // Terrain configuration for GeoTIFF
 const TERRAIN_CONFIG = {
   heightmapUrl: '/baymerge.tif',
-  verticalScale: 0.008,  // 8x exaggeration for visible relief
-  smoothingPasses: 2,    // Number of smoothing iterations (0 = none)
+  smoothingPasses: HEIGHTMAP_SMOOTHING_PASSES,
   waterLevel: 0.11,      // Y offset for water plane (adjust to tune coastlines)
 };
 
@@ -140,72 +49,6 @@ let minElevation = Infinity;
 let maxElevation = -Infinity;
 let highwayGroup = null;  // Highway ribbon meshes
 
-// ============================================
-// Elevation Smoothing (Gaussian-like blur)
-// ============================================
-
-function smoothElevationData(data, width, height, passes = 1) {
-  if (passes <= 0) return data;
-  
-  console.log(`    Smoothing elevation data (${passes} passes)...`);
-  
-  let current = new Float32Array(data);
-  let next = new Float32Array(data.length);
-  
-  // 3x3 Gaussian-ish kernel weights
-  const kernel = [
-    1, 2, 1,
-    2, 4, 2,
-    1, 2, 1
-  ];
-  const kernelSum = 16;
-  
-  for (let pass = 0; pass < passes; pass++) {
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        
-        // Check if this is a nodata pixel - don't smooth those
-        if (current[idx] < -1000) {
-          next[idx] = current[idx];
-          continue;
-        }
-        
-        let sum = 0;
-        let weightSum = 0;
-        
-        // Sample 3x3 neighborhood
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            const nx = x + kx;
-            const ny = y + ky;
-            
-            // Skip out of bounds
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-            
-            const nidx = ny * width + nx;
-            const val = current[nidx];
-            
-            // Skip nodata neighbors
-            if (val < -1000) continue;
-            
-            const weight = kernel[(ky + 1) * 3 + (kx + 1)];
-            sum += val * weight;
-            weightSum += weight;
-          }
-        }
-        
-        next[idx] = weightSum > 0 ? sum / weightSum : current[idx];
-      }
-    }
-    
-    // Swap buffers
-    [current, next] = [next, current];
-  }
-  
-  return current;
-}
-
 // ============================================
 // Initialization
 // ============================================
@@ -243,20 +86,16 @@ async function loadGeoTIFFAndCreateTerrain(scene) {
     
     const arrayBuffer = await response.arrayBuffer();
     
-    // Parse with our simple TIFF parser
-    const tiffData = await parseGeoTIFF(arrayBuffer);
+    // Parse and smooth to reduce jaggedness
+    const heightmap = await decodeHeightmap(arrayBuffer, TERRAIN_CONFIG.smoothingPasses);
     
     // Store the data
-    rasterWidth = tiffData.width;
-    rasterHeight = tiffData.height;
+    rasterWidth = heightmap.width;
+    rasterHeight = heightmap.height;
+    elevationData = heightmap.data;
     
-    // Apply smoothing to reduce jaggedness
-    elevationData = smoothElevationData(
-      tiffData.data, 
-      rasterWidth, 
-      rasterHeight, 
-      TERRAIN_CONFIG.smoothingPasses
-    );
+    // Share the smoothed raster with height queries
+    setHeightmap(heightmap);
     
     console.log(`    GeoTIFF loaded: ${rasterWidth}x${rasterHeight}`);
     
@@ -390,86 +229,7 @@ function elevationToWorldY(val) {
   if (!Number.isFinite(val) || val < -1000) {
     return 0; // Treat nodata as sea level
   }
-  return val * TERRAIN_CONFIG.verticalScale;
-}
-
-// ============================================
-// Sample Elevation (for runtime height queries)
-// Used by particles, landmarks, etc. to get terrain height at any world position
-// Uses bilinear interpolation for smooth results between grid points
-// ============================================
-
-function sampleElevation(worldX, worldZ) {
-  if (!elevationData) return 0;
-  
-  // Convert world coordinates to UV (0-1)
-  const u = (worldX + MAP_BOUNDS.width / 2) / MAP_BOUNDS.width;
-  const v = (worldZ + MAP_BOUNDS.depth / 2) / MAP_BOUNDS.depth;
-  
-  // Clamp to valid range
-  const clampedU = Math.max(0, Math.min(1, u));
-  const clampedV = Math.max(0, Math.min(1, v));
-  
-  // Convert to pixel coordinates
-  const px = clampedU * (rasterWidth - 1);
-  // Direct mapping (no flip)
-  const py = clampedV * (rasterHeight - 1);
-  
-  // Bilinear interpolation for smooth sampling
-  const x0 = Math.floor(px);
-  const z0 = Math.floor(py);
-  const x1 = Math.min(x0 + 1, rasterWidth - 1);
-  const z1 = Math.min(z0 + 1, rasterHeight - 1);
-  
-  const fx = px - x0;
-  const fz = py - z0;
-  
-  // Get 4 neighboring elevation values
-  const getElev = (x, z) => {
-    const idx = z * rasterWidth + x;
-    const val = elevationData[idx];
-    return (Number.isFinite(val) && val > -1000) ? val : 0;
-  };
-  
-  const e00 = getElev(x0, z0);
-  const e10 = getElev(x1, z0);
-  const e01 = getElev(x0, z1);
-  const e11 = getElev(x1, z1);
-  
-  // Bilinear interpolation
-  const top = e00 * (1 - fx) + e10 * fx;
-  const bottom = e01 * (1 - fx) + e11 * fx;
-  let elevation = top * (1 - fz) + bottom * fz;
-  
-  let height = elevation * TERRAIN_CONFIG.verticalScale;
-  
-  // Apply delta basin elevation boost
-  // Convert world coords to geographic
-  const lon = GEO_BOUNDS.lonMin + clampedU * (GEO_BOUNDS.lonMax - GEO_BOUNDS.lonMin);
-  const lat = GEO_BOUNDS.latMax - clampedV * (GEO_BOUNDS.latMax - GEO_BOUNDS.latMin);
-  
-  // Delta region: 121.8°W to 121.4°W AND 37.6°N to 38.4°N with smooth blending
-  const deltaLonMin = -121.8, deltaLonMax = -121.4;
-  const deltaLatMin = 37.6, deltaLatMax = 38.4;
-  const blendDist = 0.1;
-  
-  if (lon >= deltaLonMin - blendDist && lon <= deltaLonMax + blendDist &&
-      lat >= deltaLatMin - blendDist && lat <= deltaLatMax + blendDist) {
-    
-    // Calculate blend factor for each edge
-    const blendLeft = Math.min(1, Math.max(0, (lon - (deltaLonMin - blendDist)) / blendDist));
-    const blendRight = Math.min(1, Math.max(0, ((deltaLonMax + blendDist) - lon) / blendDist));
-    const blendBottom = Math.min(1, Math.max(0, (lat - (deltaLatMin - blendDist)) / blendDist));
-    const blendTop = Math.min(1, Math.max(0, ((deltaLatMax + blendDist) - lat) / blendDist));
-    
-    // Smoothstep for smoother transition
-    const smoothstep = (t) => t * t * (3 - 2 * t);
-    const blendFactor = smoothstep(blendLeft) * smoothstep(blendRight) * smoothstep(blendBottom) * smoothstep(blendTop);
-    
-    height += MAP_BOUNDS.maxHeight * 0.01 * blendFactor; // 1% boost with blend
-  }
-  
-  return height;
+  return val * VERTICAL_SCALE;
 }
 
 // ============================================
@@ -691,6 +451,18 @@ function createLandmarks(scene) {
   console.log(`  → Created ${landmarkMeshes.length} landmarks:`, counts);
 }
 
+/**
+ * Rebuild landmark markers and highway ribbons after the registry's emitter
+ * network changes (registry.js setInventory). Before the terrain loads there
+ * is nothing to rebuild: the first build reads the current registry.
+ */
+export function refreshEmitterMarkers(scene) {
+  if (!terrain) return;
+  setHoveredLandmark(null);
+  createLandmarks(scene);
+  if (highwayGroup) createHighwayRibbons(scene);
+}
+
 /**
  * Get appropriate label height based on profile type
  */
@@ -1740,42 +1512,6 @@ function createAtmosphericEffects(scene) {
 // Utility Functions
 // ============================================
 
-export function getTerrainHeight(x, z) {
-  // Use GeoTIFF elevation if available
-  if (elevationData) {
-    return sampleElevation(x, z);
-  }
-  
-  // Fallback to procedural
-  let height = 0;
-  
-  // East Bay hills
-  if (x > 5 && x < 35) {
-    const hillFactor = Math.max(0, 1 - Math.abs(x - 20) / 15);
-    height += hillFactor * 4 * (0.5 + 0.5 * Math.sin(z * 0.1));
-  }
-  
-  // Marin headlands
-  if (x < -10 && z > 10) {
-    const marinFactor = Math.max(0, 1 - Math.abs(x + 25) / 20) * Math.max(0, 1 - Math.abs(z - 25) / 20);
-    height += marinFactor * 5;
-  }
-  
-  // Santa Cruz mountains
-  if (x < 5 && z < -20) {
-    const scFactor = Math.max(0, 1 - Math.abs(x + 10) / 20) * Math.max(0, 1 - Math.abs(z + 40) / 25);
-    height += scFactor * 6;
-  }
-  
-  // Bay depression
-  const distFromBay = Math.sqrt(Math.pow(x / 15, 2) + Math.pow(z / 25, 2));
-  if (distFromBay < 1) {
-    height -= (1 - distFromBay) * 3;
-  }
-  
-  return Math.max(0, height);
-}
-
 /**
  * Get landmark positions from registry (for backwards compatibility)
  * Returns object keyed by emitter ID with world coordinates
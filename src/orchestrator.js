@@ -1,119 +1,147 @@
 /**
  * orchestrator.js — Optimized pollution visualization
  * 
- * Uses spatial binning to render pollution as volumetric prisms.
- * Particles are tracked individually for physics but grouped
- * into grid cells for efficient rendering.
+ * Main-thread side of the particle simulation. The simulation itself
+ * (simulation.js) runs in a Web Worker (sim.worker.js); this module feeds
+ * it batches of fixed steps and renders the snapshot each batch returns.
  * 
- * OPTIMIZATION STRATEGY:
- * - Track particles as lightweight data points (no individual meshes)
- * - Bin particles into a 3D spatial grid each frame
- * - Render one rectangular prism per occupied cell
- * - Prism size reflects local concentration (more particles = bigger prism)
- * - Result: ~1000-2000 prisms instead of 50,000+ sphere instances
+ * WORKER PROTOCOL:
+ * - stepOrchestrator() queues fixed steps; one batch is in flight at a time
+ * - Each queued step keeps its own timeOfDay, so batching never changes
+ *   the result (same seed + settings = same particles)
+ * - The worker transfers back packed particles + occupied grid cells
+ * - Smog visuals, county colours and queries all read the latest snapshot
+ * - The previous snapshot's buffers are handed back for reuse
+ * - Reset bumps a generation counter so stale snapshots are dropped
+ * 
+ * RENDER MODES (setSmogRenderMode):
+ * - 'volume' (default): the grid ray-marched as soft per-pollutant haze
+ *   (volume.js)
+ * - 'prisms': one rectangular prism per occupied grid cell, sized by local
+ *   concentration; ~1000-2000 instances, cheap enough for low-end machines
+ * 
+ * INTERPOLATION (renderOrchestrator):
+ * - The grids of the last two snapshots are kept, and every frame the smog
+ *   is drawn between them by TimeManager.getAlpha(), so it drifts smoothly
+ *   between fixed steps at any frame rate or time scale
+ * - While a queued step is still being simulated the latest snapshot is
+ *   held (alpha has already restarted, but the grids haven't shifted yet)
+ * - Prisms of cells that fill or empty grow in / shrink out over the step
+ * - Per-cell variation comes from a hash of the cell index, so nothing
+ *   moves while paused
  */
 
 import * as THREE from 'three';
-import { emit, POLLUTANT_TYPES, getPollutantConfig } from './polluters.js';
-import { getVelocityAt } from './traffic.js';
+import { POLLUTANT_TYPES, getPollutantConfig } from './polluters.js';
+import { getHeightmap, getTerrainHeight } from './heightmap.js';
+import { initSmogVolume, updateSmogVolume, setSmogVolumeBlend, setSmogVolumeVisible, disposeSmogVolume } from './volume.js';
+import {
+  PARTICLE_CONFIG,
+  GRID_CONFIG,
+  GRID_DIMS,
+  GRID_CELL_COUNT,
+  worldToCellIndex,
+  cellIndexToWorld,
+  toConcentration,
+  buildSourceTable
+} from './simulation.js';
 
 // ============================================
 // Configuration
 // ============================================
 
-// Particle physics (lightweight tracking)
-const PARTICLE_CONFIG = {
-  maxParticles: 12000,      // Total across all pollutant types
-  lifetime: 45,             // Seconds before forced removal
-  emissionScale: 0.5,       // Reduce emission rates for performance
-};
-
-// Spatial grid for visualization
-// Map is 151km x 134km, we use ~2.5km cells for finer resolution
-const GRID_CONFIG = {
-  // Cell dimensions (in world units = km)
-  cellSizeX: 2.5,
-  cellSizeY: 3.0,           // Vertical cell height
-  cellSizeZ: 2.5,
-  
-  // Grid bounds (slightly larger than map to catch edge particles)
-  minX: -80,
-  maxX: 80,
-  minY: 0,
-  maxY: 35,
-  minZ: -72,
-  maxZ: 72,
-  
-  // Prism appearance
+// Prism appearance
+const PRISM_CONFIG = {
   basePrismSize: 0.6,       // Base size when cell has few particles
   maxPrismSize: 2.2,        // Maximum size at high concentration
   minOpacity: 0.4,          // Minimum prism opacity
   maxOpacity: 0.8,          // Maximum prism opacity
   
-  // Concentration thresholds (particles per cell)
-  lowThreshold: 1,          // Below this, prism is at base size
-  highThreshold: 20,        // Above this, prism is at max size
+  // Concentration thresholds (µg/m³ in the cell)
+  lowThreshold: 2,          // Below this, prism is at base size
+  highThreshold: 40,        // Above this, prism is at max size
 };
 
 // Maximum prism instances per pollutant type
 const MAX_INSTANCES = 1500;
 
+// Steps queued while the worker is busy are capped (~2 sim seconds)
+// so a slow worker falls behind gracefully instead of spiralling.
+// Dropped steps make that run non-reproducible, like TimeManager.maxSubSteps.
+const MAX_PENDING_STEPS = 120;
+
 // ============================================
 // State
 // ============================================
 
 let scene = null;
-let mapData = null;
-let polluters = null;
+let worker = null;
 let paused = false;
-
-// Particle storage - flat array per type for cache efficiency
-const particles = {
-  PM25: [],
-  VOC: [],
-  OZONE: []
-};
-
-// Grid cell storage - reused each frame
-// Key: "cellX,cellY,cellZ" -> { count, totalAge, centerX, centerY, centerZ }
-const gridCells = {
-  PM25: new Map(),
-  VOC: new Map(),
-  OZONE: new Map()
-};
+let renderMode = 'volume';    // 'volume' or 'prisms'
+
+// Source table for apportionment (same order the worker uses)
+let sources = [];
+let sourceIndex = new Map();
+
+// Worker batching
+let pendingSteps = 0;
+let pendingDt = 0;
+let pendingTimes = [];        // Hours since Sunday 00:00 for each queued step
+let pendingSettings = null;   // Settings to send with the queued steps
+let completedSteps = 0;       // Steps simulated since the last reset
+let inFlight = false;
+let generation = 0;           // Bumped on reset; older snapshots are stale
+let sentHeightmap = null;     // Heightmap already forwarded to the worker
+let returnBuffers = [];       // Buffers to hand back with the next batch
+
+// Latest completed simulation step
+let snapshot = createEmptySnapshot();
+
+// Dense per-pollutant cell mass of the current snapshot (built on demand)
+let denseMass = {};
+let denseMassSnapshot = null;
+
+// Grids of the last two snapshots for interpolated rendering:
+// pollutantId -> { previous, current }, each { cells, mass (dense kg) }
+const blendStates = {};
 
 // Three.js instanced meshes per pollutant (prisms, not spheres)
 const instancedMeshes = {};
 const dummy = new THREE.Object3D();
 
-// Reusable vectors
-const _velocity = new THREE.Vector3();
+// Reusable cell center
+const _cellCenter = { x: 0, y: 0, z: 0, cellX: 0, cellZ: 0 };
 
 // ============================================
 // Initialization
 // ============================================
 
-export function initOrchestrator(sceneRef, map, polluters_, settings) {
+export function initOrchestrator(sceneRef, map, polluters, settings) {
   console.log('🧠 Initializing optimized orchestrator...');
   
   scene = sceneRef;
-  mapData = map;
-  polluters = polluters_;
   
-  // Calculate grid dimensions for logging
-  const gridDimsX = Math.ceil((GRID_CONFIG.maxX - GRID_CONFIG.minX) / GRID_CONFIG.cellSizeX);
-  const gridDimsY = Math.ceil((GRID_CONFIG.maxY - GRID_CONFIG.minY) / GRID_CONFIG.cellSizeY);
-  const gridDimsZ = Math.ceil((GRID_CONFIG.maxZ - GRID_CONFIG.minZ) / GRID_CONFIG.cellSizeZ);
+  // Source table for apportionment
+  sources = buildSourceTable(polluters);
+  sourceIndex = new Map(sources.map((source, i) => [source.id, i]));
   
-  console.log(`  → Grid: ${gridDimsX}×${gridDimsY}×${gridDimsZ} cells (${GRID_CONFIG.cellSizeX}km cells)`);
+  console.log(`  → Grid: ${GRID_DIMS.x}×${GRID_DIMS.y}×${GRID_DIMS.z} cells (${GRID_CONFIG.cellSizeX}km cells)`);
   console.log(`  → Max particles: ${PARTICLE_CONFIG.maxParticles}, Max prisms: ${MAX_INSTANCES}/type`);
   
+  // Start the simulation worker
+  worker = new Worker(new URL('./sim.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = onWorkerMessage;
+  worker.onerror = (event) => console.error('[Orchestrator] Simulation worker error:', event.message);
+  worker.postMessage({ type: 'init', heightmap: takeHeightmapUpdate(), seed: settings.seed });
+  
   // Create instanced prism meshes for each pollutant type
   Object.entries(POLLUTANT_TYPES).forEach(([id, config]) => {
     createInstancedPrismMesh(id, config);
   });
+  initSmogVolume(scene);
+  setSmogRenderMode(settings.volumetricSmog === false ? 'prisms' : 'volume');
   
-  console.log('  ✓ Particle system ready (spatial binning enabled)');
+  console.log('  ✓ Particle system ready (simulation worker started)');
 }
 
 // ============================================
@@ -155,239 +183,249 @@ function createInstancedPrismMesh(pollutantId, config) {
 }
 
 // ============================================
-// Spatial Hashing Utilities
+// Simulation Stepping (via worker)
 // ============================================
 
 /**
- * Convert world position to grid cell indices
+ * Queue one fixed simulation step. Steps are sent to the worker in
+ * batches; visuals update when the batch's snapshot comes back.
  */
-function worldToCell(x, y, z) {
-  const cellX = Math.floor((x - GRID_CONFIG.minX) / GRID_CONFIG.cellSizeX);
-  const cellY = Math.floor((y - GRID_CONFIG.minY) / GRID_CONFIG.cellSizeY);
-  const cellZ = Math.floor((z - GRID_CONFIG.minZ) / GRID_CONFIG.cellSizeZ);
-  return { cellX, cellY, cellZ };
+export function stepOrchestrator(dt, settings) {
+  if (paused || !worker) return;
+  
+  if (pendingSteps === MAX_PENDING_STEPS) {
+    pendingTimes.shift();
+  } else {
+    pendingSteps++;
+  }
+  pendingTimes.push(settings.dayOfWeek * 24 + settings.timeOfDay);
+  pendingDt = dt;
+  pendingSettings = settings;
+  
+  if (!inFlight) {
+    flushSteps(settings);
+  }
 }
 
-/**
- * Get cell center in world coordinates
- */
-function cellToWorld(cellX, cellY, cellZ) {
-  return {
-    x: GRID_CONFIG.minX + (cellX + 0.5) * GRID_CONFIG.cellSizeX,
-    y: GRID_CONFIG.minY + (cellY + 0.5) * GRID_CONFIG.cellSizeY,
-    z: GRID_CONFIG.minZ + (cellZ + 0.5) * GRID_CONFIG.cellSizeZ
-  };
+function flushSteps(settings) {
+  // Forward the GeoTIFF once it has loaded on the main thread
+  const heightmap = takeHeightmapUpdate();
+  if (heightmap) {
+    worker.postMessage({ type: 'heightmap', heightmap }, [heightmap.data.buffer]);
+  }
+  
+  worker.postMessage({
+    type: 'step',
+    steps: pendingSteps,
+    dt: pendingDt,
+    settings: { ...settings },
+    times: pendingTimes,
+    generation,
+    buffers: returnBuffers
+  }, returnBuffers);
+  
+  inFlight = true;
+  pendingSteps = 0;
+  pendingTimes = [];
+  returnBuffers = [];
 }
 
 /**
- * Create a cell key string from indices
+ * Copy of the heightmap if it hasn't been sent to the worker yet
  */
-function cellKey(cellX, cellY, cellZ) {
-  return `${cellX},${cellY},${cellZ}`;
+function takeHeightmapUpdate() {
+  const heightmap = getHeightmap();
+  if (!heightmap || heightmap.data === sentHeightmap) return null;
+  
+  sentHeightmap = heightmap.data;
+  return { width: heightmap.width, height: heightmap.height, data: heightmap.data.slice() };
 }
 
-// ============================================
-// Main Simulation Step
-// ============================================
-
-export function stepOrchestrator(dt, settings) {
-  if (paused) return;
+function onWorkerMessage(event) {
+  const message = event.data;
+  if (message.type !== 'snapshot') return;
   
-  // 1. Get new emissions (scaled down for performance)
-  const scaledSettings = {
-    ...settings,
-    emissionRate: settings.emissionRate * PARTICLE_CONFIG.emissionScale
-  };
-  const emissions = emit(dt, scaledSettings);
+  inFlight = false;
   
-  // 2. Inject new particles
-  emissions.forEach(event => {
-    addParticle(event.type, event.x, event.y, event.z);
-  });
+  // Snapshot computed before a reset - just recycle its buffers
+  if (message.snapshot.generation !== generation) {
+    releaseSnapshot(message.snapshot);
+    if (pendingSteps > 0 && !paused) {
+      flushSteps(pendingSettings);
+    }
+    return;
+  }
   
-  // 3. Update particle physics
-  Object.keys(particles).forEach(pollutantId => {
-    updateParticlePhysics(pollutantId, dt, settings);
-  });
+  releaseSnapshot(snapshot);
+  snapshot = message.snapshot;
+  completedSteps += snapshot.steps;
   
-  // 4. Bin particles into grid cells
-  binParticlesToGrid();
+  // Keep the worker busy with whatever queued up meanwhile
+  if (pendingSteps > 0 && !paused) {
+    flushSteps(pendingSettings);
+  }
   
-  // 5. Update visual representation (prisms from grid)
-  updateInstancedPrisms();
+  // Update visual representation (volume or prisms from grid)
+  updateSmogVisuals(true);
 }
 
-// ============================================
-// Particle Management
-// ============================================
-
-function addParticle(pollutantId, x, y, z) {
-  const particleArray = particles[pollutantId];
-  if (!particleArray) return;
-  
-  // Calculate total particles across all types
-  const totalParticles = Object.values(particles).reduce((sum, arr) => sum + arr.length, 0);
-  
-  // Enforce global max (remove oldest from this type if over limit)
-  if (totalParticles >= PARTICLE_CONFIG.maxParticles) {
-    // Find the type with the most particles and remove from it
-    let maxType = pollutantId;
-    let maxCount = particleArray.length;
-    Object.entries(particles).forEach(([id, arr]) => {
-      if (arr.length > maxCount) {
-        maxCount = arr.length;
-        maxType = id;
-      }
+/**
+ * Queue a snapshot's buffers to be handed back to the worker
+ */
+function releaseSnapshot(old) {
+  const collect = (arrays) => {
+    arrays.forEach(array => {
+      if (array.buffer.byteLength > 0) returnBuffers.push(array.buffer);
     });
-    particles[maxType].shift();
-  }
+  };
   
-  // Add new particle - minimal data for efficiency
-  particleArray.push({
-    x, y, z,
-    age: 0,
-    mass: 1.0  // Could be used for weighted binning
+  Object.values(old.particles).forEach(set => {
+    collect([set.x, set.y, set.z, set.mass, set.source]);
+  });
+  Object.values(old.grids).forEach(grid => {
+    collect([grid.cells, grid.count, grid.mass, grid.age]);
   });
 }
 
-function updateParticlePhysics(pollutantId, dt, settings) {
-  const particleArray = particles[pollutantId];
-  const config = getPollutantConfig(pollutantId);
-  if (!particleArray || !config) return;
+function createEmptySnapshot() {
+  const particles = {};
+  const grids = {};
   
-  const bounds = mapData.bounds;
-  const halfWidth = bounds.width / 2 + 15;
-  const halfDepth = bounds.depth / 2 + 15;
+  Object.keys(POLLUTANT_TYPES).forEach(id => {
+    particles[id] = {
+      count: 0,
+      x: new Float32Array(0),
+      y: new Float32Array(0),
+      z: new Float32Array(0),
+      mass: new Float32Array(0),
+      source: new Uint16Array(0)
+    };
+    grids[id] = {
+      occupiedCount: 0,
+      cells: new Int32Array(0),
+      count: new Uint32Array(0),
+      mass: new Float32Array(0),
+      age: new Float32Array(0)
+    };
+  });
   
-  // Process in reverse for safe removal
-  for (let i = particleArray.length - 1; i >= 0; i--) {
-    const p = particleArray[i];
-    
-    // Get local air velocity
-    _velocity.copy(getVelocityAt(p.x, p.y, p.z, 0, settings));
-    
-    // Apply advection (transport by wind)
-    p.x += _velocity.x * dt;
-    p.y += _velocity.y * dt;
-    p.z += _velocity.z * dt;
-    
-    // Apply dispersion (random spreading)
-    const disperseAmount = config.disperseRate * settings.turbulence * dt;
-    p.x += (Math.random() - 0.5) * disperseAmount * 2;
-    p.y += (Math.random() - 0.5) * disperseAmount;
-    p.z += (Math.random() - 0.5) * disperseAmount * 2;
-    
-    // Apply settling (for PM)
-    if (config.settlingRate > 0) {
-      p.y -= config.settlingRate * dt;
-    }
-    
-    // Check terrain collision / deposition
-    const terrainHeight = mapData.getTerrainHeight(p.x, p.z);
-    if (p.y <= terrainHeight + 0.15) {
-      if (config.settlingRate > 0) {
-        // PM deposits and is removed
-        particleArray.splice(i, 1);
-        continue;
-      } else {
-        // Gases stay just above terrain
-        p.y = terrainHeight + 0.3;
-      }
-    }
-    
-    // Age particle
-    p.age += dt;
-    
-    // Remove if too old
-    if (p.age > PARTICLE_CONFIG.lifetime) {
-      particleArray.splice(i, 1);
-      continue;
-    }
-    
-    // Remove if out of bounds
-    if (Math.abs(p.x) > halfWidth ||
-        Math.abs(p.z) > halfDepth ||
-        p.y > 45 || p.y < -2) {
-      particleArray.splice(i, 1);
-      continue;
-    }
-  }
+  return { generation, steps: 0, seed: null, particles, grids, budgets: {} };
 }
 
 // ============================================
-// Spatial Binning
+// Smog Rendering from Grid
 // ============================================
 
-function binParticlesToGrid() {
-  // Clear all grid cells
-  Object.values(gridCells).forEach(map => map.clear());
+/**
+ * Switch between the ray-marched volume and per-cell prisms.
+ * @param {'volume'|'prisms'} mode
+ * @returns {string} The mode now in use
+ */
+export function setSmogRenderMode(mode) {
+  renderMode = mode === 'prisms' ? 'prisms' : 'volume';
   
-  // Bin each particle type
-  Object.entries(particles).forEach(([pollutantId, particleArray]) => {
-    const cellMap = gridCells[pollutantId];
+  setSmogVolumeVisible(renderMode === 'volume');
+  Object.values(instancedMeshes).forEach(mesh => {
+    mesh.visible = renderMode === 'prisms';
+  });
+  updateSmogVisuals(false);
+  return renderMode;
+}
+
+/**
+ * Take in the latest snapshot's grids
+ * @param {boolean} continuous - The snapshot follows the previous one; false
+ *   after a reset or mode switch (nothing to blend from)
+ */
+function updateSmogVisuals(continuous) {
+  pushBlendStates(snapshot.grids, continuous);
+  if (renderMode === 'volume') {
+    updateSmogVolume(snapshot.grids, continuous);
+  }
+}
+
+/**
+ * Draw the smog between the previous and the latest completed step.
+ * Call once per frame.
+ * @param {number} alpha - Progress towards the next step (TimeManager.getAlpha())
+ */
+export function renderOrchestrator(alpha) {
+  const waiting = inFlight || pendingSteps > 0;
+  const blend = waiting ? 1 : Math.min(1, Math.max(0, alpha));
+  if (renderMode === 'volume') {
+    setSmogVolumeBlend(blend);
+  } else {
+    updateInstancedPrisms(blend);
+  }
+}
+
+/**
+ * Shift the grids: current becomes previous, the snapshot becomes current
+ */
+function pushBlendStates(grids, continuous) {
+  Object.keys(POLLUTANT_TYPES).forEach(pollutantId => {
+    const state = blendStates[pollutantId] || (blendStates[pollutantId] = {
+      previous: { cells: new Int32Array(0), mass: new Float32Array(GRID_CELL_COUNT) },
+      current: { cells: new Int32Array(0), mass: new Float32Array(GRID_CELL_COUNT) }
+    });
+    const grid = grids[pollutantId];
+    const count = grid?.occupiedCount || 0;
     
-    particleArray.forEach(p => {
-      const { cellX, cellY, cellZ } = worldToCell(p.x, p.y, p.z);
-      const key = cellKey(cellX, cellY, cellZ);
-      
-      if (!cellMap.has(key)) {
-        // Initialize cell data
-        cellMap.set(key, {
-          cellX, cellY, cellZ,
-          count: 0,
-          totalAge: 0,
-          totalMass: 0
-        });
+    const fill = (target) => {
+      target.cells.forEach(cell => { target.mass[cell] = 0; });
+      target.cells = count > 0 ? grid.cells.slice(0, count) : new Int32Array(0);
+      for (let k = 0; k < count; k++) {
+        target.mass[grid.cells[k]] = grid.mass[k];
       }
-      
-      const cell = cellMap.get(key);
-      cell.count++;
-      cell.totalAge += p.age;
-      cell.totalMass += p.mass;
-    });
+    };
+    
+    const recycled = state.previous;
+    fill(recycled);
+    state.previous = state.current;
+    state.current = recycled;
+    if (!continuous) fill(state.previous);
   });
 }
 
-// ============================================
-// Prism Rendering from Grid
-// ============================================
-
-function updateInstancedPrisms() {
+/**
+ * Place one prism per cell occupied at either step, sized by the blended
+ * concentration
+ * @param {number} blend - 0 = previous step, 1 = latest step
+ */
+function updateInstancedPrisms(blend) {
   Object.entries(instancedMeshes).forEach(([pollutantId, mesh]) => {
-    const cellMap = gridCells[pollutantId];
+    const state = blendStates[pollutantId];
+    if (!state) return;
     const config = getPollutantConfig(pollutantId);
     
     let instanceIndex = 0;
     
-    cellMap.forEach((cell) => {
+    const placePrism = (cell, presence) => {
       if (instanceIndex >= MAX_INSTANCES) return;
       
       // Get cell center position
-      const pos = cellToWorld(cell.cellX, cell.cellY, cell.cellZ);
+      const pos = cellIndexToWorld(cell, _cellCenter);
       
-      // Calculate prism size based on concentration
-      const concentration = cell.count;
+      // Calculate prism size based on concentration (decayed mass)
+      const previousMass = state.previous.mass[cell];
+      const concentration = toConcentration(previousMass + (state.current.mass[cell] - previousMass) * blend);
       let sizeFactor;
       
-      if (concentration <= GRID_CONFIG.lowThreshold) {
-        sizeFactor = GRID_CONFIG.basePrismSize;
-      } else if (concentration >= GRID_CONFIG.highThreshold) {
-        sizeFactor = GRID_CONFIG.maxPrismSize;
+      if (concentration <= PRISM_CONFIG.lowThreshold) {
+        sizeFactor = PRISM_CONFIG.basePrismSize;
+      } else if (concentration >= PRISM_CONFIG.highThreshold) {
+        sizeFactor = PRISM_CONFIG.maxPrismSize;
       } else {
         // Smooth interpolation between low and high thresholds
-        const t = (concentration - GRID_CONFIG.lowThreshold) / 
-                  (GRID_CONFIG.highThreshold - GRID_CONFIG.lowThreshold);
+        const t = (concentration - PRISM_CONFIG.lowThreshold) / 
+                  (PRISM_CONFIG.highThreshold - PRISM_CONFIG.lowThreshold);
         // Use sqrt for more gradual growth
-        sizeFactor = GRID_CONFIG.basePrismSize + 
-                     (GRID_CONFIG.maxPrismSize - GRID_CONFIG.basePrismSize) * Math.sqrt(t);
+        sizeFactor = PRISM_CONFIG.basePrismSize + 
+                     (PRISM_CONFIG.maxPrismSize - PRISM_CONFIG.basePrismSize) * Math.sqrt(t);
       }
       
-      // Calculate average age for opacity
-      const avgAge = cell.totalAge / cell.count;
-      const ageOpacityFactor = Math.max(0.3, 1 - (avgAge / PARTICLE_CONFIG.lifetime) * 0.5);
-      
-      // Slight random variation for organic look
-      const variation = 0.9 + Math.random() * 0.2;
+      // Slight per-cell variation for organic look (stable, not random per frame)
+      const variation = (0.9 + cellJitter(cell) * 0.2) * presence;
       
       // Apply size with slight asymmetry for more natural appearance
       dummy.position.set(pos.x, pos.y, pos.z);
@@ -398,12 +436,21 @@ function updateInstancedPrisms() {
       );
       
       // Slight random rotation for variety
-      dummy.rotation.y = (cell.cellX + cell.cellZ) * 0.3;
+      dummy.rotation.y = (pos.cellX + pos.cellZ) * 0.3;
       
       dummy.updateMatrix();
       mesh.setMatrixAt(instanceIndex, dummy.matrix);
       
       instanceIndex++;
+    };
+    
+    // Cells of the latest step (new ones growing in), then cells that
+    // have just emptied (shrinking out)
+    state.current.cells.forEach(cell => {
+      placePrism(cell, state.previous.mass[cell] > 0 ? 1 : blend);
+    });
+    state.previous.cells.forEach(cell => {
+      if (!(state.current.mass[cell] > 0)) placePrism(cell, 1 - blend);
     });
     
     // Hide unused instances by scaling to zero
@@ -417,65 +464,249 @@ function updateInstancedPrisms() {
     
     // Update opacity based on overall concentration
     if (config) {
-      const totalParticles = particles[pollutantId].length;
-      const baseOpacity = GRID_CONFIG.minOpacity + 
-        (GRID_CONFIG.maxOpacity - GRID_CONFIG.minOpacity) * 
+      const totalParticles = snapshot.particles[pollutantId]?.count || 0;
+      const baseOpacity = PRISM_CONFIG.minOpacity + 
+        (PRISM_CONFIG.maxOpacity - PRISM_CONFIG.minOpacity) * 
         Math.min(1, totalParticles / 3000);
       mesh.material.opacity = baseOpacity;
     }
   });
 }
 
+/**
+ * Stable pseudo-random 0-1 value for a grid cell (integer hash)
+ */
+function cellJitter(cell) {
+  let h = Math.imul(cell ^ 0x9e3779b9, 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
 // ============================================
 // Control Functions
 // ============================================
 
-export function resetOrchestrator() {
-  console.log('🔄 Resetting simulation...');
+/**
+ * Clear the simulation and start a new run.
+ * @param {number} [seed] - Random seed for the new run (settings.seed)
+ */
+export function resetOrchestrator(seed) {
+  console.log(`🔄 Resetting simulation (seed ${seed})...`);
   
-  // Clear all particles
-  Object.keys(particles).forEach(pollutantId => {
-    particles[pollutantId] = [];
-  });
+  // Anything still in flight belongs to the old run
+  generation++;
+  pendingSteps = 0;
+  pendingTimes = [];
+  completedSteps = 0;
+  
+  if (worker) {
+    worker.postMessage({ type: 'reset', seed });
+  }
   
-  // Clear grid
-  Object.values(gridCells).forEach(map => map.clear());
+  releaseSnapshot(snapshot);
+  snapshot = createEmptySnapshot();
   
   // Update visuals
-  updateInstancedPrisms();
+  updateSmogVisuals(false);
+}
+
+/**
+ * Swap the emitter network and start a new run (old particles' source
+ * indices refer to the previous network).
+ * @param {Object|null} inventory - From inventory.js parseInventory(), null for built-in
+ * @param {Object} polluters - initPolluters() result for the same inventory
+ * @param {number} [seed] - Random seed for the new run (settings.seed)
+ */
+export function setEmitterInventory(inventory, polluters, seed) {
+  sources = buildSourceTable(polluters);
+  sourceIndex = new Map(sources.map((source, i) => [source.id, i]));
+  
+  if (worker) {
+    worker.postMessage({ type: 'inventory', inventory });
+  }
+  resetOrchestrator(seed);
+}
+
+/**
+ * Drive transport from station observations instead of the wind sliders.
+ * @param {Array|null} stations - From windfield.js parseStationObservations(), null to clear
+ */
+export function setStationObservations(stations) {
+  if (worker) {
+    worker.postMessage({ type: 'stations', stations });
+  }
 }
 
 export function setPaused(isPaused) {
   paused = isPaused;
+  pendingSteps = 0;
+  pendingTimes = [];
   console.log(paused ? '⏸️ Simulation paused' : '▶️ Simulation resumed');
 }
 
+/**
+ * Steps simulated since the last reset, as of the latest snapshot
+ */
+export function getCompletedSteps() {
+  return completedSteps;
+}
+
 export function getParticleCount() {
   let total = 0;
-  Object.values(particles).forEach(arr => {
-    total += arr.length;
+  Object.values(snapshot.particles).forEach(set => {
+    total += set.count;
   });
   return total;
 }
 
 export function getParticleCountByType() {
   const counts = {};
-  Object.entries(particles).forEach(([id, arr]) => {
-    counts[id] = arr.length;
+  Object.entries(snapshot.particles).forEach(([id, set]) => {
+    counts[id] = set.count;
   });
   return counts;
 }
 
 export function getGridCellCount() {
   let total = 0;
-  Object.values(gridCells).forEach(map => {
-    total += map.size;
+  Object.values(snapshot.grids).forEach(grid => {
+    total += grid.occupiedCount;
   });
   return total;
 }
 
+/**
+ * Get particles from the latest completed step, keyed by pollutant ID.
+ * Each entry is { count, x, y, z, mass, source } with dense typed arrays:
+ * for (let i = 0; i < set.count; i++) { set.x[i] ... }
+ * Arrays are recycled when the next snapshot arrives, so don't hold on to them.
+ */
 export function getParticles() {
-  return particles;
+  return snapshot.particles;
+}
+
+/**
+ * Concentration in the grid cell at the ground under (x, z), from the
+ * latest completed step
+ * @param {string} pollutantId
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} µg/m³
+ */
+export function sampleGroundConcentration(pollutantId, x, z) {
+  const cell = worldToCellIndex(x, getTerrainHeight(x, z), z);
+  if (cell < 0) return 0;
+  return toConcentration(getCellMass(pollutantId)[cell]);
+}
+
+/**
+ * Mass in every grid cell (dense, GRID_CELL_COUNT long) from the latest
+ * completed step. Built once per snapshot; don't modify it.
+ * @param {string} pollutantId
+ * @returns {Float32Array} kg per cell
+ */
+export function getCellMass(pollutantId) {
+  if (denseMassSnapshot !== snapshot) {
+    denseMass = {};
+    denseMassSnapshot = snapshot;
+  }
+  let mass = denseMass[pollutantId];
+  if (!mass) {
+    // Scatter the packed occupied cells into a full grid once per snapshot
+    mass = denseMass[pollutantId] = new Float32Array(GRID_CELL_COUNT);
+    const grid = snapshot.grids[pollutantId];
+    for (let k = 0; k < (grid?.occupiedCount || 0); k++) {
+      mass[grid.cells[k]] = grid.mass[k];
+    }
+  }
+  return mass;
+}
+
+// ============================================
+// Source Apportionment
+// ============================================
+
+/**
+ * Break down airborne mass by the emitter that released it.
+ * Ozone is credited to the emitter of the VOC it formed from.
+ * Uses the latest completed simulation step.
+ * 
+ * @param {Function} [contains] - (x, z) => boolean area filter; all particles if omitted
+ * @param {Object} [options]
+ * @param {Array<string>} [options.pollutants] - Pollutant IDs to include (default all)
+ * @returns {Object} { totalMass, totalParticles, bySource, byType } with entries
+ *   sorted by mass: { id, name, type, mass, particles, fraction }
+ */
+export function getSourceContributions(contains = null, options = {}) {
+  const pollutantIds = options.pollutants || Object.keys(snapshot.particles);
+  const bySource = new Map();
+  const types = new Map();
+  let totalMass = 0;
+  let totalParticles = 0;
+  
+  const accumulate = (map, id, type, mass) => {
+    let entry = map.get(id);
+    if (!entry) {
+      entry = { id, name: id, type, mass: 0, particles: 0, fraction: 0 };
+      map.set(id, entry);
+    }
+    entry.mass += mass;
+    entry.particles++;
+  };
+  
+  pollutantIds.forEach(pollutantId => {
+    const set = snapshot.particles[pollutantId];
+    if (!set) return;
+    
+    for (let i = 0; i < set.count; i++) {
+      if (contains && !contains(set.x[i], set.z[i])) continue;
+      
+      const source = sources[set.source[i]];
+      const sourceId = source ? source.id : 'unknown';
+      const type = source ? source.type : 'unknown';
+      const mass = set.mass[i];
+      accumulate(bySource, sourceId, type, mass);
+      accumulate(types, type, type, mass);
+      
+      totalMass += mass;
+      totalParticles++;
+    }
+  });
+  
+  const finalize = (map) => {
+    const list = Array.from(map.values());
+    list.forEach(entry => {
+      entry.fraction = totalMass > 0 ? entry.mass / totalMass : 0;
+    });
+    return list.sort((a, b) => b.mass - a.mass);
+  };
+  
+  bySource.forEach(entry => {
+    const source = sources[sourceIndex.get(entry.id)];
+    entry.name = source ? source.name : entry.id;
+  });
+  
+  return {
+    totalMass,
+    totalParticles,
+    bySource: finalize(bySource),
+    byType: finalize(types)
+  };
+}
+
+// ============================================
+// Mass Budgets
+// ============================================
+
+/**
+ * Get the mass budget for each pollutant since the last reset
+ * (as of the latest completed step).
+ * 
+ * airborne is the mass currently carried by live particles. residual is
+ * (sources - sinks - airborne) and should stay at ~0 if mass is conserved.
+ */
+export function getMassBudgets() {
+  return snapshot.budgets;
 }
 
 // ============================================
@@ -483,17 +714,21 @@ export function getParticles() {
 // ============================================
 
 export function getOrchestratorStats() {
-  const particleCounts = getParticleCountByType();
   const gridCounts = {};
-  Object.entries(gridCells).forEach(([id, map]) => {
-    gridCounts[id] = map.size;
+  Object.entries(snapshot.grids).forEach(([id, grid]) => {
+    gridCounts[id] = grid.occupiedCount;
   });
   
   return {
-    particles: particleCounts,
+    particles: getParticleCountByType(),
     gridCells: gridCounts,
     totalParticles: getParticleCount(),
-    totalCells: getGridCellCount()
+    totalCells: getGridCellCount(),
+    budgets: getMassBudgets(),
+    seed: snapshot.seed,
+    completedSteps,
+    workerBusy: inFlight,
+    pendingSteps
   };
 }
 
@@ -502,9 +737,15 @@ export function getOrchestratorStats() {
 // ============================================
 
 export function disposeOrchestrator() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  
   Object.values(instancedMeshes).forEach(mesh => {
     mesh.geometry.dispose();
     mesh.material.dispose();
     scene.remove(mesh);
   });
-}
\ No newline at end of file
+  disposeSmogVolume();
+}
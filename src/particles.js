@@ -0,0 +1,142 @@
+/**
+ * particles.js — Structure-of-arrays particle pool
+ *
+ * Fixed-capacity typed-array storage for one pollutant species.
+ * Replaces arrays of { x, y, z, age, mass } objects so that large
+ * particle counts stay cheap to step, bin and remove.
+ *
+ * LAYOUT:
+ * - Each particle lives in a slot; its fields are x[slot], y[slot], ...
+ * - Free slots sit on a free list (stack) -> O(1) allocation
+ * - Live slots are packed at the front of `live` -> tight iteration
+ * - Removal swaps the last live slot into the hole -> O(1) "swap-remove"
+ *
+ * ITERATION:
+ *   for (let k = pool.count - 1; k >= 0; k--) {
+ *     const i = pool.live[k];
+ *     pool.x[i] += ...;
+ *     if (dead) pool.remove(i);   // Safe when iterating backwards
+ *   }
+ */
+
+// Source index meaning "no emitter recorded"
+export const NO_SOURCE = 0xffff;
+
+export class ParticlePool {
+  /**
+   * @param {number} capacity - Maximum live particles in this pool
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.count = 0;
+    
+    // Particle fields (indexed by slot)
+    this.x = new Float32Array(capacity);
+    this.y = new Float32Array(capacity);
+    this.z = new Float32Array(capacity);
+    this.age = new Float32Array(capacity);
+    this.mass = new Float32Array(capacity);
+    this.source = new Uint16Array(capacity);   // Index into the orchestrator's source table
+    
+    // Dense list of live slots + reverse lookup (slot -> position in live)
+    this.live = new Int32Array(capacity);
+    this.livePosition = new Int32Array(capacity);
+    
+    // Free list (stack of unused slots)
+    this.freeList = new Int32Array(capacity);
+    this.freeCount = 0;
+    
+    // Round-robin cursor for evict()
+    this.evictCursor = 0;
+    
+    this.clear();
+  }
+  
+  /**
+   * Allocate a particle.
+   * @returns {number} Slot index, or -1 if the pool is full
+   */
+  add(x, y, z, mass, source = NO_SOURCE) {
+    if (this.freeCount === 0) return -1;
+    
+    const slot = this.freeList[--this.freeCount];
+    this.x[slot] = x;
+    this.y[slot] = y;
+    this.z[slot] = z;
+    this.age[slot] = 0;
+    this.mass[slot] = mass;
+    this.source[slot] = source;
+    
+    this.live[this.count] = slot;
+    this.livePosition[slot] = this.count;
+    this.count++;
+    
+    return slot;
+  }
+  
+  /**
+   * Remove a live particle by slot (swap-remove, O(1)).
+   * @param {number} slot
+   */
+  remove(slot) {
+    const position = this.livePosition[slot];
+    const lastSlot = this.live[this.count - 1];
+    
+    // Move the last live slot into the hole
+    this.live[position] = lastSlot;
+    this.livePosition[lastSlot] = position;
+    this.count--;
+    
+    this.freeList[this.freeCount++] = slot;
+  }
+  
+  /**
+   * Pick a live particle to evict when a global cap is reached.
+   * Walks the live list round-robin rather than strictly oldest-first,
+   * which keeps eviction O(1) and spreads it evenly over the plume.
+   * @returns {number} Slot index, or -1 if empty
+   */
+  evict() {
+    if (this.count === 0) return -1;
+    
+    this.evictCursor = (this.evictCursor + 1) % this.count;
+    const slot = this.live[this.evictCursor];
+    this.remove(slot);
+    return slot;
+  }
+  
+  /**
+   * Remove all particles.
+   */
+  clear() {
+    this.count = 0;
+    this.evictCursor = 0;
+    
+    // Lowest slots on top of the stack so a fresh pool fills from 0
+    for (let i = 0; i < this.capacity; i++) {
+      this.freeList[i] = this.capacity - 1 - i;
+    }
+    this.freeCount = this.capacity;
+  }
+  
+  /**
+   * Call fn(slot) for every live particle.
+   * Convenience for non-hot paths; physics loops index `live` directly.
+   */
+  forEach(fn) {
+    for (let k = 0; k < this.count; k++) {
+      fn(this.live[k]);
+    }
+  }
+  
+  /**
+   * Total mass carried by live particles.
+   */
+  totalMass() {
+    let sum = 0;
+    for (let k = 0; k < this.count; k++) {
+      sum += this.mass[this.live[k]];
+    }
+    return sum;
+  }
+}
@@ -20,8 +20,14 @@ import {
   getProfile,
   calculateRouteLength,
   getRandomPointOnRoute,
-  logRegistrySummary
+  getTrafficFactor,
+  resolveTemporalProfile,
+  getTemporalFactor,
+  logRegistrySummary,
+  EMISSION_PARTICLES_PER_GRAM
 } from './registry.js';
+import { getMixingHeight, getLidLeakage } from './traffic.js';
+import { log, warn } from './log.js';
 
 // ============================================
 // POLLUTANT TYPES (Physics Properties)
@@ -36,6 +42,7 @@ import {
  *   - disperseRate: Horizontal turbulent spreading rate
  *   - decayRate: How quickly particles fade/decay
  *   - color: Used for the rendered prism color
+ *   - secondary: Formed by chemistry in the orchestrator, skipped by emitters
  */
 export const POLLUTANT_TYPES = {
   PM25: {
@@ -54,6 +61,14 @@ export const POLLUTANT_TYPES = {
     disperseRate: 1.4,     // Disperses quickly (lighter molecules)
     decayRate: 0.006,      // Moderate decay (reactive)
   },
+  NOX: {
+    id: 'NOX',
+    name: 'NOₓ',
+    color: 0xb45309,       // Brown (NO₂ haze)
+    settlingRate: 0.0,     // Gas - doesn't settle
+    disperseRate: 1.2,     // Disperses fairly quickly
+    decayRate: 0.004,      // Moderate decay (oxidises to nitrate)
+  },
   OZONE: {
     id: 'OZONE',
     name: 'O₃',
@@ -61,6 +76,7 @@ export const POLLUTANT_TYPES = {
     settlingRate: 0.0,     // Gas - doesn't settle
     disperseRate: 1.1,     // Moderate dispersion
     decayRate: 0.010,      // Faster decay (highly reactive)
+    secondary: true,       // Formed in-air from VOC + NOx (never emitted)
   }
 };
 
@@ -75,6 +91,10 @@ let processedLineEmitters = [];
 // Reference to map data (for terrain height queries)
 let mapData = null;
 
+// Flaring episodes: emitter id -> { block, flaring }, blocks counted in
+// scenario hours since the last reset
+const flareStates = new Map();
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -87,9 +107,10 @@ let mapData = null;
  * @returns {Object} Processed emitters for external use
  */
 export function initPolluters(map) {
-  console.log('🏭 Initializing polluters from registry...');
+  log('🏭 Initializing polluters from registry...');
   
   mapData = map;
+  resetFlaring();
   
   // Log registry summary for debugging
   logRegistrySummary();
@@ -98,7 +119,7 @@ export function initPolluters(map) {
   processedPointEmitters = POINT_EMITTERS.map(emitter => {
     const profile = getProfile(emitter.profile);
     if (!profile) {
-      console.warn(`  ⚠️ Unknown profile "${emitter.profile}" for emitter "${emitter.id}"`);
+      warn(`  ⚠️ Unknown profile "${emitter.profile}" for emitter "${emitter.id}"`);
       return null;
     }
     
@@ -113,6 +134,7 @@ export function initPolluters(map) {
     return {
       ...emitter,
       profileData: profile,
+      temporal: resolveTemporalProfile(emitter),
       worldPosition: {
         x: worldCoords.x,
         y: emissionHeight,
@@ -122,25 +144,40 @@ export function initPolluters(map) {
     };
   }).filter(e => e !== null);
   
-  // Process line emitters - calculate route lengths
+  // Process line emitters - calculate route lengths and traffic emissions
   processedLineEmitters = LINE_EMITTERS.map(emitter => {
     const profile = getProfile(emitter.profile);
     if (!profile) {
-      console.warn(`  ⚠️ Unknown profile "${emitter.profile}" for line emitter "${emitter.id}"`);
+      warn(`  ⚠️ Unknown profile "${emitter.profile}" for line emitter "${emitter.id}"`);
       return null;
     }
     
     const length = calculateRouteLength(emitter.waypoints);
     
+    // Grams per km per second at average traffic: an inventory's route
+    // total spread over its length, else vehicles/s × g per vehicle-km
+    const emissionsPerKm = {};
+    if (emitter.emissions) {
+      Object.entries(emitter.emissions).forEach(([pollutantId, rate]) => {
+        emissionsPerKm[pollutantId] = length > 0 ? rate / length : 0;
+      });
+    } else {
+      const vehiclesPerSecond = (emitter.aadt || 0) / 86400;
+      Object.entries(profile.emissionFactors || {}).forEach(([pollutantId, gramsPerVehicleKm]) => {
+        emissionsPerKm[pollutantId] = vehiclesPerSecond * gramsPerVehicleKm;
+      });
+    }
+    
     return {
       ...emitter,
       profileData: profile,
-      length: length
+      length: length,
+      emissionsPerKm
     };
   }).filter(e => e !== null);
   
-  console.log(`  → ${processedPointEmitters.length} point emitters initialized`);
-  console.log(`  → ${processedLineEmitters.length} line emitters (${Math.round(processedLineEmitters.reduce((s, e) => s + e.length, 0))} km of highways)`);
+  log(`  → ${processedPointEmitters.length} point emitters initialized`);
+  log(`  → ${processedLineEmitters.length} line emitters (${Math.round(processedLineEmitters.reduce((s, e) => s + e.length, 0))} km of highways)`);
   
   return {
     pointEmitters: processedPointEmitters,
@@ -154,29 +191,32 @@ export function initPolluters(map) {
 
 /**
  * Generate emission events for this timestep.
- * Called by orchestrator each simulation step.
+ * Called by the simulation each step.
  * 
  * @param {number} dt - Delta time in seconds
- * @param {Object} settings - Global settings (emissionRate, enable flags)
+ * @param {Object} settings - Global settings (emissionRate, enable flags,
+ *   elapsedHours: scenario hours since the last reset, for flaring)
+ * @param {Function} [random] - Random source returning [0, 1) (see random.js)
  * @returns {Array} Array of emission events { type, emitterId, x, y, z }
  */
-export function emit(dt, settings) {
+export function emit(dt, settings, random = Math.random) {
   const events = [];
   
-  // Global rate multiplier from settings
-  const rateMultiplier = settings.emissionRate * dt;
+  // Grams this step per g/s of emission rate, released as particles
+  const rateMultiplier = settings.emissionRate * dt * EMISSION_PARTICLES_PER_GRAM;
   
   // Emit from all point sources
   for (const emitter of processedPointEmitters) {
-    const pointEvents = emitFromPoint(emitter, rateMultiplier, settings);
+    const pointEvents = emitFromPoint(emitter, rateMultiplier, settings, random);
     if (pointEvents.length > 0) {
       events.push(...pointEvents);
     }
   }
   
-  // Emit from all line sources (highways)
+  // Emit from all line sources (highways), following the traffic clock
+  const trafficMultiplier = rateMultiplier * getTrafficFactor(settings.timeOfDay, settings.dayOfWeek);
   for (const emitter of processedLineEmitters) {
-    const lineEvents = emitFromLine(emitter, rateMultiplier, settings);
+    const lineEvents = emitFromLine(emitter, trafficMultiplier, settings, random);
     if (lineEvents.length > 0) {
       events.push(...lineEvents);
     }
@@ -188,42 +228,61 @@ export function emit(dt, settings) {
 /**
  * Emit particles from a point source.
  * 
+ * Scaled by the emitter's activity cycle (TEMPORAL_PROFILES) at the sim clock.
+ * 
  * @param {Object} emitter - Processed point emitter
- * @param {number} rateMultiplier - dt * emissionRate
+ * @param {number} rateMultiplier - Particles per g/s this step (dt * emissionRate * particles per gram)
  * @param {Object} settings - Global settings
+ * @param {Function} random - Random source returning [0, 1)
  * @returns {Array} Emission events
  */
-function emitFromPoint(emitter, rateMultiplier, settings) {
+function emitFromPoint(emitter, rateMultiplier, settings, random) {
   const events = [];
   const profile = emitter.profileData;
   
-  // Skip if no emissions defined (e.g., memorial sites)
-  if (!profile.emissions) return events;
+  // Inventory rates replace the profile's (none for e.g. memorial sites)
+  const emissions = emitter.emissions || profile.emissions;
+  if (!emissions) return events;
   
   // Skip if scale is 0
   if (emitter.scale === 0) return events;
   
+  const lid = getMixingHeight(settings);
+  const leakage = getLidLeakage(settings);
+  
+  // Activity cycle for the current sim clock
+  const activity = getTemporalFactor(emitter.temporal, settings.timeOfDay, settings.dayOfWeek, settings.month) *
+                   getFlaringFactor(emitter, settings, random);
+  
   // Process each pollutant type
-  for (const [pollutantId, baseRate] of Object.entries(profile.emissions)) {
-    // Skip disabled pollutants
+  for (const [pollutantId, baseRate] of Object.entries(emissions)) {
+    // Skip disabled and secondary (chemically formed) pollutants
     if (!isPollutantEnabled(pollutantId, settings)) continue;
+    if (POLLUTANT_TYPES[pollutantId]?.secondary) continue;
     
     // Skip if base rate is 0
     if (baseRate === 0) continue;
     
     // Calculate particles to emit this step
-    const scaledRate = baseRate * emitter.scale * rateMultiplier;
-    const count = stochasticCount(scaledRate);
+    const scaledRate = baseRate * emitter.scale * activity * rateMultiplier;
+    const count = stochasticCount(scaledRate, random);
     
     // Generate particles with position spread
     const spread = profile.spread || 1;
     for (let i = 0; i < count; i++) {
+      let y = emitter.worldPosition.y + random() * 0.5;
+      
+      // Plume rise stops at the inversion unless the plume punches through
+      if (y > lid && emitter.terrainHeight < lid && random() >= leakage) {
+        y = lid - random() * 0.5;
+      }
+      
       events.push({
         type: pollutantId,
         emitterId: emitter.id,
-        x: emitter.worldPosition.x + (Math.random() - 0.5) * spread,
-        y: emitter.worldPosition.y + Math.random() * 0.5,
-        z: emitter.worldPosition.z + (Math.random() - 0.5) * spread
+        x: emitter.worldPosition.x + (random() - 0.5) * spread,
+        y,
+        z: emitter.worldPosition.z + (random() - 0.5) * spread
       });
     }
   }
@@ -231,36 +290,66 @@ function emitFromPoint(emitter, rateMultiplier, settings) {
   return events;
 }
 
+/**
+ * Emission multiplier from flaring episodes. Each block of scenario hours
+ * since the last reset draws once from the simulation's generator whether
+ * it is an episode, so the answer holds for every step in the block and a
+ * seed replays the same episodes whether or not the clock runs.
+ * 
+ * @param {Object} emitter - Processed point emitter
+ * @param {Object} settings - Global settings (elapsedHours)
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} flaring.multiplier during an episode, else 1
+ */
+function getFlaringFactor(emitter, settings, random) {
+  const flaring = emitter.temporal.flaring;
+  if (!flaring) return 1;
+  
+  const block = Math.floor((settings.elapsedHours || 0) / (flaring.hours || 1));
+  let state = flareStates.get(emitter.id);
+  if (!state || state.block !== block) {
+    state = { block, flaring: random() < flaring.chance };
+    flareStates.set(emitter.id, state);
+  }
+  return state.flaring ? flaring.multiplier : 1;
+}
+
+/**
+ * Forget flaring episodes (new scenario)
+ */
+export function resetFlaring() {
+  flareStates.clear();
+}
+
 /**
  * Emit particles from a line source (highway).
  * Particles are distributed randomly along the route.
  * 
  * @param {Object} emitter - Processed line emitter
- * @param {number} rateMultiplier - dt * emissionRate
+ * @param {number} rateMultiplier - Particles per g/s this step, times the traffic factor
  * @param {Object} settings - Global settings
+ * @param {Function} random - Random source returning [0, 1)
  * @returns {Array} Emission events
  */
-function emitFromLine(emitter, rateMultiplier, settings) {
+function emitFromLine(emitter, rateMultiplier, settings, random) {
   const events = [];
   const profile = emitter.profileData;
   
-  // Skip if no per-km emissions defined
-  if (!profile.emissionsPerKm) return events;
-  
   // Skip if scale is 0 or route has no length
   if (emitter.scale === 0 || emitter.length === 0) return events;
   
   // Process each pollutant type
-  for (const [pollutantId, baseRatePerKm] of Object.entries(profile.emissionsPerKm)) {
-    // Skip disabled pollutants
+  for (const [pollutantId, baseRatePerKm] of Object.entries(emitter.emissionsPerKm)) {
+    // Skip disabled and secondary (chemically formed) pollutants
     if (!isPollutantEnabled(pollutantId, settings)) continue;
+    if (POLLUTANT_TYPES[pollutantId]?.secondary) continue;
     
     // Skip if base rate is 0
     if (baseRatePerKm === 0) continue;
     
     // Scale by route length and emitter scale
     const scaledRate = baseRatePerKm * emitter.length * emitter.scale * rateMultiplier;
-    const count = stochasticCount(scaledRate);
+    const count = stochasticCount(scaledRate, random);
     
     // Generate particles at random positions along the route
     const spread = profile.spread || 0.5;
@@ -268,7 +357,7 @@ function emitFromLine(emitter, rateMultiplier, settings) {
     
     for (let i = 0; i < count; i++) {
       // Get random point along the highway
-      const point = getRandomPointOnRoute(emitter.waypoints);
+      const point = getRandomPointOnRoute(emitter.waypoints, random);
       
       // Get terrain height at this point
       const terrainHeight = mapData.getTerrainHeight(point.x, point.z);
@@ -276,9 +365,9 @@ function emitFromLine(emitter, rateMultiplier, settings) {
       events.push({
         type: pollutantId,
         emitterId: emitter.id,
-        x: point.x + (Math.random() - 0.5) * spread,
-        y: terrainHeight + height + Math.random() * 0.3,
-        z: point.z + (Math.random() - 0.5) * spread
+        x: point.x + (random() - 0.5) * spread,
+        y: terrainHeight + height + random() * 0.3,
+        z: point.z + (random() - 0.5) * spread
       });
     }
   }
@@ -293,7 +382,7 @@ function emitFromLine(emitter, rateMultiplier, settings) {
 /**
  * Check if a pollutant type is enabled in settings.
  * 
- * @param {string} pollutantId - 'PM25', 'VOC', or 'OZONE'
+ * @param {string} pollutantId - 'PM25', 'VOC', 'NOX', or 'OZONE'
  * @param {Object} settings - Global settings
  * @returns {boolean}
  */
@@ -301,6 +390,7 @@ function isPollutantEnabled(pollutantId, settings) {
   switch (pollutantId) {
     case 'PM25': return settings.enablePM25 !== false;
     case 'VOC': return settings.enableVOC !== false;
+    case 'NOX': return settings.enableNOx !== false;
     case 'OZONE': return settings.enableOzone !== false;
     default: return true;
   }
@@ -313,12 +403,13 @@ function isPollutantEnabled(pollutantId, settings) {
  * Example: rate 2.7 → returns 2 (70% of time) or 3 (30% of time)
  * 
  * @param {number} rate - Expected particles (can be fractional)
+ * @param {Function} random - Random source returning [0, 1)
  * @returns {number} Integer count
  */
-function stochasticCount(rate) {
+function stochasticCount(rate, random) {
   const whole = Math.floor(rate);
   const frac = rate - whole;
-  return whole + (Math.random() < frac ? 1 : 0);
+  return whole + (random() < frac ? 1 : 0);
 }
 
 // ============================================
@@ -361,7 +452,7 @@ export function getLineEmitterById(id) {
 
 /**
  * Get pollutant configuration by ID.
- * @param {string} pollutantId - 'PM25', 'VOC', or 'OZONE'
+ * @param {string} pollutantId - 'PM25', 'VOC', 'NOX', or 'OZONE'
  * @returns {Object|undefined}
  */
 export function getPollutantConfig(pollutantId) {
@@ -0,0 +1,36 @@
+/**
+ * random.js - Seedable pseudo-random numbers
+ * 
+ * The simulation draws every random number (emission jitter, stochastic
+ * rounding, dispersion, turbulence, chemistry) from one generator created
+ * here, so the same seed and settings reproduce the same particle state.
+ * 
+ * Generators are plain functions returning [0, 1), drop-in for Math.random.
+ */
+
+/**
+ * Create a seeded generator (mulberry32: 32-bit state, fast, good enough
+ * statistically for Monte Carlo transport).
+ * 
+ * @param {number} seed - Any number; truncated to a 32-bit unsigned integer
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed (for runs where no seed was given).
+ * @returns {number} 32-bit unsigned integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,135 @@
+/**
+ * receptors.js - Markers for sensitive receptors
+ *
+ * A small pin at each entry of registry.js RECEPTORS (schools, hospitals,
+ * senior centres), coloured by receptor type. Pins with an alert in
+ * progress (alerts.js) turn red and pulse.
+ */
+
+import * as THREE from 'three';
+import { RECEPTORS, RECEPTOR_TYPES, geoToWorld } from './registry.js';
+import { getTerrainHeight } from './heightmap.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  stemHeight: 1.2,
+  stemRadius: 0.05,
+  headRadius: 0.3,
+  alertColor: 0xff3030,
+  pulseSpeed: 4,       // Radians per second
+  pulseScale: 0.35     // Extra head scale at the top of a pulse
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let group = null;
+let markers = new Map();   // receptorId -> { head, color }
+let pulsePhase = 0;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+export function initReceptors(sceneRef) {
+  console.log('🏫 Initializing receptor markers...');
+  
+  scene = sceneRef;
+  group = new THREE.Group();
+  group.name = 'receptors';
+  scene.add(group);
+  
+  buildMarkers();
+  return group;
+}
+
+/**
+ * Rebuild the pins after the receptor set changes (registry.js setReceptors)
+ */
+export function refreshReceptorMarkers() {
+  if (!group) return;
+  clearMarkers();
+  buildMarkers();
+}
+
+function buildMarkers() {
+  const stemGeometry = new THREE.CylinderGeometry(CONFIG.stemRadius, CONFIG.stemRadius, CONFIG.stemHeight, 6);
+  stemGeometry.translate(0, CONFIG.stemHeight / 2, 0);
+  const headGeometry = new THREE.SphereGeometry(CONFIG.headRadius, 12, 8);
+  const stemMaterial = new THREE.MeshBasicMaterial({ color: 0xdddddd });
+  
+  RECEPTORS.forEach(receptor => {
+    const { x, z } = geoToWorld(receptor.coords.lon, receptor.coords.lat);
+    const color = (RECEPTOR_TYPES[receptor.type] || RECEPTOR_TYPES.other).color;
+    
+    const pin = new THREE.Group();
+    pin.position.set(x, getTerrainHeight(x, z), z);
+    pin.userData = { id: receptor.id, name: receptor.name, type: receptor.type };
+    
+    pin.add(new THREE.Mesh(stemGeometry, stemMaterial));
+    const head = new THREE.Mesh(headGeometry, new THREE.MeshBasicMaterial({ color }));
+    head.position.y = CONFIG.stemHeight;
+    pin.add(head);
+    
+    group.add(pin);
+    markers.set(receptor.id, { head, color });
+  });
+  
+  console.log(`  → ${markers.size} receptor markers`);
+}
+
+function clearMarkers() {
+  const disposed = new Set();
+  group.traverse(child => {
+    if (child.geometry && !disposed.has(child.geometry)) {
+      disposed.add(child.geometry);
+      child.geometry.dispose();
+    }
+    if (child.material && !disposed.has(child.material)) {
+      disposed.add(child.material);
+      child.material.dispose();
+    }
+  });
+  group.clear();
+  markers.clear();
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Tint and pulse the pins of receptors with an alert in progress
+ * @param {Set<string>} alerting - Receptor ids (alerts.js getAlertingReceptors)
+ * @param {number} deltaTime - Real seconds since the last frame
+ */
+export function updateReceptorMarkers(alerting, deltaTime) {
+  if (!group) return;
+  
+  pulsePhase = (pulsePhase + deltaTime * CONFIG.pulseSpeed) % (Math.PI * 2);
+  const pulse = 1 + CONFIG.pulseScale * (0.5 + 0.5 * Math.sin(pulsePhase));
+  
+  markers.forEach(({ head, color }, id) => {
+    const active = alerting.has(id);
+    head.material.color.setHex(active ? CONFIG.alertColor : color);
+    head.scale.setScalar(active ? pulse : 1);
+  });
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function disposeReceptors() {
+  if (group && scene) {
+    clearMarkers();
+    scene.remove(group);
+  }
+  group = null;
+  scene = null;
+}
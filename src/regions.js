@@ -0,0 +1,437 @@
+/**
+ * regions.js - Bay Area county / water region polygons
+ * 
+ * Region outlines in lon/lat plus point-in-region lookup. No THREE or DOM
+ * dependencies: county.js draws these regions, and the headless CLI uses
+ * them to aggregate concentrations per county.
+ *
+ * The built-in outlines are hand-placed fallbacks; setRegions() swaps in
+ * surveyed boundaries from a file (boundaries.js). The app and CLI load the
+ * census county lines in public/bay-area-regions.geojson by default.
+ */
+
+import { GEO_BOUNDS, MAP_BOUNDS, VERTICAL_SCALE, getHeightmap, getTerrainHeight } from './heightmap.js';
+import { rasterizeZones, getZoneAt } from './zones.js';
+import { geoToWorld } from './registry.js';
+
+// ============================================
+// MAP BOUNDS (shared with map.js)
+// ============================================
+
+const GEO = GEO_BOUNDS;
+const MAP = MAP_BOUNDS;
+
+// ============================================
+// COORDINATE CONVERSION
+// ============================================
+
+/**
+ * A [lon, lat] ring in world space, as [x, z] pairs (registry.js geoToWorld)
+ */
+export function ringToWorld(ring) {
+  return ring.map(([lon, lat]) => {
+    const { x, z } = geoToWorld(lon, lat);
+    return [x, z];
+  });
+}
+
+// ============================================
+// REGION DEFINITIONS
+// Built-in fallback outlines. All regions fit together like puzzle pieces.
+// Shared borders use EXACT same coordinates.
+// ============================================
+
+// Shared vertex points (used by multiple regions)
+const PTS = {
+  // Map corners
+  NW: [GEO.lonMin, GEO.latMax],
+  NE: [GEO.lonMax, GEO.latMax],
+  SE: [GEO.lonMax, GEO.latMin],
+  SW: [GEO.lonMin, GEO.latMin],
+  
+  // Golden Gate
+  GG_N: [-122.478, 37.835],
+  GG_S: [-122.478, 37.812],
+  
+  // SF corners
+  SF_SW: [-122.516, 37.708],
+  SF_NW: [-122.516, 37.793],
+  SF_SE: [-122.357, 37.708],
+  SF_NE: [-122.390, 37.812],
+  
+  // SF Bay perimeter (clockwise from Golden Gate)
+  BAY_MARIN: [-122.460, 37.875],
+  BAY_RICHMOND: [-122.380, 37.925],
+  BAY_BERKELEY: [-122.330, 37.882],
+  BAY_OAKLAND: [-122.270, 37.810],
+  BAY_ALAMEDA: [-122.240, 37.730],
+  BAY_HAYWARD: [-122.130, 37.640],
+  BAY_FREMONT: [-122.020, 37.490],
+  BAY_ALVISO: [-122.100, 37.485],
+  BAY_REDWOOD: [-122.180, 37.590],
+  
+  // San Pablo Bay perimeter (separate from SF Bay)
+  SPB_SW: [-122.430, 37.950],      // Where it meets SF Bay/Marin
+  SPB_MARIN: [-122.500, 38.020],   // Marin shore
+  SPB_NAPA: [-122.400, 38.080],    // Napa shore  
+  SPB_VALLEJO: [-122.270, 38.100], // Solano/Vallejo
+  SPB_BENICIA: [-122.150, 38.050], // Solano/Benicia
+  SPB_MARTINEZ: [-122.100, 38.020],// Contra Costa/Martinez
+  SPB_SE: [-122.250, 37.960],      // SE corner back to Richmond
+  
+  // County border points (not on water)
+  SM_SC: [-122.100, 37.380],       // San Mateo / Santa Clara
+  SC_AL: [-121.920, 37.510],       // Santa Clara / Alameda  
+  SC_AL2: [-121.750, 37.490],      // SC/AL east
+  AL_CC: [-121.560, 37.760],       // Alameda / Contra Costa east
+  AL_CC2: [-121.870, 37.790],      // AL/CC west (hills)
+  AL_CC3: [-122.060, 37.882],      // AL/CC at bay
+  CC_SO: [-121.560, 38.020],       // Contra Costa / Solano (east edge)
+  NA_SO: [-122.150, 38.160],       // Napa / Solano border
+  NA_MA: [-122.540, 38.110],       // Napa / Marin
+  NA_SON: [-122.630, 38.210],      // Napa / Sonoma
+  MA_SON: [-122.720, 38.030],      // Marin / Sonoma
+  
+  // Coast points
+  COAST_MARIN_S: [-122.540, 37.850],
+  COAST_MARIN_N: [-122.870, 38.070],
+  COAST_SM: [-122.520, 37.490],
+  COAST_SC: [-122.470, 37.182],
+};
+
+const BUILT_IN_REGIONS = {
+
+  // ========== COUNTIES ==========
+  
+  san_francisco: {
+    name: 'San Francisco',
+    type: 'county',
+    label: [-122.44, 37.76],
+    coords: [
+      PTS.SF_SW, PTS.SF_NW, PTS.GG_S, PTS.SF_NE, PTS.SF_SE, PTS.SF_SW
+    ]
+  },
+  
+  san_mateo: {
+    name: 'San Mateo',
+    type: 'county',
+    label: [-122.38, 37.50],
+    coords: [
+      PTS.SF_SW, PTS.SF_SE, PTS.BAY_REDWOOD, PTS.BAY_ALVISO, PTS.SM_SC,
+      [-122.100, GEO.latMin], PTS.COAST_SC, PTS.COAST_SM, PTS.SF_SW
+    ]
+  },
+  
+  santa_clara: {
+    name: 'Santa Clara',
+    type: 'county',
+    label: [-121.82, 37.32],
+    coords: [
+      PTS.SM_SC, PTS.BAY_ALVISO, PTS.BAY_FREMONT, PTS.SC_AL, PTS.SC_AL2,
+      [-121.560, 37.640], [GEO.lonMax, 37.640], PTS.SE,
+      [-122.100, GEO.latMin], PTS.SM_SC
+    ]
+  },
+  
+  alameda: {
+    name: 'Alameda',
+    type: 'county',
+    label: [-121.95, 37.70],
+    coords: [
+      PTS.BAY_BERKELEY, PTS.BAY_OAKLAND, PTS.BAY_ALAMEDA, PTS.BAY_HAYWARD,
+      PTS.BAY_FREMONT, PTS.SC_AL, PTS.SC_AL2, [-121.560, 37.640],
+      PTS.AL_CC, PTS.AL_CC2, PTS.AL_CC3, PTS.BAY_BERKELEY
+    ]
+  },
+  
+  contra_costa: {
+    name: 'Contra Costa',
+    type: 'county',
+    label: [-121.92, 37.92],
+    coords: [
+      PTS.SPB_SE, PTS.BAY_BERKELEY, PTS.AL_CC3, PTS.AL_CC2,
+      PTS.AL_CC, [-121.560, 37.640], [GEO.lonMax, 37.640], [GEO.lonMax, 38.020],
+      PTS.CC_SO, PTS.SPB_MARTINEZ, PTS.SPB_SE
+    ]
+  },
+  
+  solano: {
+    name: 'Solano',
+    type: 'county',
+    label: [-122.00, 38.20],
+    coords: [
+      PTS.SPB_BENICIA, PTS.SPB_VALLEJO, PTS.NA_SO, 
+      [-122.150, GEO.latMax], [GEO.lonMax, GEO.latMax], [GEO.lonMax, 38.020],
+      PTS.CC_SO, PTS.SPB_MARTINEZ, PTS.SPB_BENICIA
+    ]
+  },
+  
+  napa: {
+    name: 'Napa',
+    type: 'county',
+    label: [-122.32, 38.30],
+    coords: [
+      PTS.SPB_NAPA, PTS.SPB_VALLEJO, PTS.NA_SO,
+      [-122.150, GEO.latMax], [-122.500, GEO.latMax],
+      PTS.NA_SON, PTS.NA_MA, PTS.SPB_MARIN, PTS.SPB_NAPA
+    ]
+  },
+  
+  marin: {
+    name: 'Marin',
+    type: 'county',
+    label: [-122.58, 37.96],
+    coords: [
+      PTS.GG_N, PTS.COAST_MARIN_S, PTS.MA_SON, PTS.COAST_MARIN_N,
+      PTS.NA_SON, [-122.500, GEO.latMax], PTS.NA_MA, 
+      PTS.SPB_MARIN, PTS.SPB_SW, PTS.BAY_RICHMOND, PTS.BAY_MARIN, PTS.GG_N
+    ]
+  },
+  
+  sonoma: {
+    name: 'Sonoma',
+    type: 'county',
+    label: [-122.88, 38.33],
+    coords: [
+      PTS.MA_SON, PTS.COAST_MARIN_S, [GEO.lonMin, 37.950],
+      PTS.NW, [-122.500, GEO.latMax], PTS.NA_SON, PTS.COAST_MARIN_N, PTS.MA_SON
+    ]
+  },
+  
+  // ========== WATER ==========
+  
+  pacific: {
+    name: 'Pacific Ocean',
+    type: 'water',
+    label: [-122.90, 37.55],
+    coords: [
+      PTS.SW, [GEO.lonMin, 37.950], PTS.COAST_MARIN_S, PTS.GG_N, PTS.GG_S,
+      PTS.SF_NW, PTS.SF_SW, PTS.COAST_SM, PTS.COAST_SC, PTS.SW
+    ]
+  },
+  
+  sf_bay: {
+    name: 'SF Bay',
+    type: 'water',
+    label: [-122.22, 37.72],
+    coords: [
+      PTS.GG_S, PTS.GG_N, PTS.BAY_MARIN, PTS.BAY_RICHMOND, PTS.SPB_SW,
+      PTS.SPB_SE, PTS.BAY_BERKELEY, PTS.BAY_OAKLAND, PTS.BAY_ALAMEDA,
+      PTS.BAY_HAYWARD, PTS.BAY_FREMONT, PTS.BAY_ALVISO,
+      PTS.BAY_REDWOOD, PTS.SF_SE, PTS.SF_NE, PTS.GG_S
+    ]
+  },
+  
+  san_pablo_bay: {
+    name: 'San Pablo Bay',
+    type: 'water',
+    label: [-122.35, 38.04],
+    coords: [
+      PTS.SPB_SW, PTS.SPB_MARIN, PTS.SPB_NAPA, PTS.SPB_VALLEJO,
+      PTS.SPB_BENICIA, PTS.SPB_MARTINEZ, PTS.SPB_SE, PTS.SPB_SW
+    ]
+  },
+};
+
+/**
+ * Active regions: id -> { name, type: 'county'|'water', label: [lon, lat],
+ * polygons, bounds }. polygons follows GeoJSON MultiPolygon coordinates:
+ * a list of polygons, each [outerRing, ...holes], rings closed in lon/lat.
+ * bounds is [lonMin, latMin, lonMax, latMax]. Replaced in place by
+ * setRegions(), so importers keep a live reference.
+ */
+export const REGIONS = {};
+
+/**
+ * Replace the active regions (county / water boundaries)
+ * @param {Object|null} regions - id -> { name, type, label, polygons }
+ *   (boundaries.js parseRegionBoundaries), or null for the built-in outlines
+ */
+export function setRegions(regions) {
+  Object.keys(REGIONS).forEach(id => { delete REGIONS[id]; });
+  
+  const source = regions || BUILT_IN_REGIONS;
+  Object.entries(source).forEach(([id, region]) => {
+    const polygons = region.polygons || [[region.coords]];
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(([outer]) => outer.forEach(([lon, lat]) => {
+      bounds[0] = Math.min(bounds[0], lon);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lon);
+      bounds[3] = Math.max(bounds[3], lat);
+    }));
+    REGIONS[id] = { name: region.name, type: region.type, label: region.label, polygons, bounds };
+  });
+  
+  // Cached raster, areas and volumes belong to the old outlines
+  regionRaster = null;
+  regionSamples = null;
+  mixingVolumesLid = null;
+}
+
+// ============================================
+// POINT IN POLYGON
+// ============================================
+
+export function pointInPolygon(lon, lat, coords) {
+  let inside = false;
+  for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
+    const [xi, yi] = coords[i];
+    const [xj, yj] = coords[j];
+    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a lon/lat lies in a region (inside an outer ring, not in its holes)
+ * @param {number} lon
+ * @param {number} lat
+ * @param {Object} region - Entry of REGIONS
+ * @returns {boolean}
+ */
+export function pointInRegion(lon, lat, region) {
+  const [lonMin, latMin, lonMax, latMax] = region.bounds;
+  if (lon < lonMin || lon > lonMax || lat < latMin || lat > latMax) return false;
+  
+  return region.polygons.some(([outer, ...holes]) =>
+    pointInPolygon(lon, lat, outer) && !holes.some(hole => pointInPolygon(lon, lat, hole)));
+}
+
+// ============================================
+// REGION RASTER
+// ============================================
+
+let regionRaster = null;
+
+/**
+ * Region ids burnt into a raster over the map (zones.js), built on first
+ * use and again after setRegions(). Counties paint over water.
+ * @returns {Object} From rasterizeZones(); look up with getZoneIndex / getZoneAt
+ */
+export function getRegionRaster() {
+  if (regionRaster) return regionRaster;
+  
+  const byType = type => Object.entries(REGIONS)
+    .filter(([, region]) => (region.type === 'water') === (type === 'water'))
+    .map(([id, region]) => ({
+      id,
+      polygons: region.polygons.map(rings => rings.map(ringToWorld))
+    }));
+  regionRaster = rasterizeZones([...byType('water'), ...byType('county')]);
+  return regionRaster;
+}
+
+/**
+ * Find the region containing a world position (counties take priority over
+ * water). Raster lookup: exact to half a raster cell at borders; use
+ * pointInRegion() where that matters.
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {string|null} Region ID
+ */
+export function getRegionAt(x, z) {
+  return getZoneAt(regionRaster || getRegionRaster(), x, z);
+}
+
+// ============================================
+// REGION AREAS
+// ============================================
+
+// Columns where terrain rises through the mixing lid still count this much
+// air above the ground (world units, ~125 m)
+export const MIN_MIXING_DEPTH = 1;
+
+// Sampling step for region areas and ground heights (km)
+const AREA_SAMPLE_STEP = 1;
+
+let regionSamples = null;
+let samplesSource = undefined;   // Heightmap data the ground heights were sampled on
+let mixingVolumes = null;
+let mixingVolumesLid = null;
+
+/**
+ * Drop the sampled ground heights when the heightmap has changed
+ * (procedural hills until the GeoTIFF arrives)
+ */
+function checkTerrainSource() {
+  const heightmap = getHeightmap();
+  const source = heightmap ? heightmap.data : null;
+  if (source === samplesSource) return;
+  samplesSource = source;
+  regionSamples = null;
+  mixingVolumesLid = null;
+}
+
+/**
+ * Sample the map once through getRegionAt, so water regions exclude the
+ * counties drawn over them. Resampled when the heightmap changes.
+ */
+function getRegionSamples() {
+  checkTerrainSource();
+  if (regionSamples) return regionSamples;
+  
+  const ground = Object.fromEntries(Object.keys(REGIONS).map(id => [id, []]));
+  for (let x = -MAP.width / 2 + AREA_SAMPLE_STEP / 2; x < MAP.width / 2; x += AREA_SAMPLE_STEP) {
+    for (let z = -MAP.depth / 2 + AREA_SAMPLE_STEP / 2; z < MAP.depth / 2; z += AREA_SAMPLE_STEP) {
+      const id = getRegionAt(x, z);
+      if (id) ground[id].push(getTerrainHeight(x, z));
+    }
+  }
+  
+  const cellArea = AREA_SAMPLE_STEP * AREA_SAMPLE_STEP;
+  regionSamples = {
+    cellArea,
+    areas: Object.fromEntries(Object.entries(ground).map(([id, h]) => [id, h.length * cellArea])),
+    ground: Object.fromEntries(Object.entries(ground).map(([id, h]) => [id, Float32Array.from(h)]))
+  };
+  return regionSamples;
+}
+
+/**
+ * Area of each region inside the map (km²)
+ * @returns {Object} regionId -> km²
+ */
+export function getRegionAreas() {
+  return getRegionSamples().areas;
+}
+
+/**
+ * Top of the mixed air over a point: the lid, or MIN_MIXING_DEPTH above
+ * ground where the terrain pokes through it.
+ * @param {number} groundHeight - Terrain height (world Y)
+ * @param {number} lid - Mixing height (world Y, traffic.js getMixingHeight)
+ * @returns {number} World Y
+ */
+export function getMixingTop(groundHeight, lid) {
+  return Math.max(lid, groundHeight + MIN_MIXING_DEPTH);
+}
+
+/**
+ * Real air volume between the ground and the mixing top over a region (m³),
+ * for region-average concentrations
+ * @param {string} regionId - Key into REGIONS
+ * @param {number} lid - Mixing height (world Y)
+ * @returns {number}
+ */
+export function getMixingVolume(regionId, lid) {
+  checkTerrainSource();
+  if (mixingVolumesLid !== lid) {
+    const { cellArea, ground } = getRegionSamples();
+    mixingVolumes = {};
+    Object.entries(ground).forEach(([id, heights]) => {
+      let depth = 0;
+      for (let i = 0; i < heights.length; i++) {
+        depth += getMixingTop(heights[i], lid) - heights[i];
+      }
+      mixingVolumes[id] = depth * cellArea * 1e6 / VERTICAL_SCALE;
+    });
+    mixingVolumesLid = lid;
+  }
+  return mixingVolumes[regionId] || 0;
+}
+
+// Start on the built-in outlines
+setRegions(null);
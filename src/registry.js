@@ -12,6 +12,8 @@
  *   - Y = elevation (terrain height + structure height)
  */
 
+import { log, warn } from './log.js';
+
 // ============================================
 // COORDINATE SYSTEM CONSTANTS
 // ============================================
@@ -75,6 +77,17 @@ export function getBounds() {
   return { geo: { ...GEO_BOUNDS }, map: { ...MAP_BOUNDS } };
 }
 
+// ============================================
+// EMISSION UNITS (profile and inventory rates are g/s)
+// ============================================
+
+// polluters.js emit() releases this many particles per gram emitted
+// (resolution only: particle mass follows, simulation.js)
+export const EMISSION_PARTICLES_PER_GRAM = 2;
+
+// Inventories report short tons per year
+export const TONS_PER_YEAR_TO_GRAMS_PER_SECOND = 907184.74 / (365.25 * 86400);
+
 // ============================================
 // EMITTER PROFILE DEFINITIONS
 // ============================================
@@ -83,8 +96,14 @@ export function getBounds() {
  * Base emission profiles by emitter type.
  * Individual emitters reference these by name and apply a scale multiplier.
  * 
- * emissions: particles per second at scale=1.0
- * emissionsPerKm: for line sources, particles per km per second
+ * emissions: grams per second at scale=1.0 (long-run average)
+ * temporal: key into TEMPORAL_PROFILES, the activity cycle over the day,
+ *   week and year (omitted = constant)
+ * emissionFactors: for line sources, grams per vehicle-km (fleet average);
+ *   combined with each highway's traffic volume (aadt) and TRAFFIC_PROFILES
+ *
+ * Only primary pollutants are emitted. Ozone is secondary: the orchestrator
+ * forms it downwind from VOC + NOx in sunlight.
  */
 export const EMITTER_PROFILES = {
 
@@ -95,7 +114,8 @@ export const EMITTER_PROFILES = {
     type: 'urban',
     height: 0.5,
     spread: 6,
-    emissions: { PM25: 12, VOC: 10, OZONE: 0 },
+    emissions: { PM25: 6, VOC: 5, NOX: 5 },
+    temporal: 'urban',
     color: 0x4a90d9,
     description: 'Major metropolitan center'
   },
@@ -103,7 +123,8 @@ export const EMITTER_PROFILES = {
     type: 'urban',
     height: 0.5,
     spread: 4,
-    emissions: { PM25: 8, VOC: 6, OZONE: 0 },
+    emissions: { PM25: 4, VOC: 3, NOX: 3.5 },
+    temporal: 'urban',
     color: 0x5a9ad9,
     description: 'Mid-size city'
   },
@@ -111,7 +132,8 @@ export const EMITTER_PROFILES = {
     type: 'urban',
     height: 0.5,
     spread: 2.5,
-    emissions: { PM25: 5, VOC: 4, OZONE: 0 },
+    emissions: { PM25: 2.5, VOC: 2, NOX: 2 },
+    temporal: 'urban',
     color: 0x6aa4d9,
     description: 'Small city'
   },
@@ -119,7 +141,8 @@ export const EMITTER_PROFILES = {
     type: 'urban',
     height: 0.5,
     spread: 1.5,
-    emissions: { PM25: 2, VOC: 1.5, OZONE: 0 },
+    emissions: { PM25: 1, VOC: 0.75, NOX: 0.75 },
+    temporal: 'urban',
     color: 0x7aaed9,
     description: 'Town or small community'
   },
@@ -131,7 +154,8 @@ export const EMITTER_PROFILES = {
     type: 'bridge',
     height: 1.0,
     spread: 1.5,
-    emissions: { PM25: 12, VOC: 8, OZONE: 0 },
+    emissions: { PM25: 6, VOC: 4, NOX: 5 },
+    temporal: 'commute',
     color: 0xd4a574,
     description: 'Major bridge crossing'
   },
@@ -139,7 +163,8 @@ export const EMITTER_PROFILES = {
     type: 'interchange',
     height: 0.5,
     spread: 2.5,
-    emissions: { PM25: 15, VOC: 10, OZONE: 0 },
+    emissions: { PM25: 7.5, VOC: 5, NOX: 7 },
+    temporal: 'commute',
     color: 0xc49464,
     description: 'Highway interchange/junction'
   },
@@ -151,7 +176,8 @@ export const EMITTER_PROFILES = {
     type: 'airport',
     height: 0.5,
     spread: 4,
-    emissions: { PM25: 25, VOC: 22, OZONE: 2 },
+    emissions: { PM25: 12.5, VOC: 11, NOX: 14 },
+    temporal: 'airport',
     color: 0xe74c3c,
     description: 'International airport'
   },
@@ -159,7 +185,8 @@ export const EMITTER_PROFILES = {
     type: 'airport',
     height: 0.5,
     spread: 2.5,
-    emissions: { PM25: 15, VOC: 12, OZONE: 1 },
+    emissions: { PM25: 7.5, VOC: 6, NOX: 7 },
+    temporal: 'airport',
     color: 0xc0392b,
     description: 'Regional airport'
   },
@@ -171,7 +198,8 @@ export const EMITTER_PROFILES = {
     type: 'military',
     height: 0.5,
     spread: 5,
-    emissions: { PM25: 20, VOC: 18, OZONE: 2 },
+    emissions: { PM25: 10, VOC: 9, NOX: 11 },
+    temporal: 'military',
     color: 0x2c3e50,
     description: 'Military air base'
   },
@@ -183,7 +211,8 @@ export const EMITTER_PROFILES = {
     type: 'port',
     height: 2,
     spread: 5,
-    emissions: { PM25: 30, VOC: 20, OZONE: 0 },
+    emissions: { PM25: 15, VOC: 10, NOX: 17.5 },
+    temporal: 'port',
     color: 0x3498db,
     description: 'Major shipping port'
   },
@@ -191,7 +220,8 @@ export const EMITTER_PROFILES = {
     type: 'port',
     height: 1,
     spread: 2,
-    emissions: { PM25: 10, VOC: 6, OZONE: 0 },
+    emissions: { PM25: 5, VOC: 3, NOX: 5 },
+    temporal: 'port',
     color: 0x5dade2,
     description: 'Minor port or harbor'
   },
@@ -199,7 +229,7 @@ export const EMITTER_PROFILES = {
     type: 'memorial',
     height: 0.5,
     spread: 1,
-    emissions: { PM25: 0, VOC: 0, OZONE: 0 },
+    emissions: { PM25: 0, VOC: 0, NOX: 0 },
     color: 0x7f8c8d,
     description: 'Memorial site (no emissions)'
   },
@@ -212,7 +242,8 @@ export const EMITTER_PROFILES = {
     height: 5,
     plumeRise: 8,
     spread: 3,
-    emissions: { PM25: 25, VOC: 45, OZONE: 6 },
+    emissions: { PM25: 12.5, VOC: 22.5, NOX: 15 },
+    temporal: 'refinery',
     color: 0xe67e22,
     description: 'Large petroleum refinery'
   },
@@ -221,19 +252,20 @@ export const EMITTER_PROFILES = {
     height: 4,
     plumeRise: 5,
     spread: 2,
-    emissions: { PM25: 18, VOC: 32, OZONE: 4 },
+    emissions: { PM25: 9, VOC: 16, NOX: 11 },
+    temporal: 'refinery',
     color: 0xd35400,
     description: 'Medium petroleum refinery'
   },
 
   // ─────────────────────────────────────────
-  // HIGHWAYS (line sources - visual only, no emissions)
+  // HIGHWAYS (line sources, emissions from traffic volume)
   // ─────────────────────────────────────────
   HIGHWAY_MAJOR: {
     type: 'highway',
     height: 0.5,
     spread: 0.6,
-    emissionsPerKm: { PM25: 0, VOC: 0, OZONE: 0 },
+    emissionFactors: { PM25: 0.03, VOC: 0.06, NOX: 0.25 },  // Heavier truck share
     ribbonColor: 0x5566aa,
     ribbonWidth: 0.8,
     ribbonOpacity: 0.7,
@@ -243,7 +275,7 @@ export const EMITTER_PROFILES = {
     type: 'highway',
     height: 0.5,
     spread: 0.4,
-    emissionsPerKm: { PM25: 0, VOC: 0, OZONE: 0 },
+    emissionFactors: { PM25: 0.02, VOC: 0.07, NOX: 0.18 },  // Mostly light-duty
     ribbonColor: 0x445588,
     ribbonWidth: 0.5,
     ribbonOpacity: 0.6,
@@ -251,6 +283,167 @@ export const EMITTER_PROFILES = {
   }
 };
 
+// ============================================
+// TRAFFIC PROFILES (highway activity by hour and day)
+// ============================================
+
+/**
+ * Share of daily traffic in each hour (percent, local time), from typical
+ * Bay Area freeway counts: AM peak 7-9, PM peak 4-7 on weekdays; a single
+ * broad midday hump on weekends.
+ * dailyFactor scales the day's total relative to AADT.
+ */
+export const TRAFFIC_PROFILES = {
+  weekday: {
+    dailyFactor: 1.06,
+    hourly: [1.0, 0.6, 0.5, 0.5, 0.8, 2.0, 4.5, 6.8, 7.0, 5.5, 4.8, 5.0,
+             5.2, 5.3, 5.8, 6.8, 7.4, 7.5, 6.2, 4.6, 3.8, 3.3, 2.6, 1.7]
+  },
+  weekend: {
+    dailyFactor: 0.85,
+    hourly: [1.8, 1.2, 1.0, 0.7, 0.6, 0.8, 1.5, 2.5, 3.8, 5.0, 6.0, 6.6,
+             6.9, 7.0, 7.0, 6.9, 6.8, 6.5, 6.0, 5.2, 4.4, 3.8, 3.2, 2.5]
+  }
+};
+
+// Hourly shares -> multipliers on the AADT hourly average (mean 1 x dailyFactor)
+const TRAFFIC_FACTORS = Object.fromEntries(
+  Object.entries(TRAFFIC_PROFILES).map(([name, profile]) => {
+    const total = profile.hourly.reduce((sum, share) => sum + share, 0);
+    return [name, profile.hourly.map(share => share * 24 / total * profile.dailyFactor)];
+  })
+);
+
+/**
+ * Traffic volume relative to the AADT average for a clock time.
+ * Interpolates between hours so plumes don't jump on the hour.
+ * 
+ * @param {number} timeOfDay - Hour, 0-24
+ * @param {number} [dayOfWeek] - 0 = Sunday ... 6 = Saturday (default: a weekday)
+ * @returns {number} 1.0 = average hour of an average day
+ */
+export function getTrafficFactor(timeOfDay, dayOfWeek = 2) {
+  const hour = ((timeOfDay % 24) + 24) % 24;
+  const h0 = Math.floor(hour);
+  const h1 = (h0 + 1) % 24;
+  
+  // The hour after midnight belongs to the next day's profile
+  const day = ((dayOfWeek % 7) + 7) % 7;
+  const factorsFor = (d) => (d === 0 || d === 6) ? TRAFFIC_FACTORS.weekend : TRAFFIC_FACTORS.weekday;
+  const a = factorsFor(day)[h0];
+  const b = factorsFor(h1 === 0 ? (day + 1) % 7 : day)[h1];
+  return a + (b - a) * (hour - h0);
+}
+
+// ============================================
+// TEMPORAL PROFILES (point-source activity by hour, day and month)
+// ============================================
+
+/**
+ * Relative activity cycles for point sources. Each curve is normalised to
+ * mean 1 when used, so a profile's emissions stay its long-run average.
+ *   hourly: 24 values, local time
+ *   weekly: 7 values, Sunday first
+ *   monthly: 12 values, January first
+ *   flaring: optional episodes - each block of `hours` is a flaring episode
+ *     with probability `chance`, emitting `multiplier` times the base rate
+ * Missing curves are flat.
+ *
+ * Point emitters can override any of these with their own `temporal`
+ * (a key, or an object merged over the profile's curves).
+ */
+export const TEMPORAL_PROFILES = {
+  // Commute peaks, evening cooking and winter wood-burning
+  urban: {
+    hourly: [0.5, 0.4, 0.35, 0.35, 0.4, 0.6, 0.9, 1.3, 1.4, 1.2, 1.1, 1.1,
+             1.1, 1.1, 1.1, 1.2, 1.35, 1.45, 1.4, 1.3, 1.1, 0.9, 0.7, 0.6],
+    weekly: [0.8, 1.03, 1.05, 1.05, 1.05, 1.07, 0.9],
+    monthly: [1.3, 1.2, 1.0, 0.9, 0.85, 0.85, 0.85, 0.85, 0.9, 1.0, 1.15, 1.35]
+  },
+  // Bridges and interchanges follow weekday freeway traffic
+  commute: {
+    hourly: TRAFFIC_PROFILES.weekday.hourly,
+    weekly: [0.8, 1.04, 1.06, 1.06, 1.07, 1.1, 0.87]
+  },
+  // Flight banks from 6am to midnight, summer travel peak
+  airport: {
+    hourly: [0.3, 0.2, 0.15, 0.15, 0.2, 0.6, 1.2, 1.5, 1.5, 1.4, 1.3, 1.3,
+             1.3, 1.3, 1.3, 1.3, 1.4, 1.4, 1.4, 1.3, 1.2, 1.1, 0.9, 0.6],
+    weekly: [0.97, 1.02, 0.95, 0.97, 1.04, 1.07, 0.9],
+    monthly: [0.88, 0.85, 0.95, 0.98, 1.02, 1.1, 1.15, 1.14, 1.0, 1.0, 0.95, 0.98]
+  },
+  // Daytime flight operations, quiet weekends
+  military: {
+    hourly: [0.3, 0.3, 0.3, 0.3, 0.3, 0.4, 0.8, 1.6, 1.9, 1.9, 1.9, 1.8,
+             1.6, 1.9, 1.9, 1.8, 1.5, 1.0, 0.6, 0.5, 0.5, 0.4, 0.3, 0.3],
+    weekly: [0.4, 1.15, 1.2, 1.2, 1.2, 1.1, 0.5]
+  },
+  // Ships at berth run around the clock; terminal gates and drayage by day;
+  // import peak ahead of the holidays
+  port: {
+    hourly: [0.7, 0.65, 0.65, 0.65, 0.7, 0.8, 1.1, 1.3, 1.4, 1.4, 1.35, 1.3,
+             1.2, 1.3, 1.35, 1.3, 1.2, 1.0, 0.9, 0.85, 0.8, 0.75, 0.75, 0.7],
+    weekly: [0.6, 1.08, 1.1, 1.1, 1.1, 1.08, 0.85],
+    monthly: [0.92, 0.85, 0.95, 0.97, 1.0, 1.0, 1.03, 1.1, 1.12, 1.1, 1.0, 0.96]
+  },
+  // Continuous process units, spring turnarounds, and flaring episodes
+  refinery: {
+    monthly: [0.98, 0.92, 0.92, 0.98, 1.02, 1.03, 1.03, 1.03, 1.02, 1.01, 1.02, 1.02],
+    flaring: { chance: 0.02, multiplier: 4, hours: 3 }
+  }
+};
+
+const TEMPORAL_CURVE_LENGTHS = { hourly: 24, weekly: 7, monthly: 12 };
+
+/**
+ * Resolve an emitter's activity cycle: its profile's TEMPORAL_PROFILES
+ * entry with the emitter's own `temporal` override merged on top.
+ * Curves come back normalised to mean 1; flaring is folded in so the
+ * long-run average still matches the profile's emissions.
+ *
+ * @param {Object} emitter - POINT_EMITTERS entry
+ * @returns {Object} { hourly, weekly, monthly, flaring } (flaring may be null)
+ */
+export function resolveTemporalProfile(emitter) {
+  const base = TEMPORAL_PROFILES[EMITTER_PROFILES[emitter.profile]?.temporal] || {};
+  const override = typeof emitter.temporal === 'string'
+    ? TEMPORAL_PROFILES[emitter.temporal] || {}
+    : emitter.temporal || {};
+  const merged = { ...base, ...override };
+  
+  const flaring = merged.flaring || null;
+  const flaringMean = flaring ? 1 + flaring.chance * (flaring.multiplier - 1) : 1;
+  
+  const resolved = { flaring };
+  Object.entries(TEMPORAL_CURVE_LENGTHS).forEach(([name, length]) => {
+    const values = merged[name] || new Array(length).fill(1);
+    const mean = values.reduce((sum, v) => sum + v, 0) / length;
+    resolved[name] = values.map(v => v / mean);
+  });
+  resolved.hourly = resolved.hourly.map(v => v / flaringMean);
+  return resolved;
+}
+
+/**
+ * Activity relative to the long-run average for a clock time (flaring
+ * excluded; the caller decides episodes). Interpolates between hours.
+ *
+ * @param {Object} temporal - From resolveTemporalProfile()
+ * @param {number} timeOfDay - Hour, 0-24
+ * @param {number} [dayOfWeek] - 0 = Sunday (default: a weekday)
+ * @param {number} [month] - 0 = January (default: July)
+ * @returns {number} 1.0 = average
+ */
+export function getTemporalFactor(temporal, timeOfDay, dayOfWeek = 2, month = 6) {
+  const hour = ((timeOfDay % 24) + 24) % 24;
+  const h0 = Math.floor(hour);
+  const a = temporal.hourly[h0];
+  const b = temporal.hourly[(h0 + 1) % 24];
+  return (a + (b - a) * (hour - h0)) *
+         temporal.weekly[((dayOfWeek % 7) + 7) % 7] *
+         temporal.monthly[((month % 12) + 12) % 12];
+}
+
 // ============================================
 // POINT EMITTERS (Network Nodes)
 // ============================================
@@ -264,6 +457,9 @@ export const EMITTER_PROFILES = {
  *   profile: key into EMITTER_PROFILES
  *   scale: multiplier for base emissions (1.0 = normal)
  *   coords: { lon, lat } in WGS84
+ *   temporal: optional override of the profile's TEMPORAL_PROFILES cycle
+ *   emissions: optional grams per second replacing the profile's
+ *     (set by inventory imports from reported tons/year)
  */
 export const POINT_EMITTERS = [
 
@@ -504,7 +700,12 @@ export const POINT_EMITTERS = [
     name: 'San Francisco International Airport',
     profile: 'AIRPORT_INTERNATIONAL',
     scale: 1.0,
-    coords: { lon: -122.3790, lat: 37.6213 }
+    coords: { lon: -122.3790, lat: 37.6213 },
+    // Overnight curfew: only cargo and a few red-eyes from 11pm to 6am
+    temporal: {
+      hourly: [0.08, 0.05, 0.05, 0.05, 0.05, 0.3, 1.3, 1.6, 1.6, 1.5, 1.4, 1.4,
+               1.4, 1.4, 1.4, 1.4, 1.5, 1.5, 1.5, 1.4, 1.3, 1.2, 0.8, 0.1]
+    }
   },
   {
     id: 'oak',
@@ -590,20 +791,94 @@ export const POINT_EMITTERS = [
   }
 ];
 
+// ============================================
+// SENSITIVE RECEPTORS (schools, hospitals, senior centres)
+// ============================================
+
+/**
+ * Receptor categories, with the marker colour each is drawn in.
+ */
+export const RECEPTOR_TYPES = {
+  school:   { name: 'School',        color: 0xffd54f },
+  hospital: { name: 'Hospital',      color: 0xf5f5f5 },
+  senior:   { name: 'Senior centre', color: 0xb39ddb },
+  other:    { name: 'Receptor',      color: 0x80deea }
+};
+
+/**
+ * Places where sensitive populations are monitored for threshold alerts.
+ * The built-in set sits downwind of the refineries and the Port of Oakland;
+ * replace it with setReceptors().
+ *
+ * Each entry:
+ *   id: unique identifier
+ *   name: display name
+ *   type: key into RECEPTOR_TYPES
+ *   coords: { lon, lat } in WGS84
+ *   thresholds: optional pollutantId -> µg/m³ overriding the alert defaults
+ */
+export const RECEPTORS = [
+  {
+    id: 'prescott_elementary',
+    name: 'Prescott Elementary (West Oakland)',
+    type: 'school',
+    coords: { lon: -122.2965, lat: 37.8105 }
+  },
+  {
+    id: 'childrens_hospital_oakland',
+    name: "UCSF Benioff Children's Hospital Oakland",
+    type: 'hospital',
+    coords: { lon: -122.2673, lat: 37.8373 }
+  },
+  {
+    id: 'highland_hospital',
+    name: 'Highland Hospital',
+    type: 'hospital',
+    coords: { lon: -122.2319, lat: 37.7990 }
+  },
+  {
+    id: 'peres_elementary',
+    name: 'Peres Elementary (Richmond)',
+    type: 'school',
+    coords: { lon: -122.3617, lat: 37.9349 }
+  },
+  {
+    id: 'kaiser_richmond',
+    name: 'Kaiser Richmond Medical Center',
+    type: 'hospital',
+    coords: { lon: -122.3455, lat: 37.9358 }
+  },
+  {
+    id: 'rodeo_senior_center',
+    name: 'Rodeo Senior Center',
+    type: 'senior',
+    coords: { lon: -122.2667, lat: 38.0331 }
+  },
+  {
+    id: 'martinez_senior_center',
+    name: 'Martinez Senior Community Center',
+    type: 'senior',
+    coords: { lon: -122.1316, lat: 38.0167 }
+  }
+];
+
 // ============================================
 // LINE EMITTERS (Network Edges / Highways)
 // ============================================
 
 /**
  * All line-source emitters (highways) in the Bay Area network.
- * Highways are visual only (no emissions) - landmarks handle emissions.
+ * Emissions = aadt × profile emissionFactors × TRAFFIC_PROFILES hour/day factor.
  * 
  * Each entry:
  *   id: unique identifier
  *   name: display name
  *   profile: key into EMITTER_PROFILES
- *   scale: multiplier (not used for emissions, kept for consistency)
+ *   scale: extra multiplier on emissions (1.0 = as given by aadt)
+ *   aadt: annual average daily traffic, vehicles/day (typical Caltrans counts)
  *   waypoints: array of { lon, lat, label } defining the route
+ *   emissions: optional grams per second for the whole route, replacing
+ *     aadt x emissionFactors (set by inventory imports)
  */
 export const LINE_EMITTERS = [
   // ─────────────────────────────────────────
@@ -614,6 +889,7 @@ export const LINE_EMITTERS = [
     name: 'Interstate 80',
     profile: 'HIGHWAY_MAJOR',
     scale: 1.0,
+    aadt: 260000,
     waypoints: [
       { lon: -122.3937, lat: 37.7955, label: 'SF Embarcadero' },
       { lon: -122.3778, lat: 37.7983, label: 'Bay Bridge West' },
@@ -637,6 +913,7 @@ export const LINE_EMITTERS = [
     name: 'Interstate 880',
     profile: 'HIGHWAY_MAJOR',
     scale: 1.0,
+    aadt: 210000,
     waypoints: [
       { lon: -122.2712, lat: 37.8044, label: 'Oakland' },
       { lon: -122.1561, lat: 37.7249, label: 'San Leandro' },
@@ -654,7 +931,8 @@ export const LINE_EMITTERS = [
     id: 'i680',
     name: 'Interstate 680',
     profile: 'HIGHWAY_MAJOR',
-    scale: 0.9,
+    scale: 1.0,
+    aadt: 160000,
     waypoints: [
       { lon: -121.8500, lat: 37.3500, label: 'San Jose South' },
       { lon: -121.9060, lat: 37.4280, label: 'Milpitas' },
@@ -675,7 +953,8 @@ export const LINE_EMITTERS = [
     id: 'i580',
     name: 'Interstate 580',
     profile: 'HIGHWAY_MAJOR',
-    scale: 0.85,
+    scale: 1.0,
+    aadt: 190000,
     waypoints: [
       { lon: -122.2500, lat: 37.8100, label: 'Oakland' },
       { lon: -122.0864, lat: 37.6940, label: 'Castro Valley' },
@@ -692,7 +971,8 @@ export const LINE_EMITTERS = [
     id: 'i580_bridge',
     name: 'I-580 (Richmond-San Rafael Bridge)',
     profile: 'HIGHWAY_MAJOR',
-    scale: 0.8,
+    scale: 1.0,
+    aadt: 80000,
     waypoints: [
       { lon: -122.3570, lat: 37.9260, label: 'Richmond' },
       { lon: -122.4200, lat: 37.9350, label: 'Richmond Bridge West' },
@@ -708,7 +988,8 @@ export const LINE_EMITTERS = [
     id: 'us101_south',
     name: 'US-101 South',
     profile: 'HIGHWAY_MAJOR',
-    scale: 1.1,
+    scale: 1.0,
+    aadt: 250000,
     waypoints: [
       { lon: -122.4030, lat: 37.7870, label: 'SF Downtown' },
       { lon: -122.4020, lat: 37.7100, label: 'SF South' },
@@ -730,6 +1011,7 @@ export const LINE_EMITTERS = [
     name: 'US-101 North',
     profile: 'HIGHWAY_MAJOR',
     scale: 1.0,
+    aadt: 130000,
     waypoints: [
       { lon: -122.4030, lat: 37.7870, label: 'SF Downtown' },
       { lon: -122.4383, lat: 37.8025, label: 'Marina' },
@@ -752,7 +1034,8 @@ export const LINE_EMITTERS = [
     id: 'i280',
     name: 'Interstate 280',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.7,
+    scale: 1.0,
+    aadt: 150000,
     waypoints: [
       { lon: -122.4520, lat: 37.7270, label: 'SF' },
       { lon: -122.4702, lat: 37.6879, label: 'Daly City' },
@@ -772,7 +1055,8 @@ export const LINE_EMITTERS = [
     id: 'ca37',
     name: 'Highway 37',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 40000,
     waypoints: [
       { lon: -122.2566, lat: 38.1041, label: 'Vallejo' },
       { lon: -122.4500, lat: 38.1600, label: 'Sears Point' },
@@ -787,7 +1071,8 @@ export const LINE_EMITTERS = [
     id: 'ca92',
     name: 'Highway 92 (San Mateo Bridge)',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.6,
+    scale: 1.0,
+    aadt: 100000,
     waypoints: [
       { lon: -122.3255, lat: 37.5630, label: 'San Mateo' },
       { lon: -122.2800, lat: 37.5700, label: 'Foster City' },
@@ -804,7 +1089,8 @@ export const LINE_EMITTERS = [
     id: 'ca84',
     name: 'Highway 84 (Dumbarton Bridge)',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.6,
+    scale: 1.0,
+    aadt: 70000,
     waypoints: [
       { lon: -122.1430, lat: 37.4419, label: 'Palo Alto' },
       { lon: -122.1200, lat: 37.4700, label: 'Menlo Park' },
@@ -821,7 +1107,8 @@ export const LINE_EMITTERS = [
     id: 'ca1_south',
     name: 'Highway 1 South',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 30000,
     waypoints: [
       { lon: -122.4920, lat: 37.7749, label: 'SF (Great Highway)' },
       { lon: -122.5050, lat: 37.7200, label: 'Daly City Coast' },
@@ -838,7 +1125,8 @@ export const LINE_EMITTERS = [
     id: 'ca1_north',
     name: 'Highway 1 North',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 15000,
     waypoints: [
       { lon: -122.4920, lat: 37.7749, label: 'SF (Great Highway)' },
       { lon: -122.4785, lat: 37.8324, label: 'Golden Gate Bridge North' },
@@ -856,7 +1144,8 @@ export const LINE_EMITTERS = [
     id: 'ca24',
     name: 'Highway 24',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.6,
+    scale: 1.0,
+    aadt: 170000,
     waypoints: [
       { lon: -122.2500, lat: 37.8100, label: 'Oakland' },
       { lon: -122.2100, lat: 37.8400, label: 'Piedmont' },
@@ -873,7 +1162,8 @@ export const LINE_EMITTERS = [
     id: 'ca4',
     name: 'Highway 4',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 150000,
     waypoints: [
       { lon: -122.0311, lat: 37.9780, label: 'Concord' },
       { lon: -121.9500, lat: 37.9800, label: 'Pittsburg' },
@@ -889,7 +1179,8 @@ export const LINE_EMITTERS = [
     id: 'ca17',
     name: 'Highway 17',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 65000,
     waypoints: [
       { lon: -121.9500, lat: 37.3200, label: 'San Jose' },
       { lon: -121.9800, lat: 37.2600, label: 'Los Gatos' },
@@ -905,7 +1196,8 @@ export const LINE_EMITTERS = [
     id: 'ca238',
     name: 'Highway 238',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.4,
+    scale: 1.0,
+    aadt: 50000,
     waypoints: [
       { lon: -122.0864, lat: 37.6940, label: 'Castro Valley' },
       { lon: -122.0808, lat: 37.6688, label: 'Hayward' }
@@ -919,7 +1211,8 @@ export const LINE_EMITTERS = [
     id: 'i980',
     name: 'Interstate 980',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.4,
+    scale: 1.0,
+    aadt: 100000,
     waypoints: [
       { lon: -122.2712, lat: 37.8044, label: 'Oakland (I-880)' },
       { lon: -122.2750, lat: 37.8150, label: 'Downtown Oakland' },
@@ -934,7 +1227,8 @@ export const LINE_EMITTERS = [
     id: 'ca87',
     name: 'Highway 87',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.4,
+    scale: 1.0,
+    aadt: 110000,
     waypoints: [
       { lon: -121.8863, lat: 37.3382, label: 'San Jose (US-101)' },
       { lon: -121.8900, lat: 37.3100, label: 'Downtown San Jose' },
@@ -949,7 +1243,8 @@ export const LINE_EMITTERS = [
     id: 'ca85',
     name: 'Highway 85',
     profile: 'HIGHWAY_MINOR',
-    scale: 0.5,
+    scale: 1.0,
+    aadt: 180000,
     waypoints: [
       { lon: -122.0839, lat: 37.3861, label: 'Mountain View' },
       { lon: -122.0500, lat: 37.3500, label: 'Sunnyvale' },
@@ -960,6 +1255,64 @@ export const LINE_EMITTERS = [
   }
 ];
 
+// ============================================
+// INVENTORY (replaceable emitter network)
+// ============================================
+
+// Built-in network, restored by setInventory(null)
+const BUILT_IN_INVENTORY = {
+  pointEmitters: [...POINT_EMITTERS],
+  lineEmitters: [...LINE_EMITTERS]
+};
+
+/**
+ * Replace the emitter network with an imported inventory.
+ * POINT_EMITTERS and LINE_EMITTERS are updated in place, so modules that
+ * imported them see the new set; re-run initPolluters() afterwards.
+ * 
+ * @param {{pointEmitters: Array, lineEmitters: Array}|null} inventory -
+ *   From inventory.js parseInventory(), or null for the built-in network
+ * @throws {Error} If the inventory fails validateRegistry() (registry unchanged)
+ */
+export function setInventory(inventory) {
+  if (inventory) {
+    const errors = validateRegistry(inventory);
+    if (errors.length > 0) {
+      const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+      throw new Error(`Inventory failed validation: ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+  }
+  
+  const next = inventory || BUILT_IN_INVENTORY;
+  POINT_EMITTERS.splice(0, POINT_EMITTERS.length, ...next.pointEmitters);
+  LINE_EMITTERS.splice(0, LINE_EMITTERS.length, ...next.lineEmitters);
+  log(`📋 Emitter inventory: ${inventory ? 'imported' : 'built-in'} (${POINT_EMITTERS.length} points, ${LINE_EMITTERS.length} lines)`);
+}
+
+// Built-in receptors, restored by setReceptors(null)
+const BUILT_IN_RECEPTORS = [...RECEPTORS];
+
+/**
+ * Replace the receptor set with an imported one.
+ * RECEPTORS is updated in place; reset the receptor alerts afterwards.
+ *
+ * @param {Array|null} receptors - From inventory.js parseReceptors(), or
+ *   null for the built-in set
+ * @throws {Error} If the receptors fail validateReceptors() (registry unchanged)
+ */
+export function setReceptors(receptors) {
+  if (receptors) {
+    const errors = validateReceptors(receptors);
+    if (errors.length > 0) {
+      const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+      throw new Error(`Receptors failed validation: ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+  }
+  
+  RECEPTORS.splice(0, RECEPTORS.length, ...(receptors || BUILT_IN_RECEPTORS));
+  log(`🏫 Receptors: ${receptors ? 'imported' : 'built-in'} (${RECEPTORS.length})`);
+}
+
 // ============================================
 // QUERY FUNCTIONS
 // ============================================
@@ -1043,9 +1396,10 @@ export function calculateRouteLength(waypoints) {
 /**
  * Get a random point along a route (for distributed line emissions)
  * @param {Array} waypoints - Array of { lon, lat }
+ * @param {Function} [random] - Random source returning [0, 1) (see random.js)
  * @returns {{x: number, z: number}} World coordinates
  */
-export function getRandomPointOnRoute(waypoints) {
+export function getRandomPointOnRoute(waypoints, random = Math.random) {
   if (waypoints.length < 2) {
     const world = geoToWorld(waypoints[0].lon, waypoints[0].lat);
     return world;
@@ -1063,7 +1417,7 @@ export function getRandomPointOnRoute(waypoints) {
   }
   
   const totalLength = distances[distances.length - 1];
-  const targetDist = Math.random() * totalLength;
+  const targetDist = random() * totalLength;
   
   // Find which segment contains this distance
   let segmentIndex = 0;
@@ -1153,24 +1507,61 @@ export function getRegistryStats() {
 // ============================================
 
 /**
- * Validate all emitters have valid profiles and coordinates
+ * Validate all emitters have valid profiles, coordinates and rates
+ * @param {{pointEmitters: Array, lineEmitters: Array}} [inventory] - Emitters
+ *   to check (default: the current registry)
  * @returns {Array} Array of validation errors (empty if valid)
  */
-export function validateRegistry() {
+export function validateRegistry(inventory = { pointEmitters: POINT_EMITTERS, lineEmitters: LINE_EMITTERS }) {
   const errors = [];
+  const ids = new Set();
   
-  POINT_EMITTERS.forEach(e => {
-    if (!EMITTER_PROFILES[e.profile]) {
-      errors.push(`Point emitter "${e.id}" has invalid profile "${e.profile}"`);
+  const checkCommon = (e, kind, expectHighway) => {
+    if (ids.has(e.id)) {
+      errors.push(`${kind} emitter "${e.id}" has a duplicate id`);
     }
+    ids.add(e.id);
+    
+    const profile = EMITTER_PROFILES[e.profile];
+    if (!profile) {
+      errors.push(`${kind} emitter "${e.id}" has invalid profile "${e.profile}"`);
+    } else if ((profile.type === 'highway') !== expectHighway) {
+      errors.push(`${kind} emitter "${e.id}" cannot use ${expectHighway ? 'point' : 'highway'} profile "${e.profile}"`);
+    }
+    
+    if (!Number.isFinite(e.scale) || e.scale < 0) {
+      errors.push(`${kind} emitter "${e.id}" has invalid scale "${e.scale}"`);
+    }
+    Object.entries(e.emissions || {}).forEach(([pollutantId, rate]) => {
+      if (!Number.isFinite(rate) || rate < 0) {
+        errors.push(`${kind} emitter "${e.id}" has invalid ${pollutantId} rate "${rate}"`);
+      }
+    });
+  };
+  
+  inventory.pointEmitters.forEach(e => {
+    checkCommon(e, 'Point', false);
     if (!isInBounds(e.coords.lon, e.coords.lat)) {
       errors.push(`Point emitter "${e.id}" is outside map bounds`);
     }
+    
+    const temporalName = typeof e.temporal === 'string' ? e.temporal : EMITTER_PROFILES[e.profile]?.temporal;
+    if (temporalName && !TEMPORAL_PROFILES[temporalName]) {
+      errors.push(`Point emitter "${e.id}" has invalid temporal profile "${temporalName}"`);
+    }
+    if (e.temporal && typeof e.temporal === 'object') {
+      Object.entries(TEMPORAL_CURVE_LENGTHS).forEach(([name, length]) => {
+        if (e.temporal[name] && e.temporal[name].length !== length) {
+          errors.push(`Point emitter "${e.id}" temporal ${name} needs ${length} values`);
+        }
+      });
+    }
   });
   
-  LINE_EMITTERS.forEach(e => {
-    if (!EMITTER_PROFILES[e.profile]) {
-      errors.push(`Line emitter "${e.id}" has invalid profile "${e.profile}"`);
+  inventory.lineEmitters.forEach(e => {
+    checkCommon(e, 'Line', true);
+    if (e.waypoints.length < 2) {
+      errors.push(`Line emitter "${e.id}" needs at least 2 waypoints`);
     }
     e.waypoints.forEach((wp, i) => {
       if (!isInBounds(wp.lon, wp.lat)) {
@@ -1182,25 +1573,57 @@ export function validateRegistry() {
   return errors;
 }
 
+/**
+ * Validate receptors have unique ids, known types, in-map coordinates and
+ * sane threshold overrides
+ * @param {Array} [receptors] - Receptors to check (default: the current set)
+ * @returns {Array} Array of validation errors (empty if valid)
+ */
+export function validateReceptors(receptors = RECEPTORS) {
+  const errors = [];
+  const ids = new Set();
+  
+  receptors.forEach(r => {
+    if (ids.has(r.id)) {
+      errors.push(`Receptor "${r.id}" has a duplicate id`);
+    }
+    ids.add(r.id);
+    
+    if (!RECEPTOR_TYPES[r.type]) {
+      errors.push(`Receptor "${r.id}" has invalid type "${r.type}"`);
+    }
+    if (!isInBounds(r.coords.lon, r.coords.lat)) {
+      errors.push(`Receptor "${r.id}" is outside map bounds`);
+    }
+    Object.entries(r.thresholds || {}).forEach(([pollutantId, value]) => {
+      if (!Number.isFinite(value) || value <= 0) {
+        errors.push(`Receptor "${r.id}" has invalid ${pollutantId} threshold "${value}"`);
+      }
+    });
+  });
+  
+  return errors;
+}
+
 /**
  * Log registry summary to console
  */
 export function logRegistrySummary() {
   const stats = getRegistryStats();
-  console.log('📊 Registry Summary:');
-  console.log(`   Point emitters: ${stats.totalPointEmitters}`);
+  log('📊 Registry Summary:');
+  log(`   Point emitters: ${stats.totalPointEmitters}`);
   Object.entries(stats.pointsByType).forEach(([type, count]) => {
-    console.log(`     - ${type}: ${count}`);
+    log(`     - ${type}: ${count}`);
   });
-  console.log(`   Line emitters: ${stats.totalLineEmitters}`);
-  console.log(`   Total highway length: ${stats.totalHighwayLengthKm} km`);
-  console.log(`   Total waypoints: ${stats.totalWaypoints}`);
+  log(`   Line emitters: ${stats.totalLineEmitters}`);
+  log(`   Total highway length: ${stats.totalHighwayLengthKm} km`);
+  log(`   Total waypoints: ${stats.totalWaypoints}`);
   
   const errors = validateRegistry();
   if (errors.length > 0) {
-    console.warn('⚠️ Registry validation errors:');
-    errors.forEach(err => console.warn(`   - ${err}`));
+    warn('⚠️ Registry validation errors:');
+    errors.forEach(err => warn(`   - ${err}`));
   } else {
-    console.log('✅ Registry validation passed');
+    log('✅ Registry validation passed');
   }
 }
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * section.js - Vertical cross-section through the concentration grid
+ *
+ * A curtain standing on a line dragged across the map, coloured by
+ * concentration against height and distance (surface.js
+ * sampleSectionField). It uses the ground heatmap's colormap and range.
+ * The same RGBA image is handed to the HUD for the 2D plot, top level
+ * first, so the panel and the curtain always agree.
+ */
+
+import * as THREE from 'three';
+import { getTerrainHeight } from './heightmap.js';
+import { GRID_CONFIG, GRID_DIMS } from './simulation.js';
+import { createSectionLattice, sampleSectionField } from './surface.js';
+import { sampleColormap } from './heatmap.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  top: 16,                 // World Y of the curtain's upper edge (~2 km)
+  levels: 48,              // Samples from sea level to the top
+  columnsPerUnit: 2,       // Samples per world unit (~km) along the line
+  minColumns: 16,
+  maxColumns: 240,
+  minLength: 1,            // Shorter drags are ignored (world units)
+  opacity: 0.85,           // At the top of the range
+  fadeIn: 0.05,            // Share of the range over which the curtain fades in
+  traceLift: 0.1,          // Ground trace height above the terrain
+  traceColor: 0xffffff,
+  previewColor: 0x4ecdc4,
+  renderOrder: 3           // Over the ground heatmap
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let group = null;
+let curtain = null;
+let trace = null;
+let preview = null;
+let texture = null;
+let section = null;
+let field = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+export function initSection(sceneRef) {
+  console.log('📐 Initializing cross-section tool...');
+  
+  scene = sceneRef;
+  group = new THREE.Group();
+  group.name = 'crossSection';
+  scene.add(group);
+  
+  preview = new THREE.Line(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: CONFIG.previewColor, depthTest: false, transparent: true })
+  );
+  preview.renderOrder = CONFIG.renderOrder;
+  preview.frustumCulled = false;
+  preview.visible = false;
+  group.add(preview);
+  
+  return group;
+}
+
+// ============================================
+// LINE
+// ============================================
+
+/**
+ * Show the line being dragged (hidden with a null end)
+ * @param {{x: number, z: number}} start - World position
+ * @param {{x: number, z: number}|null} end
+ */
+export function previewSectionLine(start, end) {
+  if (!preview) return;
+  preview.visible = end !== null;
+  if (!end) return;
+  
+  preview.geometry.dispose();
+  preview.geometry = new THREE.BufferGeometry().setFromPoints(groundPath(start, end, 48));
+}
+
+/**
+ * Stand the curtain on a new line (replaces the previous section)
+ * @param {{x: number, z: number}} start - World position
+ * @param {{x: number, z: number}} end
+ * @returns {boolean} false if the line is too short to sample
+ */
+export function setSectionLine(start, end) {
+  if (!group) return false;
+  previewSectionLine(start, null);
+  
+  const length = Math.hypot(end.x - start.x, end.z - start.z);
+  if (length < CONFIG.minLength) return false;
+  
+  clearSection();
+  
+  const columns = Math.min(CONFIG.maxColumns,
+    Math.max(CONFIG.minColumns, Math.round(length * CONFIG.columnsPerUnit)));
+  const top = Math.min(CONFIG.top, GRID_CONFIG.minY + GRID_DIMS.y * GRID_CONFIG.cellSizeY);
+  section = createSectionLattice(start, end, columns, CONFIG.levels, top);
+  field = new Float32Array(columns * CONFIG.levels);
+  
+  // Texture row 0 is the top level (v = 0), the same order as the field
+  texture = new THREE.DataTexture(new Uint8Array(columns * CONFIG.levels * 4), columns, CONFIG.levels, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  
+  curtain = new THREE.Mesh(createCurtainGeometry(section), new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+    toneMapped: false
+  }));
+  curtain.name = 'sectionCurtain';
+  curtain.renderOrder = CONFIG.renderOrder;
+  group.add(curtain);
+  
+  trace = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(groundPath(start, end, columns)),
+    new THREE.LineBasicMaterial({ color: CONFIG.traceColor })
+  );
+  trace.renderOrder = CONFIG.renderOrder;
+  group.add(trace);
+  
+  console.log(`  → Section ${length.toFixed(1)} km, ${columns}×${CONFIG.levels} samples`);
+  return true;
+}
+
+/**
+ * Two vertices per column (top edge, sea level) at the sample positions
+ */
+function createCurtainGeometry({ columns, top, x, z }) {
+  const positions = new Float32Array(columns * 2 * 3);
+  const uvs = new Float32Array(columns * 2 * 2);
+  const indices = [];
+  
+  for (let col = 0; col < columns; col++) {
+    const u = (col + 0.5) / columns;
+    positions.set([x[col], top, z[col], x[col], 0, z[col]], col * 6);
+    uvs.set([u, 0, u, 1], col * 4);
+    if (col > 0) {
+      const a = (col - 1) * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  }
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+/**
+ * Points along the ground between two map positions
+ */
+function groundPath(start, end, count) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const t = i / (count - 1);
+    const x = start.x + (end.x - start.x) * t;
+    const z = start.z + (end.z - start.z) * t;
+    points.push(new THREE.Vector3(x, getTerrainHeight(x, z) + CONFIG.traceLift, z));
+  }
+  return points;
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Recolour the curtain from the latest grid.
+ * @param {Function} getMass - pollutantId => dense kg per grid cell
+ *   (orchestrator getCellMass)
+ * @param {Object} settings - sectionPollutant, and the heatmap's
+ *   heatmapColormap and heatmapMax (µg/m³ at the top of the colormap)
+ * @returns {Object|null} Profile for the HUD plot: { length (km), top
+ *   (world Y), ground (world Y per column), image ({ data, width, height },
+ *   RGBA, top level first), peak (µg/m³) }; null without a section
+ */
+export function updateSection(getMass, settings) {
+  if (!section) return null;
+  
+  sampleSectionField(getMass(settings.sectionPollutant), section, field);
+  
+  const data = texture.image.data;
+  let peak = 0;
+  for (let i = 0; i < field.length; i++) {
+    const concentration = field[i];
+    if (Number.isNaN(concentration)) {
+      data[i * 4 + 3] = 0;
+      continue;
+    }
+    peak = Math.max(peak, concentration);
+    const t = Math.min(1, concentration / settings.heatmapMax);
+    const hex = sampleColormap(settings.heatmapColormap, t);
+    data[i * 4] = (hex >> 16) & 0xff;
+    data[i * 4 + 1] = (hex >> 8) & 0xff;
+    data[i * 4 + 2] = hex & 0xff;
+    data[i * 4 + 3] = Math.round(255 * CONFIG.opacity * Math.min(1, t / CONFIG.fadeIn));
+  }
+  texture.needsUpdate = true;
+  
+  return {
+    length: section.length,
+    top: section.top,
+    ground: section.ground,
+    image: texture.image,
+    peak
+  };
+}
+
+export function hasSection() {
+  return section !== null;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+/**
+ * Remove the curtain and its ground trace
+ */
+export function clearSection() {
+  [curtain, trace].forEach(object => {
+    if (!object) return;
+    group.remove(object);
+    object.geometry.dispose();
+    object.material.dispose();
+  });
+  if (texture) texture.dispose();
+  curtain = null;
+  trace = null;
+  texture = null;
+  section = null;
+  field = null;
+}
+
+export function disposeSection() {
+  if (group && scene) {
+    clearSection();
+    preview.geometry.dispose();
+    preview.material.dispose();
+    scene.remove(group);
+  }
+  group = null;
+  preview = null;
+  scene = null;
+}
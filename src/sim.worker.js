@@ -0,0 +1,221 @@
+/**
+ * sim.worker.js - Runs the particle simulation off the main thread
+ *
+ * Emission, transport, chemistry and grid binning (simulation.js) run here
+ * so a slow step never stalls rendering. After each batch of fixed steps the
+ * worker packs the live particles and occupied grid cells into flat typed
+ * arrays and transfers them to the main thread (zero-copy). The main thread
+ * hands the previous snapshot's buffers back with the next batch for reuse.
+ *
+ * MESSAGES IN (from orchestrator.js):
+ * - { type: 'init', heightmap, seed }
+ * - { type: 'heightmap', heightmap }          GeoTIFF finished loading
+ * - { type: 'step', steps, dt, settings, times, generation, buffers }
+ *     times[i] is dayOfWeek * 24 + timeOfDay for step i, so auto-cycled
+ *     time advances per step exactly as it would on the main thread
+ * - { type: 'reset', seed }
+ * - { type: 'stations', stations }            Station observations (windfield.js), null to clear
+ * - { type: 'inventory', inventory }          Emitter network (inventory.js), null for built-in;
+ *                                             followed by a 'reset'
+ *
+ * MESSAGES OUT:
+ * - { type: 'snapshot', snapshot }            One per 'step' message
+ */
+
+import { MAP_BOUNDS, getTerrainHeight, setHeightmap } from './heightmap.js';
+import { initPolluters } from './polluters.js';
+import { setInventory } from './registry.js';
+import { initTraffic, setWindField } from './traffic.js';
+import { buildWindField } from './windfield.js';
+import { invalidateSolvedWind } from './windsolver.js';
+import {
+  initSimulation,
+  stepSimulation,
+  resetSimulation,
+  getParticlePools,
+  getGrids,
+  getMassBudgets,
+  getSeed
+} from './simulation.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Returned buffers kept for reuse (more than one snapshot's worth is waste)
+const MAX_SPARE_BUFFERS = 64;
+
+// Extra room when allocating a new buffer, so a slowly growing plume
+// doesn't force a fresh allocation every snapshot
+const BUFFER_GROWTH = 1.5;
+
+// ============================================
+// State
+// ============================================
+
+const mapData = { bounds: MAP_BOUNDS, getTerrainHeight };
+
+// Buffers handed back by the main thread
+const spareBuffers = [];
+
+// Parsed station observations (kept so the field can be rebuilt on new terrain)
+let stations = null;
+
+// ============================================
+// Message Handling
+// ============================================
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'init': {
+      if (message.heightmap) setHeightmap(message.heightmap);
+      initTraffic(mapData);
+      initSimulation(mapData, initPolluters(mapData), message.seed);
+      break;
+    }
+    
+    case 'heightmap':
+      setHeightmap(message.heightmap);
+      invalidateSolvedWind();
+      rebuildWindField();
+      break;
+    
+    case 'stations':
+      stations = message.stations;
+      rebuildWindField();
+      break;
+    
+    case 'inventory':
+      setInventory(message.inventory);
+      initSimulation(mapData, initPolluters(mapData), getSeed());
+      break;
+    
+    case 'step': {
+      recycleBuffers(message.buffers);
+      const settings = message.settings;
+      for (let i = 0; i < message.steps; i++) {
+        settings.dayOfWeek = Math.floor(message.times[i] / 24);
+        settings.timeOfDay = message.times[i] - settings.dayOfWeek * 24;
+        stepSimulation(message.dt, settings);
+      }
+      postSnapshot(message.generation, message.steps);
+      break;
+    }
+    
+    case 'reset':
+      resetSimulation(message.seed);
+      break;
+    
+    default:
+      console.warn(`[Sim worker] Unknown message type "${message.type}"`);
+  }
+};
+
+/**
+ * Grid the station observations over the current terrain
+ */
+function rebuildWindField() {
+  setWindField(stations ? buildWindField(stations, getTerrainHeight) : null);
+}
+
+// ============================================
+// Snapshot Packing
+// ============================================
+
+/**
+ * Pack live particles (dense, no holes) and occupied grid cells
+ * (sparse, parallel arrays) and transfer them to the main thread.
+ */
+function postSnapshot(generation, steps) {
+  const transfer = [];
+  const take = (Type, length) => {
+    const array = takeArray(Type, length);
+    transfer.push(array.buffer);
+    return array;
+  };
+  
+  const particles = {};
+  Object.entries(getParticlePools()).forEach(([id, pool]) => {
+    const n = pool.count;
+    const packed = {
+      count: n,
+      x: take(Float32Array, n),
+      y: take(Float32Array, n),
+      z: take(Float32Array, n),
+      mass: take(Float32Array, n),
+      source: take(Uint16Array, n)
+    };
+    
+    for (let k = 0; k < n; k++) {
+      const i = pool.live[k];
+      packed.x[k] = pool.x[i];
+      packed.y[k] = pool.y[i];
+      packed.z[k] = pool.z[i];
+      packed.mass[k] = pool.mass[i];
+      packed.source[k] = pool.source[i];
+    }
+    particles[id] = packed;
+  });
+  
+  const grids = {};
+  Object.entries(getGrids()).forEach(([id, grid]) => {
+    const n = grid.occupiedCount;
+    const packed = {
+      occupiedCount: n,
+      cells: take(Int32Array, n),
+      count: take(Uint32Array, n),
+      mass: take(Float32Array, n),
+      age: take(Float32Array, n)
+    };
+    
+    for (let k = 0; k < n; k++) {
+      const cell = grid.occupied[k];
+      packed.cells[k] = cell;
+      packed.count[k] = grid.count[cell];
+      packed.mass[k] = grid.mass[cell];
+      packed.age[k] = grid.age[cell];
+    }
+    grids[id] = packed;
+  });
+  
+  const snapshot = {
+    generation,
+    steps,
+    seed: getSeed(),
+    particles,
+    grids,
+    budgets: getMassBudgets()
+  };
+  
+  self.postMessage({ type: 'snapshot', snapshot }, transfer);
+}
+
+/**
+ * Get a typed array of the given length, reusing a returned buffer if one is big enough
+ */
+function takeArray(Type, length) {
+  const byteLength = length * Type.BYTES_PER_ELEMENT;
+  
+  for (let i = 0; i < spareBuffers.length; i++) {
+    if (spareBuffers[i].byteLength >= byteLength) {
+      const buffer = spareBuffers[i];
+      spareBuffers[i] = spareBuffers[spareBuffers.length - 1];
+      spareBuffers.pop();
+      return new Type(buffer, 0, length);
+    }
+  }
+  
+  const capacity = Math.ceil(length * BUFFER_GROWTH) + 64;
+  return new Type(new ArrayBuffer(capacity * Type.BYTES_PER_ELEMENT), 0, length);
+}
+
+function recycleBuffers(buffers) {
+  if (!buffers) return;
+  buffers.forEach(buffer => {
+    if (spareBuffers.length < MAX_SPARE_BUFFERS) {
+      spareBuffers.push(buffer);
+    }
+  });
+}
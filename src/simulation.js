@@ -0,0 +1,661 @@
+/**
+ * simulation.js - Particle simulation core (emission, transport, chemistry, binning)
+ * 
+ * Owns the particle pools, the concentration grid and the mass budgets.
+ * Has no rendering code: it runs inside the simulation worker (sim.worker.js),
+ * and orchestrator.js draws the snapshots the worker sends back.
+ * 
+ * STEP:
+ * 1. Emit new particles from point and line sources
+ * 2. Advect, disperse, settle, decay (typed-array pools, see particles.js)
+ * 3. Photochemistry: VOC → O₃ in sunlit, NOx-rich cells; NOx titration at night
+ * 4. Bin particles into a dense 3D grid (count / mass / age per cell)
+ * 
+ * UNITS:
+ * Wind in m/s moves particles that many km per simulated second, so one
+ * simulated second stands for SIM_TIME_SCALE real seconds. Each particle
+ * carries PARTICLE_CONFIG.particleMass kg; emission rates are real g/s, so
+ * grid mass is kg and toConcentration() turns it into µg/m³.
+ * 
+ * Every random draw comes from one seeded generator (random.js), so the
+ * same seed, settings and step sequence reproduce the same particle state.
+ */
+
+import { emit, resetFlaring, POLLUTANT_TYPES, getPollutantConfig } from './polluters.js';
+import { EMISSION_PARTICLES_PER_GRAM } from './registry.js';
+import { VERTICAL_SCALE } from './heightmap.js';
+import { getVelocityAt, getMixingHeight, getLidLeakage } from './traffic.js';
+import { getSolarIntensity } from './solar.js';
+import { ParticlePool, NO_SOURCE } from './particles.js';
+import { createRandom, randomSeed } from './random.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Real seconds per simulated second (1 m/s of wind = 1 world km per step-second)
+export const SIM_TIME_SCALE = 1000;
+
+// Sim-clock hours per simulated second. Whatever advances the scenario clock
+// (auto cycle, CLI) must use this rate, or emission and transport fall out
+// of step with the traffic / activity cycles and exposure hours.
+export const SIM_HOURS_PER_SECOND = SIM_TIME_SCALE / 3600;
+
+// Particle physics (lightweight tracking)
+export const PARTICLE_CONFIG = {
+  maxParticles: 250000,     // Total across all pollutant types
+  lifetime: 45,             // Seconds before forced removal
+  targetParticles: 100000,  // Live particles to aim for at the network's average rates
+  residence: 0.65,          // Mean share of the lifetime a particle stays airborne in the domain
+  minMassFraction: 0.05,    // Particles decayed below this share of particleMass are dropped
+  particleMass: 0,          // kg per fresh particle, set by initSimulation (sizeParticles)
+  emissionScale: 0          // Particles sampled per EMISSION_PARTICLES_PER_GRAM particle (resolution only)
+};
+
+// Spatial grid for binning
+// Map is 151km x 134km, we use ~2.5km cells for finer resolution
+export const GRID_CONFIG = {
+  // Cell dimensions (in world units = km)
+  cellSizeX: 2.5,
+  cellSizeY: 3.0,           // Vertical cell height
+  cellSizeZ: 2.5,
+  
+  // Grid bounds (slightly larger than map to catch edge particles)
+  minX: -80,
+  maxX: 80,
+  minY: 0,
+  maxY: 35,
+  minZ: -72,
+  maxZ: 72,
+};
+
+// Grid dimensions in cells. Cell index = x + dimX * (z + dimZ * y),
+// so each horizontal layer is contiguous (ground layer first).
+export const GRID_DIMS = {
+  x: Math.ceil((GRID_CONFIG.maxX - GRID_CONFIG.minX) / GRID_CONFIG.cellSizeX),
+  y: Math.ceil((GRID_CONFIG.maxY - GRID_CONFIG.minY) / GRID_CONFIG.cellSizeY),
+  z: Math.ceil((GRID_CONFIG.maxZ - GRID_CONFIG.minZ) / GRID_CONFIG.cellSizeZ),
+};
+export const GRID_CELL_COUNT = GRID_DIMS.x * GRID_DIMS.y * GRID_DIMS.z;
+
+// Real volume of one grid cell (m³): km horizontally, and the vertical
+// exaggeration undone (1 world unit of height = 1 / VERTICAL_SCALE m)
+export const CELL_VOLUME_M3 =
+  GRID_CONFIG.cellSizeX * 1000 * (GRID_CONFIG.cellSizeY / VERTICAL_SCALE) * GRID_CONFIG.cellSizeZ * 1000;
+
+/**
+ * Mass in a volume -> concentration
+ * @param {number} massKg - Pollutant mass (kg)
+ * @param {number} [volumeM3] - Air volume (default: one grid cell)
+ * @returns {number} µg/m³
+ */
+export function toConcentration(massKg, volumeM3 = CELL_VOLUME_M3) {
+  return massKg * 1e9 / volumeM3;
+}
+
+// Secondary (photochemical) ozone formation
+const CHEMISTRY_CONFIG = {
+  vocToOzoneRate: 0.06,     // VOC → O₃ conversion per second at full sun, NOx-saturated
+  noxHalfSaturation: 8,     // NOx concentration (µg/m³) giving half the max rate
+  titrationRate: 0.05,      // O₃ + NO → NO₂ loss per second in NOx-saturated air
+  daytimeTitration: 0.2,    // Fraction of titration left at full sun (photolysis regenerates O₃)
+};
+
+// ============================================
+// State
+// ============================================
+
+let mapData = null;
+
+// Source table for apportionment: particles store an index into this
+let sources = [];
+let sourceIndex = new Map();
+
+// Particle storage - one typed-array pool per type (see particles.js)
+// Allocated in initSimulation so importing this module for its constants is cheap
+const particles = {};
+
+// Grid storage per type - reused each step
+// count/mass (kg)/age are summed per cell; occupied lists the cells touched
+// this step so clearing and prism building skip empty cells
+const grids = {};
+
+// Mass budget per pollutant (kg) - where all the emitted mass ended up
+// Sources: emitted, formed (chemistry)
+// Sinks: decayed, deposited, advectedOut, expired, evicted, reacted (chemistry)
+const budgets = {};
+
+// Seeded random source for everything stochastic in the step
+let random = createRandom(0);
+let seed = 0;
+
+// Scenario hours simulated since the last reset (flaring episode blocks)
+let elapsedHours = 0;
+
+// Reusable velocity (written by getVelocityAt)
+const _velocity = { x: 0, y: 0, z: 0 };
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Allocate particle pools and grids, and build the source table.
+ * @param {Object} map - { bounds, getTerrainHeight }
+ * @param {Object} polluters - Result of initPolluters()
+ * @param {number} [runSeed] - Random seed (a fresh one is picked if omitted)
+ */
+export function initSimulation(map, polluters, runSeed) {
+  mapData = map;
+  setSeed(runSeed);
+  elapsedHours = 0;
+  
+  sources = buildSourceTable(polluters);
+  sourceIndex = new Map(sources.map((source, i) => [source.id, i]));
+  sizeParticles(polluters);
+  
+  Object.keys(POLLUTANT_TYPES).forEach(id => {
+    if (!particles[id]) {
+      particles[id] = new ParticlePool(PARTICLE_CONFIG.maxParticles);
+      grids[id] = {
+        count: new Uint32Array(GRID_CELL_COUNT),
+        mass: new Float32Array(GRID_CELL_COUNT),
+        age: new Float32Array(GRID_CELL_COUNT),
+        occupied: new Int32Array(GRID_CELL_COUNT),
+        occupiedCount: 0
+      };
+    }
+    budgets[id] = createBudget();
+  });
+}
+
+/**
+ * Size particles so the network's long-run average emission keeps about
+ * targetParticles alive: each one carries the mass emitted over its
+ * expected residence, shared out over the budget. Emitters release
+ * EMISSION_PARTICLES_PER_GRAM per gram (polluters.js emit); sampling only
+ * emissionScale of them makes each one particleMass, so the emitted mass
+ * doesn't depend on resolution.
+ * @param {Object} polluters - Result of initPolluters()
+ */
+function sizeParticles(polluters) {
+  const gramsPerSecond = getAverageEmissionRate(polluters);
+  const residentGrams = gramsPerSecond * SIM_TIME_SCALE *
+                        PARTICLE_CONFIG.lifetime * PARTICLE_CONFIG.residence;
+  const particleGrams = Math.max(residentGrams / PARTICLE_CONFIG.targetParticles, 1e-6);
+  PARTICLE_CONFIG.particleMass = particleGrams / 1000;
+  PARTICLE_CONFIG.emissionScale = SIM_TIME_SCALE / (EMISSION_PARTICLES_PER_GRAM * particleGrams);
+}
+
+/**
+ * Long-run average emission of a network at emissionRate 1, g/s summed over
+ * pollutants (activity cycles and traffic profiles average to 1)
+ * @param {Object} polluters - Result of initPolluters()
+ * @returns {number}
+ */
+function getAverageEmissionRate(polluters) {
+  let total = 0;
+  polluters.pointEmitters.forEach(emitter => {
+    const emissions = emitter.emissions || emitter.profileData.emissions || {};
+    Object.values(emissions).forEach(rate => { total += rate * emitter.scale; });
+  });
+  polluters.lineEmitters.forEach(emitter => {
+    Object.values(emitter.emissionsPerKm).forEach(rate => { total += rate * emitter.length * emitter.scale; });
+  });
+  return total;
+}
+
+/**
+ * Source table for apportionment: { id, name, type } per emitter.
+ * Particles store their emitter's index into this table.
+ * @param {Object} polluters - Result of initPolluters()
+ * @returns {Array<Object>}
+ */
+export function buildSourceTable(polluters) {
+  return [...polluters.pointEmitters, ...polluters.lineEmitters].map(emitter => ({
+    id: emitter.id,
+    name: emitter.name,
+    type: emitter.profileData.type || 'unknown'
+  }));
+}
+
+// ============================================
+// Grid Indexing Utilities
+// ============================================
+
+/**
+ * Convert world position to a flat grid cell index
+ * @returns {number} Cell index, or -1 if outside the grid
+ */
+export function worldToCellIndex(x, y, z) {
+  const cellX = Math.floor((x - GRID_CONFIG.minX) / GRID_CONFIG.cellSizeX);
+  const cellY = Math.floor((y - GRID_CONFIG.minY) / GRID_CONFIG.cellSizeY);
+  const cellZ = Math.floor((z - GRID_CONFIG.minZ) / GRID_CONFIG.cellSizeZ);
+  
+  if (cellX < 0 || cellX >= GRID_DIMS.x ||
+      cellY < 0 || cellY >= GRID_DIMS.y ||
+      cellZ < 0 || cellZ >= GRID_DIMS.z) {
+    return -1;
+  }
+  return cellX + GRID_DIMS.x * (cellZ + GRID_DIMS.z * cellY);
+}
+
+/**
+ * Get cell center in world coordinates from a flat cell index
+ */
+export function cellIndexToWorld(index, target) {
+  const cellX = index % GRID_DIMS.x;
+  const rest = (index - cellX) / GRID_DIMS.x;
+  const cellZ = rest % GRID_DIMS.z;
+  const cellY = (rest - cellZ) / GRID_DIMS.z;
+  
+  target.cellX = cellX;
+  target.cellY = cellY;
+  target.cellZ = cellZ;
+  target.x = GRID_CONFIG.minX + (cellX + 0.5) * GRID_CONFIG.cellSizeX;
+  target.y = GRID_CONFIG.minY + (cellY + 0.5) * GRID_CONFIG.cellSizeY;
+  target.z = GRID_CONFIG.minZ + (cellZ + 0.5) * GRID_CONFIG.cellSizeZ;
+  return target;
+}
+
+// ============================================
+// Main Simulation Step
+// ============================================
+
+export function stepSimulation(dt, settings) {
+  // 1. Get new emissions (sampled at emissionScale; particleMass compensates)
+  const scaledSettings = {
+    ...settings,
+    emissionRate: settings.emissionRate * PARTICLE_CONFIG.emissionScale,
+    elapsedHours
+  };
+  const emissions = emit(dt, scaledSettings, random);
+  elapsedHours += dt * SIM_HOURS_PER_SECOND;
+  
+  // 2. Inject new particles
+  emissions.forEach(event => {
+    const source = sourceIndex.get(event.emitterId) ?? NO_SOURCE;
+    if (addParticle(event.type, event.x, event.y, event.z, PARTICLE_CONFIG.particleMass, source)) {
+      budgets[event.type].emitted += PARTICLE_CONFIG.particleMass;
+    }
+  });
+  
+  // 3. Update particle physics
+  Object.keys(particles).forEach(pollutantId => {
+    updateParticlePhysics(pollutantId, dt, settings);
+  });
+  
+  // 4. Secondary chemistry (uses NOx binned on the previous step)
+  applyPhotochemistry(dt, settings);
+  
+  // 5. Bin particles into grid cells
+  binParticlesToGrid();
+}
+
+// ============================================
+// Particle Management
+// ============================================
+
+/**
+ * Add a particle, evicting one from the most populous type at the cap.
+ * source is an index into the source table (for apportionment).
+ * @returns {boolean} False if the pollutant type is unknown
+ */
+function addParticle(pollutantId, x, y, z, mass, source) {
+  const pool = particles[pollutantId];
+  if (!pool) return false;
+  
+  // Enforce global max (evict from the type with the most particles)
+  if (getParticleCount() >= PARTICLE_CONFIG.maxParticles) {
+    let maxType = pollutantId;
+    Object.entries(particles).forEach(([id, other]) => {
+      if (other.count > particles[maxType].count) {
+        maxType = id;
+      }
+    });
+    
+    const victims = particles[maxType];
+    const slot = victims.evict();
+    if (slot >= 0) {
+      // Slot data stays readable until the slot is reused
+      budgets[maxType].evicted += victims.mass[slot];
+    }
+  }
+  
+  pool.add(x, y, z, mass, source);
+  return true;
+}
+
+function updateParticlePhysics(pollutantId, dt, settings) {
+  const pool = particles[pollutantId];
+  const config = getPollutantConfig(pollutantId);
+  if (!pool || !config) return;
+  
+  const budget = budgets[pollutantId];
+  const decayFactor = Math.exp(-config.decayRate * dt);
+  const minMass = PARTICLE_CONFIG.particleMass * PARTICLE_CONFIG.minMassFraction;
+  const disperseAmount = config.disperseRate * settings.turbulence * dt;
+  
+  // Inversion lid: particles rising through it bounce back unless they leak
+  const lid = getMixingHeight(settings);
+  const leakage = getLidLeakage(settings);
+  
+  const bounds = mapData.bounds;
+  const halfWidth = bounds.width / 2 + 15;
+  const halfDepth = bounds.depth / 2 + 15;
+  
+  const { x, y, z, age, mass, live } = pool;
+  
+  // Process in reverse for safe swap-removal
+  for (let k = pool.count - 1; k >= 0; k--) {
+    const i = live[k];
+    let px = x[i];
+    let py = y[i];
+    let pz = z[i];
+    
+    // Get local air velocity
+    getVelocityAt(px, py, pz, settings, _velocity, random);
+    
+    // Apply advection (transport by wind)
+    px += _velocity.x * dt;
+    py += _velocity.y * dt;
+    pz += _velocity.z * dt;
+    
+    // Apply dispersion (random spreading)
+    px += (random() - 0.5) * disperseAmount * 2;
+    py += (random() - 0.5) * disperseAmount;
+    pz += (random() - 0.5) * disperseAmount * 2;
+    
+    // Apply settling (for PM)
+    if (config.settlingRate > 0) {
+      py -= config.settlingRate * dt;
+    }
+    
+    // Check terrain collision / deposition
+    const terrainHeight = mapData.getTerrainHeight(px, pz);
+    if (py <= terrainHeight + 0.15) {
+      if (config.settlingRate > 0) {
+        // PM deposits and is removed
+        budget.deposited += mass[i];
+        pool.remove(i);
+        continue;
+      } else {
+        // Gases stay just above terrain
+        py = terrainHeight + 0.3;
+      }
+    }
+    
+    // Reflect off the inversion (only when crossing it from below -
+    // air already aloft when the lid drops stays in the residual layer).
+    // Ridges taller than the lid poke through it.
+    if (py > lid && y[i] <= lid && terrainHeight < lid && random() >= leakage) {
+      py = Math.min(lid, Math.max(2 * lid - py, terrainHeight + 0.3));
+    }
+    
+    // First-order decay (mass lost to reactions / fading)
+    const decayed = mass[i] * (1 - decayFactor);
+    mass[i] -= decayed;
+    budget.decayed += decayed;
+    
+    if (mass[i] < minMass) {
+      budget.decayed += mass[i];
+      pool.remove(i);
+      continue;
+    }
+    
+    // Age particle
+    age[i] += dt;
+    
+    // Remove if too old
+    if (age[i] > PARTICLE_CONFIG.lifetime) {
+      budget.expired += mass[i];
+      pool.remove(i);
+      continue;
+    }
+    
+    // Remove if out of bounds
+    if (Math.abs(px) > halfWidth ||
+        Math.abs(pz) > halfDepth ||
+        py > 45 || py < -2) {
+      budget.advectedOut += mass[i];
+      pool.remove(i);
+      continue;
+    }
+    
+    x[i] = px;
+    y[i] = py;
+    z[i] = pz;
+  }
+}
+
+// ============================================
+// Secondary Chemistry
+// ============================================
+
+/**
+ * Photochemical ozone: VOC + NOx + sunlight → O₃.
+ * 
+ * Each VOC particle converts into an O₃ particle at its current position
+ * with a rate set by sunlight and the NOx in its grid cell. Because VOCs
+ * need time to react, ozone builds downwind of the sources rather than
+ * at the stacks. At night fresh NO titrates O₃ back out.
+ */
+function applyPhotochemistry(dt, settings) {
+  const sun = getSolarIntensity(settings.timeOfDay);
+  
+  // Daytime production (skipped when O₃ is toggled off)
+  if (sun > 0 && settings.enableOzone !== false) {
+    const voc = particles.VOC;
+    const formed = [];   // Flat [x, y, z, mass, source, ...]
+    
+    for (let k = voc.count - 1; k >= 0; k--) {
+      const i = voc.live[k];
+      const noxFactor = getNoxFactor(voc.x[i], voc.y[i], voc.z[i]);
+      if (noxFactor === 0) continue;
+      
+      const rate = CHEMISTRY_CONFIG.vocToOzoneRate * sun * noxFactor;
+      if (random() < 1 - Math.exp(-rate * dt)) {
+        budgets.VOC.reacted += voc.mass[i];
+        formed.push(voc.x[i], voc.y[i], voc.z[i], voc.mass[i], voc.source[i]);
+        voc.remove(i);
+      }
+    }
+    
+    // Add after the loop so cap eviction can't remove VOCs under us
+    for (let j = 0; j < formed.length; j += 5) {
+      addParticle('OZONE', formed[j], formed[j + 1], formed[j + 2], formed[j + 3], formed[j + 4]);
+      budgets.OZONE.formed += formed[j + 3];
+    }
+  }
+  
+  // Titration by NO (strongest at night, partly offset by photolysis in daytime)
+  const titration = CHEMISTRY_CONFIG.titrationRate *
+    (1 - sun * (1 - CHEMISTRY_CONFIG.daytimeTitration));
+  const ozone = particles.OZONE;
+  
+  for (let k = ozone.count - 1; k >= 0; k--) {
+    const i = ozone.live[k];
+    const noxFactor = getNoxFactor(ozone.x[i], ozone.y[i], ozone.z[i]);
+    if (noxFactor === 0) continue;
+    
+    if (random() < 1 - Math.exp(-titration * noxFactor * dt)) {
+      budgets.OZONE.reacted += ozone.mass[i];
+      ozone.remove(i);
+    }
+  }
+}
+
+/**
+ * Saturating 0-1 factor for how NOx-rich the cell containing a point is
+ */
+function getNoxFactor(x, y, z) {
+  const cell = worldToCellIndex(x, y, z);
+  if (cell < 0) return 0;
+  const nox = toConcentration(grids.NOX.mass[cell]);
+  return nox / (nox + CHEMISTRY_CONFIG.noxHalfSaturation);
+}
+
+// ============================================
+// Spatial Binning
+// ============================================
+
+function binParticlesToGrid() {
+  Object.entries(particles).forEach(([pollutantId, pool]) => {
+    const grid = grids[pollutantId];
+    
+    // Clear only the cells touched last step
+    for (let k = 0; k < grid.occupiedCount; k++) {
+      const cell = grid.occupied[k];
+      grid.count[cell] = 0;
+      grid.mass[cell] = 0;
+      grid.age[cell] = 0;
+    }
+    grid.occupiedCount = 0;
+    
+    // Bin each particle (particles above/outside the grid are not drawn)
+    for (let k = 0; k < pool.count; k++) {
+      const i = pool.live[k];
+      const cell = worldToCellIndex(pool.x[i], pool.y[i], pool.z[i]);
+      if (cell < 0) continue;
+      
+      if (grid.count[cell] === 0) {
+        grid.occupied[grid.occupiedCount++] = cell;
+      }
+      grid.count[cell]++;
+      grid.mass[cell] += pool.mass[i];
+      grid.age[cell] += pool.age[i];
+    }
+  });
+}
+
+// ============================================
+// Control Functions
+// ============================================
+
+/**
+ * Clear all particles, grids and budgets and restart the random sequence.
+ * @param {number} [runSeed] - Seed for the new run (a fresh one is picked if omitted)
+ */
+export function resetSimulation(runSeed) {
+  setSeed(runSeed);
+  resetFlaring();
+  elapsedHours = 0;
+  
+  // Clear all particles
+  Object.values(particles).forEach(pool => pool.clear());
+  
+  // Clear grid
+  Object.values(grids).forEach(grid => {
+    grid.count.fill(0);
+    grid.mass.fill(0);
+    grid.age.fill(0);
+    grid.occupiedCount = 0;
+  });
+  
+  // Start fresh mass budgets
+  Object.keys(budgets).forEach(id => { budgets[id] = createBudget(); });
+}
+
+// ============================================
+// Queries
+// ============================================
+
+export function getParticleCount() {
+  let total = 0;
+  Object.values(particles).forEach(pool => {
+    total += pool.count;
+  });
+  return total;
+}
+
+export function getParticleCountByType() {
+  const counts = {};
+  Object.entries(particles).forEach(([id, pool]) => {
+    counts[id] = pool.count;
+  });
+  return counts;
+}
+
+export function getGridCellCount() {
+  let total = 0;
+  Object.values(grids).forEach(grid => {
+    total += grid.occupiedCount;
+  });
+  return total;
+}
+
+/**
+ * Get the live particle pools, keyed by pollutant ID.
+ * Iterate a pool with: for (k < pool.count) { const i = pool.live[k]; pool.x[i] ... }
+ * @returns {Object<string, ParticlePool>}
+ */
+export function getParticlePools() {
+  return particles;
+}
+
+/**
+ * Get the binned grids, keyed by pollutant ID.
+ * Each has dense count/mass (kg)/age arrays (GRID_CELL_COUNT long) and the
+ * first occupiedCount entries of `occupied` list the non-empty cells.
+ */
+export function getGrids() {
+  return grids;
+}
+
+export function getSources() {
+  return sources;
+}
+
+/**
+ * Seed of the current run (pass it back in to reproduce the run).
+ */
+export function getSeed() {
+  return seed;
+}
+
+function setSeed(runSeed) {
+  seed = Number.isFinite(runSeed) ? runSeed >>> 0 : randomSeed();
+  random = createRandom(seed);
+}
+
+// ============================================
+// Mass Budgets
+// ============================================
+
+function createBudget() {
+  return {
+    emitted: 0,
+    formed: 0,
+    decayed: 0,
+    deposited: 0,
+    advectedOut: 0,
+    expired: 0,
+    evicted: 0,
+    reacted: 0
+  };
+}
+
+/**
+ * Get the mass budget (kg) for each pollutant since the last reset.
+ * 
+ * airborne is the mass currently carried by live particles. residual is
+ * (sources - sinks - airborne) and should stay at ~0 if mass is conserved.
+ */
+export function getMassBudgets() {
+  const result = {};
+  
+  Object.entries(budgets).forEach(([id, budget]) => {
+    const airborne = particles[id].totalMass();
+    const sources = budget.emitted + budget.formed;
+    const sinks = budget.decayed + budget.deposited + budget.advectedOut +
+                  budget.expired + budget.evicted + budget.reacted;
+    
+    result[id] = {
+      ...budget,
+      airborne,
+      residual: sources - sinks - airborne
+    };
+  });
+  
+  return result;
+}
@@ -0,0 +1,25 @@
+/**
+ * solar.js - Sunlight as a function of time of day
+ * 
+ * No THREE or DOM dependencies, so the simulation core (worker and CLI)
+ * can use it. The sky in chronograph.js re-exports it for the render side.
+ */
+
+// Photochemically active daylight window (hours)
+export const SUNRISE_HOUR = 6;
+export const SUNSET_HOUR = 20;
+
+/**
+ * Relative sunlight available for photolysis (0 at night, 1 at solar noon).
+ * Drives photochemical ozone formation in the simulation.
+ *
+ * @param {number} hour - Time of day (0-24)
+ * @returns {number} 0-1
+ */
+export function getSolarIntensity(hour) {
+  const normalizedHour = ((hour % 24) + 24) % 24;
+  if (normalizedHour <= SUNRISE_HOUR || normalizedHour >= SUNSET_HOUR) {
+    return 0;
+  }
+  return Math.sin(Math.PI * (normalizedHour - SUNRISE_HOUR) / (SUNSET_HOUR - SUNRISE_HOUR));
+}
@@ -0,0 +1,173 @@
+/**
+ * surface.js - Near-surface concentration field
+ *
+ * Interpolates the concentration grid at a terrain-following height on a
+ * regular lattice over the map: what people breathe at street level rather
+ * than the whole column. Trilinear between cell centres, so the lowest
+ * layers blend smoothly over hills instead of stepping cell by cell.
+ * Also samples vertical cross-sections (concentration against height and
+ * distance along a line). No THREE or DOM dependencies; the ground
+ * heatmap, the isopleths and the cross-section tool all sample through it.
+ */
+
+import { MAP_BOUNDS, getTerrainHeight } from './heightmap.js';
+import { GRID_CONFIG, GRID_DIMS, toConcentration } from './simulation.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+export const SURFACE_CONFIG = {
+  sampleHeight: 0.2    // World units above the ground (~25 m)
+};
+
+// ============================================
+// Lattice
+// ============================================
+
+/**
+ * Sample points over the map with their ground heights (terrain sampled
+ * once; rebuild when the heightmap changes).
+ *
+ * @param {number} cols - Points west to east
+ * @param {number} rows - Points north to south
+ * @returns {{cols: number, rows: number, x: Float32Array, z: Float32Array, ground: Float32Array}}
+ *   x per column and z per row at cell centres; ground is row-major from
+ *   the north-west corner
+ */
+export function createSurfaceLattice(cols, rows) {
+  const x = new Float32Array(cols);
+  const z = new Float32Array(rows);
+  const ground = new Float32Array(cols * rows);
+  
+  for (let col = 0; col < cols; col++) {
+    x[col] = ((col + 0.5) / cols - 0.5) * MAP_BOUNDS.width;
+  }
+  for (let row = 0; row < rows; row++) {
+    z[row] = ((row + 0.5) / rows - 0.5) * MAP_BOUNDS.depth;
+    for (let col = 0; col < cols; col++) {
+      ground[row * cols + col] = getTerrainHeight(x[col], z[row]);
+    }
+  }
+  
+  return { cols, rows, x, z, ground };
+}
+
+// ============================================
+// Sampling
+// ============================================
+
+/**
+ * Near-surface concentration at every lattice point.
+ *
+ * @param {Float32Array} mass - Dense kg per grid cell (GRID_CELL_COUNT long)
+ * @param {Object} lattice - From createSurfaceLattice()
+ * @param {Float32Array} [out] - Reused result array (cols * rows)
+ * @returns {Float32Array} µg/m³, row-major from the north-west corner
+ */
+export function sampleSurfaceField(mass, lattice, out = new Float32Array(lattice.cols * lattice.rows)) {
+  const { cols, rows, x, z, ground } = lattice;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const i = row * cols + col;
+      out[i] = interpolateConcentration(mass, x[col], ground[i] + SURFACE_CONFIG.sampleHeight, z[row]);
+    }
+  }
+  return out;
+}
+
+// ============================================
+// Cross-sections
+// ============================================
+
+/**
+ * Sample points on a vertical curtain between two map points.
+ *
+ * @param {{x: number, z: number}} start - World position of the first end
+ * @param {{x: number, z: number}} end - World position of the other end
+ * @param {number} columns - Points along the line
+ * @param {number} levels - Points from sea level up to `top`
+ * @param {number} top - World Y of the curtain's upper edge
+ * @returns {{columns: number, levels: number, length: number, top: number,
+ *   x: Float32Array, z: Float32Array, y: Float32Array, ground: Float32Array}}
+ *   x, z and ground per column (length in world units, ~km); y per level,
+ *   from the top down
+ */
+export function createSectionLattice(start, end, columns, levels, top) {
+  const x = new Float32Array(columns);
+  const z = new Float32Array(columns);
+  const y = new Float32Array(levels);
+  const ground = new Float32Array(columns);
+  
+  for (let col = 0; col < columns; col++) {
+    const t = columns > 1 ? col / (columns - 1) : 0;
+    x[col] = start.x + (end.x - start.x) * t;
+    z[col] = start.z + (end.z - start.z) * t;
+    ground[col] = getTerrainHeight(x[col], z[col]);
+  }
+  for (let level = 0; level < levels; level++) {
+    y[level] = (1 - (level + 0.5) / levels) * top;
+  }
+  
+  const length = Math.hypot(end.x - start.x, end.z - start.z);
+  return { columns, levels, length, top, x, z, y, ground };
+}
+
+/**
+ * Concentration at every point of a cross-section.
+ *
+ * @param {Float32Array} mass - Dense kg per grid cell
+ * @param {Object} section - From createSectionLattice()
+ * @param {Float32Array} [out] - Reused result array (columns * levels)
+ * @returns {Float32Array} µg/m³, row-major from the top level at the start
+ *   of the line; NaN below the ground
+ */
+export function sampleSectionField(mass, section, out = new Float32Array(section.columns * section.levels)) {
+  const { columns, levels, x, z, y, ground } = section;
+  for (let level = 0; level < levels; level++) {
+    for (let col = 0; col < columns; col++) {
+      out[level * columns + col] = y[level] < ground[col]
+        ? NaN
+        : interpolateConcentration(mass, x[col], y[level], z[col]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Trilinear concentration between grid cell centres (clamped to the
+ * outermost centres, so the ground layer holds down to the terrain).
+ *
+ * @param {Float32Array} mass - Dense kg per grid cell
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {number} z - World Z
+ * @returns {number} µg/m³
+ */
+export function interpolateConcentration(mass, x, y, z) {
+  const [x0, x1, tx] = axis((x - GRID_CONFIG.minX) / GRID_CONFIG.cellSizeX, GRID_DIMS.x);
+  const [y0, y1, ty] = axis((y - GRID_CONFIG.minY) / GRID_CONFIG.cellSizeY, GRID_DIMS.y);
+  const [z0, z1, tz] = axis((z - GRID_CONFIG.minZ) / GRID_CONFIG.cellSizeZ, GRID_DIMS.z);
+  
+  // Cell index = x + dimX * (z + dimZ * y)
+  const at = (ix, iy, iz) => mass[ix + GRID_DIMS.x * (iz + GRID_DIMS.z * iy)];
+  const layer = (iy) => {
+    const north = at(x0, iy, z0) + (at(x1, iy, z0) - at(x0, iy, z0)) * tx;
+    const south = at(x0, iy, z1) + (at(x1, iy, z1) - at(x0, iy, z1)) * tx;
+    return north + (south - north) * tz;
+  };
+  
+  const lower = layer(y0);
+  return toConcentration(lower + (layer(y1) - lower) * ty);
+}
+
+/**
+ * Neighbouring cell indices and blend weight along one axis
+ * @param {number} position - Position in cells from the grid's minimum edge
+ * @param {number} size - Cells along the axis
+ */
+function axis(position, size) {
+  const centre = Math.min(Math.max(position - 0.5, 0), size - 1);
+  const lower = Math.min(Math.floor(centre), size - 2);
+  return [lower, lower + 1, centre - lower];
+}
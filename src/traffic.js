@@ -3,28 +3,85 @@
  * 
  * Provides the atmospheric motion model (advection + mixing).
  * Owns: velocity field function, wind parameters, turbulence
+ * 
+ * The mean wind comes from the wind sliders (made mass-consistent over the
+ * terrain by windsolver.js) plus parameterised sea breeze and thermal terms,
+ * or - once station observations are loaded - from the gridded wind field
+ * built by windfield.js.
+ * 
+ * Plain {x, y, z} vectors only (no THREE) so the simulation worker
+ * and the Node CLI can use it.
  */
 
-import * as THREE from 'three';
+import { geoToWorld } from './registry.js';
+import { SUNRISE_HOUR, SUNSET_HOUR } from './solar.js';
+import { sampleWindField, windFromDirection } from './windfield.js';
+import { log } from './log.js';
+import { setSolverTerrain, getSolvedWind, sampleSolvedWind } from './windsolver.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Diurnal thermal circulation, driven by settings.timeOfDay (hours)
+const DIURNAL_CONFIG = {
+  peakHour: 15,            // Land warmest -> strongest sea breeze / convergence
+  seaBreezeSpeed: 1.5,     // Onshore flow at the afternoon peak (m/s)
+  breezeSeason: [4, 8],    // May-September months at full strength (0 = January)
+  offSeasonBreeze: 0.3,    // Share of the onshore flow left in winter
+  drainageSpeed: 0.6,      // Offshore land breeze at the pre-dawn minimum (m/s)
+  breezeDepth: 5,          // Both are shallow surface flows (~600 m)
+  gateJetRadius: 20,       // Sea breeze funnels through the Golden Gate...
+  gateJetBoost: 1.5,       // ...and fans out into the bay behind it
+  convergenceRadius: 30,   // Bay thermal low
+  convergenceStrength: 0.1
+};
+
+// Boundary layer / inversion lid (world units; 1 unit ≈ 125 m)
+const MIXING_CONFIG = {
+  nightHeight: 1.6,        // Shallow nocturnal layer (~200 m)
+  convectiveHeight: 12,    // Sunny afternoon, no inversion (~1500 m)
+  cappedHeight: 3.2,       // Strong marine inversion base (~400 m)
+  maxLeakage: 0.5          // Chance a particle punches through a lid with strength 0
+};
+
+// Golden Gate strait (world units)
+const { x: GATE_X, z: GATE_Z } = geoToWorld(-122.478, 37.823);
 
 // ============================================
 // State
 // ============================================
 
 let mapData = null;
-let currentTime = 0;
+
+// Gridded station winds (windfield.js); null = use the slider wind
+let windField = null;
 
 // Cache for performance
-const _velocity = new THREE.Vector3();
-const _noise = new THREE.Vector3();
+const _velocity = { x: 0, y: 0, z: 0 };
+const _noise = { x: 0, y: 0, z: 0 };
+const _solved = { x: 0, y: 0, z: 0 };
 
 // ============================================
 // Initialization
 // ============================================
 
 export function initTraffic(map, settings) {
-  console.log('ðŸ’¨ Initializing atmospheric transport...');
+  log('ðŸ’¨ Initializing atmospheric transport...');
   mapData = map;
+  setSolverTerrain(map.getTerrainHeight);
+}
+
+/**
+ * Replace the slider wind with a gridded station wind field (null to clear)
+ * @param {Object|null} field - From windfield.js buildWindField()
+ */
+export function setWindField(field) {
+  windField = field;
+}
+
+export function getWindField() {
+  return windField;
 }
 
 // ============================================
@@ -32,74 +89,119 @@ export function initTraffic(map, settings) {
 // ============================================
 
 /**
- * Get the air velocity at a given position and time.
+ * Get the air velocity at a given position.
+ * Time-varying terms follow settings.timeOfDay.
  * 
  * @param {number} x - World X position
  * @param {number} y - World Y position (height)
  * @param {number} z - World Z position
- * @param {number} t - Current simulation time
  * @param {object} settings - Global settings object
- * @returns {THREE.Vector3} - Velocity vector (units per second)
+ * @param {{x, y, z}} [target] - Optional object to write into (avoids allocation)
+ * @param {Function} [random] - Random source for turbulence, returning [0, 1) (see random.js)
+ * @returns {{x, y, z}} - Velocity vector (units per second)
  */
-export function getVelocityAt(x, y, z, t, settings) {
-  _velocity.set(0, 0, 0);
+export function getVelocityAt(x, y, z, settings, target, random = Math.random) {
+  _velocity.x = 0;
+  _velocity.y = 0;
+  _velocity.z = 0;
   
   // ========================================
-  // 1. Base prevailing wind
+  // 1-5. Mean wind
   // ========================================
-  const windDir = settings.windDirection * (Math.PI / 180); // Convert to radians
-  const windSpeed = settings.windSpeed;
+  let windSpeed = settings.windSpeed;
+  
+  if (windField) {
+    // Observed winds already carry shear, sea breeze and terrain steering
+    const ground = mapData ? mapData.getTerrainHeight(x, z) : 0;
+    sampleWindField(windField, x, Math.max(0, y - ground), z, settings.timeOfDay, _velocity);
+    windSpeed = Math.sqrt(_velocity.x * _velocity.x + _velocity.z * _velocity.z);
+  } else {
+    addParameterisedWind(x, y, z, settings);
+  }
+  
+  // ========================================
+  // 6. Turbulent mixing (random walk component)
+  // ========================================
+  const turbulence = settings.turbulence;
+  if (turbulence > 0) {
+    // Gaussian-ish random perturbation
+    _noise.x = (random() - 0.5) * 2;
+    _noise.y = (random() - 0.5) * 2;
+    _noise.z = (random() - 0.5) * 2;
+    
+    // Scale by turbulence and wind speed
+    const turbScale = turbulence * windSpeed * 0.5;
+    _velocity.x += _noise.x * turbScale;
+    _velocity.y += _noise.y * turbScale * 0.3; // Less vertical turbulence
+    _velocity.z += _noise.z * turbScale;
+  }
   
-  // Wind direction convention: 0° = from North, 90° = from East
-  // So wind blowing TO is opposite direction
-  const windX = Math.sin(windDir) * windSpeed;
-  const windZ = Math.cos(windDir) * windSpeed;
+  // ========================================
+  // 7. Buoyancy (warm air rises)
+  // ========================================
+  // Near emission sources (hot stacks), add upward velocity
+  // This is simplified - real plume rise is more complex
+  if (y < 5) {
+    _velocity.y += 0.5 * (1 - y / 5);
+  }
   
-  _velocity.x += windX;
-  _velocity.z += windZ;
+  if (target) {
+    target.x = _velocity.x;
+    target.y = _velocity.y;
+    target.z = _velocity.z;
+    return target;
+  }
+  return { x: _velocity.x, y: _velocity.y, z: _velocity.z };
+}
+
+/**
+ * Slider-driven wind (used when no station wind field is loaded).
+ * Adds into _velocity.
+ */
+function addParameterisedWind(x, y, z, settings) {
+  const windSpeed = settings.windSpeed;
   
   // ========================================
-  // 2. Height-dependent wind shear
+  // 1-2. Prevailing wind, sheared with height and steered by terrain
   // ========================================
-  // Wind typically stronger at height (logarithmic profile)
-  const heightFactor = Math.log(Math.max(1, y + 1)) / Math.log(10);
-  _velocity.x *= (0.5 + heightFactor * 0.7);
-  _velocity.z *= (0.5 + heightFactor * 0.7);
+  // Mass-consistent solve over the heightmap (windsolver.js): flow goes
+  // around high ground and speeds up through gaps. Cached per wind setting.
+  sampleSolvedWind(getSolvedWind(settings), x, y, z, _solved);
+  _velocity.x += _solved.x;
+  _velocity.y += _solved.y;
+  _velocity.z += _solved.z;
   
   // ========================================
-  // 3. Sea breeze effect (diurnal cycle)
+  // 3. Sea breeze / land breeze (diurnal cycle)
   // ========================================
-  // Simplified: during "day" (t mod 60 < 30), breeze comes from ocean (west)
-  // During "night", land breeze goes to ocean
-  const dayPhase = (t % 120) / 120; // 0-1 over 2 minute "day"
-  const seaBreezeFactor = Math.sin(dayPhase * Math.PI * 2) * 0.3;
+  // Thermally driven, so independent of the prevailing wind speed.
+  // Afternoon: ocean air pushes east (onshore), jetting through the Golden Gate.
+  // Night: cooled land air drains back out toward the ocean.
+  const breeze = getSeaBreeze(settings.timeOfDay, settings.month);
+  const breezeLayer = Math.max(0, 1 - y / DIURNAL_CONFIG.breezeDepth);
   
-  // Bay is roughly to the west, so sea breeze adds eastward component
-  _velocity.x += seaBreezeFactor * windSpeed * 0.3;
+  if (breeze !== 0 && breezeLayer > 0) {
+    const gx = x - GATE_X;
+    const gz = z - GATE_Z;
+    const gateDist = Math.sqrt(gx * gx + gz * gz) + 1e-6;
+    const jet = Math.exp(-(gateDist * gateDist) / (DIURNAL_CONFIG.gateJetRadius ** 2)) *
+                DIURNAL_CONFIG.gateJetBoost;
+    
+    // Uniform onshore (+x) component plus a jet fanning out from the Gate
+    const fanX = gx > 0 ? gx / gateDist : 1;
+    const fanZ = gx > 0 ? gz / gateDist : 0;
+    _velocity.x += breeze * breezeLayer * (1 + jet * fanX);
+    _velocity.z += breeze * breezeLayer * jet * fanZ;
+  }
   
   // ========================================
-  // 4. Terrain effects (simplified)
+  // 4. Thermal updraft over hills
   // ========================================
+  // (Mechanical deflection and channelling come from the solved field)
   if (mapData) {
-    // Check if we're near hills - wind deflects around them
     const terrainHeight = mapData.getTerrainHeight(x, z);
     
-    // If particle is below terrain influence height, deflect
-    if (y < terrainHeight + 5) {
-      // East Bay hills deflect wind northward/southward
-      if (x > 10 && x < 35) {
-        const deflection = Math.sign(z) * 0.5 * (1 - y / (terrainHeight + 5));
-        _velocity.z += deflection * windSpeed * 0.3;
-      }
-      
-      // Channeling through Golden Gate
-      if (x < -10 && z > 0 && z < 20) {
-        // Accelerate through gap
-        _velocity.x *= 1.3;
-      }
-    }
-    
-    // Updraft near hills (thermal/orographic)
+    // Sun-warmed slopes lift air
     if (y < terrainHeight + 10) {
       const hilliness = terrainHeight / 5; // 0-1 based on terrain height
       _velocity.y += hilliness * 0.5 * (1 - y / (terrainHeight + 10));
@@ -111,52 +213,58 @@ export function getVelocityAt(x, y, z, t, settings) {
   // ========================================
   // Air tends to converge over water during day (thermal low)
   const distFromBayCenter = Math.sqrt(x * x + z * z);
-  if (distFromBayCenter < 30) {
-    const convergeFactor = (1 - distFromBayCenter / 30) * 0.1 * Math.sin(dayPhase * Math.PI);
+  const convergeRadius = DIURNAL_CONFIG.convergenceRadius;
+  if (distFromBayCenter < convergeRadius) {
+    const convergeFactor = (1 - distFromBayCenter / convergeRadius) *
+                           DIURNAL_CONFIG.convergenceStrength * getBayConvergence(settings.timeOfDay);
     // Pull toward center
     _velocity.x -= (x / distFromBayCenter) * convergeFactor * windSpeed;
     _velocity.z -= (z / distFromBayCenter) * convergeFactor * windSpeed;
     // Slight uplift over bay
     _velocity.y += convergeFactor * 0.5;
   }
-  
-  // ========================================
-  // 6. Turbulent mixing (random walk component)
-  // ========================================
-  const turbulence = settings.turbulence;
-  if (turbulence > 0) {
-    // Gaussian-ish random perturbation
-    _noise.set(
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 2
-    );
-    
-    // Scale by turbulence and wind speed
-    const turbScale = turbulence * windSpeed * 0.5;
-    _velocity.x += _noise.x * turbScale;
-    _velocity.y += _noise.y * turbScale * 0.3; // Less vertical turbulence
-    _velocity.z += _noise.z * turbScale;
-  }
-  
-  // ========================================
-  // 7. Buoyancy (warm air rises)
-  // ========================================
-  // Near emission sources (hot stacks), add upward velocity
-  // This is simplified - real plume rise is more complex
-  if (y < 5) {
-    _velocity.y += 0.5 * (1 - y / 5);
-  }
-  
-  return _velocity.clone();
 }
 
 // ============================================
-// Update (for time-varying fields)
+// Diurnal Cycle
 // ============================================
 
-export function updateTraffic(dt) {
-  currentTime += dt;
+/**
+ * Signed sea breeze speed for a time of day.
+ * Positive = onshore (peaks mid-afternoon), negative = offshore drainage (pre-dawn).
+ * The onshore flow is a summer pattern: full strength May-September, down to
+ * offSeasonBreeze two months either side of that.
+ * @param {number} timeOfDay - Hour, 0-24
+ * @param {number} [month] - 0 = January (default: July)
+ * @returns {number} m/s
+ */
+export function getSeaBreeze(timeOfDay, month = 6) {
+  const phase = Math.cos(((timeOfDay - DIURNAL_CONFIG.peakHour) / 24) * Math.PI * 2);
+  return phase > 0
+    ? phase * DIURNAL_CONFIG.seaBreezeSpeed * getBreezeSeason(month)
+    : phase * DIURNAL_CONFIG.drainageSpeed;
+}
+
+/**
+ * Onshore breeze strength for a month, 1 in season down to offSeasonBreeze
+ * @param {number} month - 0 = January
+ */
+function getBreezeSeason(month) {
+  const [first, last] = DIURNAL_CONFIG.breezeSeason;
+  const m = ((Math.floor(month) % 12) + 12) % 12;
+  let monthsOut = 0;
+  if (m < first) monthsOut = Math.min(first - m, m + 12 - last);
+  else if (m > last) monthsOut = Math.min(m - last, first + 12 - m);
+  const floor = DIURNAL_CONFIG.offSeasonBreeze;
+  return Math.max(floor, 1 - monthsOut * (1 - floor) / 2);
+}
+
+/**
+ * Strength of the bay thermal low, 0 at night to 1 mid-afternoon
+ * @param {number} timeOfDay - Hour, 0-24
+ */
+export function getBayConvergence(timeOfDay) {
+  return Math.max(0, Math.cos(((timeOfDay - DIURNAL_CONFIG.peakHour) / 24) * Math.PI * 2));
 }
 
 // ============================================
@@ -167,14 +275,47 @@ export function updateTraffic(dt) {
  * Get wind vector for display/arrows
  */
 export function getWindVector(settings) {
-  const windDir = settings.windDirection * (Math.PI / 180);
-  const windSpeed = settings.windSpeed;
+  const { x, z } = windFromDirection(settings.windDirection, settings.windSpeed);
+  return { x, y: 0, z };
+}
+
+/**
+ * Height of the mixing layer / inversion base (world Y).
+ * Grows from the nocturnal layer after sunrise, peaks with the afternoon
+ * heating and collapses at sunset. A strong inversion holds the daytime
+ * top down near the marine layer.
+ * 
+ * @param {object} settings - Uses timeOfDay and inversionStrength (0-1)
+ * @returns {number} World Y of the lid
+ */
+export function getMixingHeight(settings) {
+  const hour = ((settings.timeOfDay % 24) + 24) % 24;
+  const peak = DIURNAL_CONFIG.peakHour;
+  
+  let growth = 0;
+  if (hour > SUNRISE_HOUR && hour <= peak) {
+    growth = Math.sin((Math.PI / 2) * (hour - SUNRISE_HOUR) / (peak - SUNRISE_HOUR));
+  } else if (hour > peak && hour < SUNSET_HOUR) {
+    growth = Math.cos((Math.PI / 2) * (hour - peak) / (SUNSET_HOUR - peak));
+  }
   
-  return new THREE.Vector3(
-    Math.sin(windDir) * windSpeed,
-    0,
-    Math.cos(windDir) * windSpeed
-  );
+  const strength = getInversionStrength(settings);
+  const dayTop = MIXING_CONFIG.convectiveHeight +
+                 (MIXING_CONFIG.cappedHeight - MIXING_CONFIG.convectiveHeight) * strength;
+  return MIXING_CONFIG.nightHeight + (dayTop - MIXING_CONFIG.nightHeight) * growth;
+}
+
+/**
+ * Probability that a particle crossing the lid escapes instead of reflecting
+ * @param {object} settings - Uses inversionStrength (0-1)
+ */
+export function getLidLeakage(settings) {
+  return MIXING_CONFIG.maxLeakage * (1 - getInversionStrength(settings));
+}
+
+function getInversionStrength(settings) {
+  const strength = settings.inversionStrength ?? 0;
+  return Math.min(1, Math.max(0, strength));
 }
 
 /**
@@ -199,10 +340,10 @@ export function sampleVelocityField(bounds, resolution, height, settings) {
     for (let j = 0; j <= resolution; j++) {
       const x = -bounds.width / 2 + i * stepX;
       const z = -bounds.depth / 2 + j * stepZ;
-      const vel = getVelocityAt(x, height, z, currentTime, settings);
+      const vel = getVelocityAt(x, height, z, settings);
       
       samples.push({
-        position: new THREE.Vector3(x, height, z),
+        position: { x, y: height, z },
         velocity: vel
       });
     }
@@ -0,0 +1,317 @@
+/**
+ * volume.js - Volumetric smog from the concentration grid
+ *
+ * The binned grid is uploaded as a Data3DTexture (one RGBA texel per cell,
+ * one channel per pollutant) and ray-marched in a box covering the grid,
+ * so each pollutant renders as continuous, soft haze in its own colour
+ * instead of one prism per cell.
+ *
+ * - The grid's cell index (x + dimX * (z + dimZ * y)) is already the
+ *   texture's texel order, so packed cells are written straight in
+ * - Concentrations are log-scaled into 8 bits (linear filtering works on
+ *   every WebGL2 device, unlike float textures)
+ * - Rays stop at the terrain (height texture sampled from getTerrainHeight),
+ *   so hills hide the haze behind them
+ * - Haze fades out towards the sides and top of the grid
+ * - The previous step's texture is kept too, and the shader blends the two
+ *   (setSmogVolumeBlend), so haze drifts smoothly between fixed steps
+ */
+
+import * as THREE from 'three';
+import { POLLUTANT_TYPES } from './polluters.js';
+import { MAP_BOUNDS, getHeightmap, getTerrainHeight } from './heightmap.js';
+import { GRID_CONFIG, GRID_DIMS, GRID_CELL_COUNT, toConcentration } from './simulation.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+  steps: 96,                 // Ray-march samples across the grid box
+  extinction: 0.3,           // Opacity per world unit at full texel value
+  edgeFade: 0.06,            // Share of the box over which haze fades at its sides and top
+  
+  // Texel value = log(1 + c / reference) / log(1 + max / reference)
+  referenceConcentration: 1, // µg/m³
+  maxConcentration: 100,     // µg/m³ (texel value 1)
+  
+  terrainResolution: 256,    // Height texture samples along X (Z keeps the map's aspect)
+  renderOrder: 20            // Same slot as the prisms (after terrain/water)
+};
+
+// Pollutants in texture channel order (R, G, B, A)
+const CHANNELS = Object.keys(POLLUTANT_TYPES).slice(0, 4);
+
+// Grid box in world space (whole cells, so it can reach past max*)
+const BOX_MIN = new THREE.Vector3(GRID_CONFIG.minX, GRID_CONFIG.minY, GRID_CONFIG.minZ);
+const BOX_MAX = new THREE.Vector3(
+  GRID_CONFIG.minX + GRID_DIMS.x * GRID_CONFIG.cellSizeX,
+  GRID_CONFIG.minY + GRID_DIMS.y * GRID_CONFIG.cellSizeY,
+  GRID_CONFIG.minZ + GRID_DIMS.z * GRID_CONFIG.cellSizeZ
+);
+
+// ============================================
+// SHADERS
+// ============================================
+
+const vertexShader = /* glsl */ `
+  varying vec3 vWorld;
+  
+  void main() {
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorld = world.xyz;
+    gl_Position = projectionMatrix * viewMatrix * world;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  precision highp sampler3D;
+  
+  uniform sampler3D uVolume;
+  uniform sampler3D uPrevious;
+  uniform float uBlend;
+  uniform sampler2D uTerrain;
+  uniform vec3 uBoxMin;
+  uniform vec3 uBoxMax;
+  uniform vec2 uMapMin;
+  uniform vec2 uMapSize;
+  uniform vec3 uColors[4];
+  uniform float uExtinction;
+  uniform float uEdgeFade;
+  
+  varying vec3 vWorld;
+  
+  // Entry and exit distances of a ray through the grid box
+  vec2 hitBox(vec3 origin, vec3 dir) {
+    vec3 t0 = (uBoxMin - origin) / dir;
+    vec3 t1 = (uBoxMax - origin) / dir;
+    vec3 tMin = min(t0, t1);
+    vec3 tMax = max(t0, t1);
+    return vec2(max(max(tMin.x, tMin.y), tMin.z), min(min(tMax.x, tMax.y), tMax.z));
+  }
+  
+  void main() {
+    vec3 dir = normalize(vWorld - cameraPosition);
+    vec2 span = hitBox(cameraPosition, dir);
+    span.x = max(span.x, 0.0);
+    if (span.x >= span.y) discard;
+    
+    // Per-pixel start offset trades banding for fine noise
+    float stepLength = (span.y - span.x) / float(STEPS);
+    float jitter = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));
+    vec3 pos = cameraPosition + dir * (span.x + stepLength * jitter);
+    vec3 boxSize = uBoxMax - uBoxMin;
+    
+    vec3 color = vec3(0.0);
+    float alpha = 0.0;
+    
+    for (int i = 0; i < STEPS; i++) {
+      // Stop at the ground
+      if (pos.y < texture(uTerrain, (pos.xz - uMapMin) / uMapSize).r) break;
+      
+      vec3 local = (pos - uBoxMin) / boxSize;
+      vec4 texel = mix(texture(uPrevious, local.xzy), texture(uVolume, local.xzy), uBlend);
+      
+      float side = min(min(local.x, 1.0 - local.x), min(local.z, 1.0 - local.z));
+      texel *= smoothstep(0.0, uEdgeFade, side) * smoothstep(0.0, uEdgeFade, 1.0 - local.y);
+      
+      float density = texel.r + texel.g + texel.b + texel.a;
+      if (density > 0.001) {
+        vec3 tint = (uColors[0] * texel.r + uColors[1] * texel.g +
+                     uColors[2] * texel.b + uColors[3] * texel.a) / density;
+        float a = 1.0 - exp(-density * uExtinction * stepLength);
+        color += (1.0 - alpha) * a * tint;
+        alpha += (1.0 - alpha) * a;
+        if (alpha > 0.97) break;
+      }
+      
+      pos += dir * stepLength;
+    }
+    
+    if (alpha < 0.002) discard;
+    gl_FragColor = vec4(color / alpha, alpha);
+    
+    #include <colorspace_fragment>
+  }
+`;
+
+// ============================================
+// STATE
+// ============================================
+
+let scene = null;
+let mesh = null;
+let volumeTexture = null;      // Latest step
+let previousTexture = null;    // The step before
+let terrainTexture = null;
+let terrainSource = undefined;   // Heightmap data the terrain texture was sampled from
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+export function initSmogVolume(sceneRef) {
+  console.log('🌫️ Initializing volumetric smog...');
+  
+  scene = sceneRef;
+  
+  volumeTexture = createVolumeTexture();
+  previousTexture = createVolumeTexture();
+  
+  const size = new THREE.Vector3().subVectors(BOX_MAX, BOX_MIN);
+  const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  geometry.translate(
+    (BOX_MIN.x + BOX_MAX.x) / 2,
+    (BOX_MIN.y + BOX_MAX.y) / 2,
+    (BOX_MIN.z + BOX_MAX.z) / 2
+  );
+  
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    defines: { STEPS: CONFIG.steps },
+    uniforms: {
+      uVolume: { value: volumeTexture },
+      uPrevious: { value: previousTexture },
+      uBlend: { value: 1 },
+      uTerrain: { value: null },
+      uBoxMin: { value: BOX_MIN },
+      uBoxMax: { value: BOX_MAX },
+      uMapMin: { value: new THREE.Vector2(-MAP_BOUNDS.width / 2, -MAP_BOUNDS.depth / 2) },
+      uMapSize: { value: new THREE.Vector2(MAP_BOUNDS.width, MAP_BOUNDS.depth) },
+      uColors: { value: CHANNELS.map(id => new THREE.Color(POLLUTANT_TYPES[id].color)) },
+      uExtinction: { value: CONFIG.extinction },
+      uEdgeFade: { value: CONFIG.edgeFade }
+    },
+    side: THREE.BackSide,    // Still drawn with the camera inside the box
+    transparent: true,
+    depthWrite: false,
+    depthTest: false         // Terrain occlusion is done in the shader
+  });
+  
+  mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'smogVolume';
+  mesh.renderOrder = CONFIG.renderOrder;
+  mesh.frustumCulled = false;
+  scene.add(mesh);
+  
+  refreshTerrainTexture();
+  
+  console.log(`  → ${GRID_DIMS.x}×${GRID_DIMS.z}×${GRID_DIMS.y} texels, ${CONFIG.steps} steps per ray`);
+  return mesh;
+}
+
+function createVolumeTexture() {
+  const texture = new THREE.Data3DTexture(
+    new Uint8Array(GRID_CELL_COUNT * 4), GRID_DIMS.x, GRID_DIMS.z, GRID_DIMS.y);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Resample the terrain height texture when the heightmap has changed
+ * (procedural hills until the GeoTIFF arrives)
+ */
+function refreshTerrainTexture() {
+  const heightmap = getHeightmap();
+  const source = heightmap ? heightmap.data : null;
+  if (source === terrainSource) return;
+  terrainSource = source;
+  
+  const width = CONFIG.terrainResolution;
+  const height = Math.round(width * MAP_BOUNDS.depth / MAP_BOUNDS.width);
+  const data = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const z = ((row + 0.5) / height - 0.5) * MAP_BOUNDS.depth;
+    for (let col = 0; col < width; col++) {
+      const x = ((col + 0.5) / width - 0.5) * MAP_BOUNDS.width;
+      data[row * width + col] = getTerrainHeight(x, z);
+    }
+  }
+  
+  if (terrainTexture) terrainTexture.dispose();
+  // Float textures aren't filterable everywhere; ~0.6 km texels are fine unfiltered
+  terrainTexture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.FloatType);
+  terrainTexture.minFilter = THREE.NearestFilter;
+  terrainTexture.magFilter = THREE.NearestFilter;
+  terrainTexture.needsUpdate = true;
+  mesh.material.uniforms.uTerrain.value = terrainTexture;
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Upload a snapshot's occupied grid cells
+ * @param {Object} grids - pollutantId -> packed grid ({ occupiedCount, cells, mass })
+ * @param {boolean} [continuous=true] - The snapshot follows the one shown;
+ *   false after a reset or mode switch (both textures get the snapshot)
+ */
+export function updateSmogVolume(grids, continuous = true) {
+  if (!mesh) return;
+  
+  refreshTerrainTexture();
+  
+  // The latest texture becomes the previous one; refill the other
+  [previousTexture, volumeTexture] = [volumeTexture, previousTexture];
+  mesh.material.uniforms.uVolume.value = volumeTexture;
+  mesh.material.uniforms.uPrevious.value = previousTexture;
+  
+  const data = volumeTexture.image.data;
+  data.fill(0);
+  const scale = 255 / Math.log1p(CONFIG.maxConcentration / CONFIG.referenceConcentration);
+  
+  CHANNELS.forEach((pollutantId, channel) => {
+    const grid = grids[pollutantId];
+    for (let k = 0; k < (grid?.occupiedCount || 0); k++) {
+      const level = Math.log1p(toConcentration(grid.mass[k]) / CONFIG.referenceConcentration) * scale;
+      data[grid.cells[k] * 4 + channel] = Math.min(255, Math.round(level));
+    }
+  });
+  
+  volumeTexture.needsUpdate = true;
+  
+  if (!continuous) {
+    previousTexture.image.data.set(data);
+    previousTexture.needsUpdate = true;
+  }
+}
+
+/**
+ * Where to draw between the previous and the latest step
+ * @param {number} blend - 0 = previous step, 1 = latest step
+ */
+export function setSmogVolumeBlend(blend) {
+  if (mesh) mesh.material.uniforms.uBlend.value = blend;
+}
+
+export function setSmogVolumeVisible(visible) {
+  if (mesh) mesh.visible = visible;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function disposeSmogVolume() {
+  if (mesh && scene) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+  if (volumeTexture) volumeTexture.dispose();
+  if (previousTexture) previousTexture.dispose();
+  if (terrainTexture) terrainTexture.dispose();
+  mesh = null;
+  volumeTexture = null;
+  previousTexture = null;
+  terrainTexture = null;
+  terrainSource = undefined;
+  scene = null;
+}
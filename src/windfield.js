@@ -0,0 +1,351 @@
+/**
+ * windfield.js - Diagnostic wind field from weather-station observations
+ *
+ * Parses hourly station observations (JSON or CSV) and grids them into a
+ * terrain-following 3D wind field by inverse-distance weighting. No THREE
+ * or DOM dependencies, so the worker and the Node CLI build the same field.
+ *
+ * INPUT (one record per station per hour):
+ *   CSV:  station,lon,lat,height,hour,direction,speed
+ *   JSON: [{ station, lon, lat, height, hour, direction, speed }, ...]
+ *     or  { stations: [{ id, lon, lat, height, observations: [{ hour, direction, speed }] }] }
+ * - height: anemometer height above ground in metres (optional, default 10)
+ * - hour: local hour 0-23
+ * - direction: degrees the wind blows FROM (0 = N, 90 = E)
+ * - speed: m/s
+ *
+ * FIELD:
+ * - Horizontal grid over the map, levels at fixed heights above the terrain
+ * - Station winds are extrapolated to each level with a power-law profile
+ * - IDW distance counts elevation difference, so valley stations steer valleys
+ *   and ridge stations steer ridges
+ * - Near the ground the flow follows the terrain slope (w = V·∇h), fading with height
+ * - One u/v/w set per hour; hours without data blend the nearest observed hours
+ */
+
+import { MAP_BOUNDS, VERTICAL_SCALE } from './heightmap.js';
+import { geoToWorld } from './registry.js';
+import { readCSV, requireNumber, optionalNumber } from './csv.js';
+import { log } from './log.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+/**
+ * World-space velocity of a wind given the meteorological way: degrees it
+ * blows FROM (0 = N, 90 = E). World +x is east and +z is south, so 90°
+ * moves air toward -x. Stations, the direction slider and the terrain
+ * solver all go through this.
+ * @param {number} direction - Degrees
+ * @param {number} speed - m/s
+ * @returns {{x: number, z: number}}
+ */
+export function windFromDirection(direction, speed) {
+  const radians = direction * (Math.PI / 180);
+  return { x: -Math.sin(radians) * speed, z: Math.cos(radians) * speed };
+}
+
+export const WIND_FIELD_CONFIG = {
+  nx: 48,                  // Horizontal cells east-west
+  nz: 42,                  // Horizontal cells north-south
+  // Level heights above ground, world units (~10 m, 50 m, 125 m, 250 m, 500 m, 1 km, 2 km)
+  levels: [0.08, 0.4, 1, 2, 4, 8, 16],
+  idwPower: 2,
+  elevationWeight: 5,      // 1 unit of height difference counts as 5 km of distance
+  profileExponent: 0.14,   // Power-law wind shear, neutral conditions
+  slopeDecayHeight: 1.5,   // Terrain-following vertical wind fades over ~200 m
+  defaultHeight: 10        // Anemometer height when a record has none (m)
+};
+
+// height is optional (defaultHeight)
+const CSV_REQUIRED_COLUMNS = ['station', 'lon', 'lat', 'hour', 'direction', 'speed'];
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a station observation file.
+ *
+ * @param {string} text - File contents (JSON or CSV)
+ * @returns {Array<{id, lon, lat, height, observations: Array<{hour, direction, speed}>}>}
+ * @throws {Error} On malformed input, naming the offending line / record
+ */
+export function parseStationObservations(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Station file is empty');
+  
+  const records = (trimmed[0] === '{' || trimmed[0] === '[')
+    ? parseJSONRecords(trimmed)
+    : readCSV(trimmed, 'Station', CSV_REQUIRED_COLUMNS).rows;
+  
+  // Group records by station
+  const stations = new Map();
+  records.forEach(({ label, record }) => {
+    const id = String(record.station ?? '').trim();
+    if (!id) throw new Error(`${label}: missing station id`);
+    
+    const lon = requireNumber(record.lon, 'lon', label);
+    const lat = requireNumber(record.lat, 'lat', label);
+    const height = optionalNumber(record.height, 'height', label) ?? WIND_FIELD_CONFIG.defaultHeight;
+    const hour = requireNumber(record.hour, 'hour', label);
+    const direction = requireNumber(record.direction, 'direction', label);
+    const speed = requireNumber(record.speed, 'speed', label);
+    
+    if (hour < 0 || hour >= 24) throw new Error(`${label}: hour must be 0-23 (got ${hour})`);
+    if (speed < 0) throw new Error(`${label}: speed must not be negative`);
+    if (height <= 0) throw new Error(`${label}: height must be positive`);
+    
+    let station = stations.get(id);
+    if (!station) {
+      station = { id, lon, lat, height, observations: [] };
+      stations.set(id, station);
+    }
+    station.observations.push({ hour: Math.floor(hour), direction, speed });
+  });
+  
+  if (stations.size === 0) throw new Error('Station file has no observations');
+  return [...stations.values()];
+}
+
+function parseJSONRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Station file is not valid JSON: ${error.message}`);
+  }
+  
+  // Flat list of records
+  if (Array.isArray(data)) {
+    return data.map((record, i) => ({ label: `Record ${i + 1}`, record }));
+  }
+  
+  // Nested { stations: [{ ..., observations: [...] }] }
+  if (!Array.isArray(data.stations)) {
+    throw new Error('Station JSON must be an array of records or { stations: [...] }');
+  }
+  const records = [];
+  data.stations.forEach((station, s) => {
+    const { observations = [], ...site } = station;
+    observations.forEach((obs, i) => {
+      records.push({
+        label: `Station ${station.id ?? s + 1} observation ${i + 1}`,
+        record: { station: station.id, ...site, ...obs }
+      });
+    });
+  });
+  return records;
+}
+
+// ============================================
+// Field Construction
+// ============================================
+
+/**
+ * Grid station observations into an hourly 3D wind field.
+ *
+ * @param {Array} stations - Output of parseStationObservations()
+ * @param {Function} getTerrainHeight - (x, z) => world Y of the ground
+ * @returns {Object} Field for sampleWindField()
+ */
+export function buildWindField(stations, getTerrainHeight) {
+  const { nx, nz, levels } = WIND_FIELD_CONFIG;
+  const cellX = MAP_BOUNDS.width / (nx - 1);
+  const cellZ = MAP_BOUNDS.depth / (nz - 1);
+  const nodeCount = nx * nz * levels.length;
+  
+  // Station sites in world space
+  const sites = stations.map(station => {
+    const { x, z } = geoToWorld(station.lon, station.lat);
+    return {
+      x,
+      z,
+      ground: getTerrainHeight(x, z),
+      height: station.height * VERTICAL_SCALE,
+      observations: station.observations
+    };
+  });
+  
+  // Ground height and slope at each column
+  const ground = new Float32Array(nx * nz);
+  const slopeX = new Float32Array(nx * nz);
+  const slopeZ = new Float32Array(nx * nz);
+  for (let j = 0; j < nz; j++) {
+    for (let i = 0; i < nx; i++) {
+      const x = -MAP_BOUNDS.width / 2 + i * cellX;
+      const z = -MAP_BOUNDS.depth / 2 + j * cellZ;
+      const column = i + nx * j;
+      ground[column] = getTerrainHeight(x, z);
+      slopeX[column] = (getTerrainHeight(x + cellX / 2, z) - getTerrainHeight(x - cellX / 2, z)) / cellX;
+      slopeZ[column] = (getTerrainHeight(x, z + cellZ / 2) - getTerrainHeight(x, z - cellZ / 2)) / cellZ;
+    }
+  }
+  
+  // One u/v/w set per hour that has observations
+  const hours = new Array(24).fill(null);
+  for (let hour = 0; hour < 24; hour++) {
+    const reports = [];
+    sites.forEach(site => {
+      const matches = site.observations.filter(obs => obs.hour === hour);
+      if (matches.length === 0) return;
+      
+      // Vector-average repeated reports for the same hour
+      let vx = 0, vz = 0;
+      matches.forEach(obs => {
+        const velocity = windFromDirection(obs.direction, obs.speed);
+        vx += velocity.x;
+        vz += velocity.z;
+      });
+      reports.push({ site, vx: vx / matches.length, vz: vz / matches.length });
+    });
+    
+    if (reports.length > 0) {
+      hours[hour] = interpolateHour(reports, ground, slopeX, slopeZ, cellX, cellZ);
+    }
+  }
+  
+  if (hours.every(h => h === null)) {
+    throw new Error('Station file has no usable observations');
+  }
+  
+  // Hours without reports blend the observed hours either side
+  const observed = [];
+  hours.forEach((data, hour) => { if (data) observed.push(hour); });
+  const filled = hours.map((data, hour) => {
+    if (data) return data;
+    const after = observed.find(h => h > hour) ?? observed[0] + 24;
+    const before = [...observed].reverse().find(h => h < hour) ?? observed[observed.length - 1] - 24;
+    const t = (hour - before) / (after - before);
+    const a = hours[(before + 24) % 24];
+    const b = hours[after % 24];
+    const blended = new Float32Array(a.length);
+    for (let n = 0; n < a.length; n++) {
+      blended[n] = a[n] + (b[n] - a[n]) * t;
+    }
+    return blended;
+  });
+  
+  log(`🌬️ Wind field: ${stations.length} stations, ` +
+              `${observed.length}/24 hours observed, ${nodeCount} nodes`);
+  
+  return { nx, nz, cellX, cellZ, levels, ground, hours: filled, stationCount: stations.length };
+}
+
+/**
+ * IDW-interpolate one hour of reports onto every grid node.
+ * @returns {Float32Array} Velocity per node, interleaved x, y, z (m/s)
+ */
+function interpolateHour(reports, ground, slopeX, slopeZ, cellX, cellZ) {
+  const { nx, nz, levels, idwPower, elevationWeight, profileExponent, slopeDecayHeight } = WIND_FIELD_CONFIG;
+  const data = new Float32Array(nx * nz * levels.length * 3);
+  
+  for (let j = 0; j < nz; j++) {
+    for (let i = 0; i < nx; i++) {
+      const x = -MAP_BOUNDS.width / 2 + i * cellX;
+      const z = -MAP_BOUNDS.depth / 2 + j * cellZ;
+      const column = i + nx * j;
+      
+      for (let l = 0; l < levels.length; l++) {
+        const agl = levels[l];
+        let sumX = 0, sumZ = 0, sumW = 0;
+        
+        for (let r = 0; r < reports.length; r++) {
+          const { site, vx, vz } = reports[r];
+          const dx = x - site.x;
+          const dz = z - site.z;
+          const dh = (ground[column] + agl - (site.ground + site.height)) * elevationWeight;
+          const dist2 = dx * dx + dz * dz + dh * dh;
+          
+          // Power-law profile from anemometer height to this level
+          const profile = Math.pow(agl / site.height, profileExponent);
+          
+          // Exactly at a station: take its value
+          if (dist2 < 1e-6) {
+            sumX = vx * profile;
+            sumZ = vz * profile;
+            sumW = 1;
+            break;
+          }
+          
+          const weight = 1 / Math.pow(dist2, idwPower / 2);
+          sumX += vx * profile * weight;
+          sumZ += vz * profile * weight;
+          sumW += weight;
+        }
+        
+        const u = sumX / sumW;
+        const v = sumZ / sumW;
+        
+        // Flow follows the slope near the ground (kinematic terrain effect)
+        const w = (u * slopeX[column] + v * slopeZ[column]) * Math.exp(-agl / slopeDecayHeight);
+        
+        const node = (column + nx * nz * l) * 3;
+        data[node] = u;
+        data[node + 1] = w;
+        data[node + 2] = v;
+      }
+    }
+  }
+  
+  return data;
+}
+
+// ============================================
+// Sampling
+// ============================================
+
+/**
+ * Sample the field (trilinear in space, linear between hours).
+ *
+ * @param {Object} field - From buildWindField()
+ * @param {number} x - World X
+ * @param {number} agl - Height above the ground, world units
+ * @param {number} z - World Z
+ * @param {number} timeOfDay - Hour, 0-24
+ * @param {{x, y, z}} target - Written with the velocity (m/s)
+ * @returns {{x, y, z}} target
+ */
+export function sampleWindField(field, x, agl, z, timeOfDay, target) {
+  const { nx, nz, levels } = field;
+  
+  // Horizontal position (clamped to the grid)
+  const gx = Math.min(nx - 1.001, Math.max(0, (x + MAP_BOUNDS.width / 2) / field.cellX));
+  const gz = Math.min(nz - 1.001, Math.max(0, (z + MAP_BOUNDS.depth / 2) / field.cellZ));
+  const i = Math.floor(gx);
+  const j = Math.floor(gz);
+  const fx = gx - i;
+  const fz = gz - j;
+  
+  // Level (clamped to the lowest / highest)
+  let l = 0;
+  while (l < levels.length - 2 && agl > levels[l + 1]) l++;
+  const fl = Math.min(1, Math.max(0, (agl - levels[l]) / (levels[l + 1] - levels[l])));
+  
+  // Hours either side
+  const hour = ((timeOfDay % 24) + 24) % 24;
+  const h0 = Math.floor(hour);
+  const fh = hour - h0;
+  const a = field.hours[h0];
+  const b = field.hours[(h0 + 1) % 24];
+  
+  target.x = 0;
+  target.y = 0;
+  target.z = 0;
+  
+  for (let corner = 0; corner < 8; corner++) {
+    const ci = corner & 1;
+    const cj = (corner >> 1) & 1;
+    const cl = (corner >> 2) & 1;
+    const weight = (ci ? fx : 1 - fx) * (cj ? fz : 1 - fz) * (cl ? fl : 1 - fl);
+    if (weight === 0) continue;
+    
+    const node = ((i + ci) + nx * (j + cj) + nx * nz * (l + cl)) * 3;
+    target.x += weight * (a[node] + (b[node] - a[node]) * fh);
+    target.y += weight * (a[node + 1] + (b[node + 1] - a[node + 1]) * fh);
+    target.z += weight * (a[node + 2] + (b[node + 2] - a[node + 2]) * fh);
+  }
+  
+  return target;
+}
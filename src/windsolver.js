@@ -0,0 +1,375 @@
+/**
+ * windsolver.js - Mass-consistent, terrain-following wind field
+ *
+ * Diagnostic solver in the style of Sherman (1978): start from the
+ * prevailing wind with a height-above-ground profile, then make the
+ * smallest adjustment that removes all divergence over the heightmap.
+ * Terrain cells are walls, so the adjusted flow goes around Mt. Diablo
+ * and squeezes through the Golden Gate and Carquinez Strait on its own.
+ *
+ * METHOD:
+ * - Staggered (MAC) grid over the map, terrain cells blocked
+ * - Solve ∇·(M ∇λ) = ∇·u₀ for the Lagrange multiplier λ by SOR
+ *   (M = diag(1, verticalAdjustment, 1); walls are no-flux, the sides and
+ *   top are open so air can enter and leave the domain)
+ * - Corrected velocity u = u₀ − M ∇λ, averaged to cell centres
+ *
+ * CACHING:
+ * The adjustment is linear in the initial wind, so the solver runs once
+ * per heightmap for unit east and south winds. Changing the wind sliders
+ * only recombines those two fields; a new heightmap forces a fresh solve.
+ *
+ * No THREE or DOM dependencies (runs in the simulation worker and the CLI).
+ */
+
+import { MAP_BOUNDS } from './heightmap.js';
+import { windFromDirection } from './windfield.js';
+import { log } from './log.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+export const SOLVER_CONFIG = {
+  nx: 96,                  // Cells east-west (~1.6 km)
+  nz: 86,                  // Cells north-south (~1.6 km)
+  ny: 20,                  // Vertical cells
+  top: 24,                 // Domain top, world Y (~3 km)
+  verticalAdjustment: 0.1, // α₁²/α₂²: < 1 steers flow around hills rather than over
+  omega: 1.9,              // SOR over-relaxation
+  maxIterations: 500,
+  tolerance: 1e-3          // Stop when the residual falls below this fraction of the initial one
+};
+
+// ============================================
+// State
+// ============================================
+
+let getTerrain = () => 0; // (x, z) => ground height (flat until set)
+let basis = null;          // Solved unit-wind fields { east, south }
+let field = null;          // Combined field for the current wind
+let fieldKey = '';         // Wind settings the combined field was built for
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Use a terrain sampler (map.getTerrainHeight). Invalidates any cached solve.
+ * @param {Function} getTerrainHeight - (x, z) => world Y of the ground
+ */
+export function setSolverTerrain(getTerrainHeight) {
+  getTerrain = getTerrainHeight;
+  basis = null;
+  field = null;
+  fieldKey = '';
+}
+
+/**
+ * Drop the cached solve (call when the heightmap changes).
+ */
+export function invalidateSolvedWind() {
+  setSolverTerrain(getTerrain);
+}
+
+/**
+ * Mass-consistent field for the current wind settings (solved / combined on demand).
+ * Direction is where the wind blows from (windfield.js windFromDirection).
+ *
+ * @param {object} settings - Uses windDirection and windSpeed
+ * @returns {Object} Field for sampleSolvedWind()
+ */
+export function getSolvedWind(settings) {
+  const key = `${settings.windDirection}|${settings.windSpeed}`;
+  if (field && key === fieldKey) return field;
+  
+  if (!basis) {
+    const started = Date.now();
+    basis = {
+      east: solve(1, 0),
+      south: solve(0, 1)
+    };
+    log(`🌀 Terrain wind solved (${basis.east.iterations} + ${basis.south.iterations} iterations, ${Date.now() - started} ms)`);
+  }
+  
+  const prevailing = windFromDirection(settings.windDirection, settings.windSpeed);
+  field = combine(basis, prevailing.x, prevailing.z, field);
+  fieldKey = key;
+  return field;
+}
+
+/**
+ * Trilinear sample of a solved field.
+ *
+ * @param {Object} solved - From getSolvedWind()
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {number} z - World Z
+ * @param {{x, y, z}} target - Written with the velocity
+ * @returns {{x, y, z}} target
+ */
+export function sampleSolvedWind(solved, x, y, z, target) {
+  const { nx, ny, nz, dx, dy, dz } = solved;
+  
+  // Cell-centre coordinates, clamped to the grid
+  const gx = Math.min(nx - 1.001, Math.max(0, (x + MAP_BOUNDS.width / 2) / dx - 0.5));
+  const gy = Math.min(ny - 1.001, Math.max(0, y / dy - 0.5));
+  const gz = Math.min(nz - 1.001, Math.max(0, (z + MAP_BOUNDS.depth / 2) / dz - 0.5));
+  const i = Math.floor(gx);
+  const j = Math.floor(gy);
+  const k = Math.floor(gz);
+  const fx = gx - i;
+  const fy = gy - j;
+  const fz = gz - k;
+  
+  target.x = 0;
+  target.y = 0;
+  target.z = 0;
+  
+  for (let corner = 0; corner < 8; corner++) {
+    const ci = corner & 1;
+    const cj = (corner >> 1) & 1;
+    const ck = (corner >> 2) & 1;
+    const weight = (ci ? fx : 1 - fx) * (cj ? fy : 1 - fy) * (ck ? fz : 1 - fz);
+    if (weight === 0) continue;
+    
+    const cell = (i + ci) + nx * ((k + ck) + nz * (j + cj));
+    target.x += weight * solved.vx[cell];
+    target.y += weight * solved.vy[cell];
+    target.z += weight * solved.vz[cell];
+  }
+  
+  return target;
+}
+
+// ============================================
+// Solver
+// ============================================
+
+/**
+ * Solve for one unit prevailing wind (windX, windZ) and return
+ * cell-centred velocities. Cell index = x + nx * (z + nz * y).
+ */
+function solve(windX, windZ) {
+  const { nx, ny, nz, top, verticalAdjustment, omega, maxIterations, tolerance } = SOLVER_CONFIG;
+  const dx = MAP_BOUNDS.width / nx;
+  const dy = top / ny;
+  const dz = MAP_BOUNDS.depth / nz;
+  const layer = nx * nz;
+  const cellCount = layer * ny;
+  
+  // Terrain: ground height per column, cell blocked if its centre is underground
+  const ground = new Float32Array(layer);
+  for (let k = 0; k < nz; k++) {
+    for (let i = 0; i < nx; i++) {
+      ground[i + nx * k] = getTerrain(-MAP_BOUNDS.width / 2 + (i + 0.5) * dx,
+                                      -MAP_BOUNDS.depth / 2 + (k + 0.5) * dz);
+    }
+  }
+  const solid = new Uint8Array(cellCount);
+  for (let j = 0; j < ny; j++) {
+    for (let c = 0; c < layer; c++) {
+      solid[c + layer * j] = (j + 0.5) * dy < ground[c] ? 1 : 0;
+    }
+  }
+  const isOpen = (i, j, k) => !solid[i + nx * (k + nz * j)];
+  
+  // Face velocities: u on x-faces (nx+1), w on y-faces (ny+1), v on z-faces (nz+1)
+  const u = new Float32Array((nx + 1) * nz * ny);
+  const w = new Float32Array(nx * nz * (ny + 1));
+  const v = new Float32Array(nx * (nz + 1) * ny);
+  const uIndex = (i, j, k) => i + (nx + 1) * (k + nz * j);
+  const wIndex = (i, j, k) => i + nx * (k + nz * j);
+  const vIndex = (i, j, k) => i + nx * (k + (nz + 1) * j);
+  
+  // Initial field: prevailing wind with a height-above-ground profile, no flow into walls
+  for (let j = 0; j < ny; j++) {
+    const y = (j + 0.5) * dy;
+    for (let k = 0; k < nz; k++) {
+      for (let i = 0; i <= nx; i++) {
+        const left = i > 0 && isOpen(i - 1, j, k);
+        const right = i < nx && isOpen(i, j, k);
+        if ((i > 0 && !left) || (i < nx && !right)) continue;
+        const column = Math.min(i, nx - 1) + nx * k;
+        u[uIndex(i, j, k)] = windX * windProfile(y - ground[column]);
+      }
+    }
+    for (let k = 0; k <= nz; k++) {
+      for (let i = 0; i < nx; i++) {
+        const front = k > 0 && isOpen(i, j, k - 1);
+        const back = k < nz && isOpen(i, j, k);
+        if ((k > 0 && !front) || (k < nz && !back)) continue;
+        const column = i + nx * Math.min(k, nz - 1);
+        v[vIndex(i, j, k)] = windZ * windProfile(y - ground[column]);
+      }
+    }
+  }
+  
+  // Divergence of the initial field
+  const divergence = new Float32Array(cellCount);
+  let initialResidual = 0;
+  for (let j = 0; j < ny; j++) {
+    for (let k = 0; k < nz; k++) {
+      for (let i = 0; i < nx; i++) {
+        const cell = i + nx * (k + nz * j);
+        if (solid[cell]) continue;
+        const div = (u[uIndex(i + 1, j, k)] - u[uIndex(i, j, k)]) / dx +
+                    (w[wIndex(i, j + 1, k)] - w[wIndex(i, j, k)]) / dy +
+                    (v[vIndex(i, j, k + 1)] - v[vIndex(i, j, k)]) / dz;
+        divergence[cell] = div;
+        initialResidual = Math.max(initialResidual, Math.abs(div));
+      }
+    }
+  }
+  
+  // Coupling coefficients (vertical adjustment penalised)
+  const cx = 1 / (dx * dx);
+  const cy = verticalAdjustment / (dy * dy);
+  const cz = 1 / (dz * dz);
+  
+  // SOR for λ. Walls (terrain, sea-level floor) are no-flux; sides and top
+  // are open (λ = 0 just outside, i.e. a ghost value of -λ)
+  const lambda = new Float64Array(cellCount);
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    let maxResidual = 0;
+    
+    for (let j = 0; j < ny; j++) {
+      for (let k = 0; k < nz; k++) {
+        for (let i = 0; i < nx; i++) {
+          const cell = i + nx * (k + nz * j);
+          if (solid[cell]) continue;
+          
+          let sum = 0;
+          let diagonal = 0;
+          
+          if (i === 0) diagonal += 2 * cx;
+          else if (!solid[cell - 1]) { sum += cx * lambda[cell - 1]; diagonal += cx; }
+          if (i === nx - 1) diagonal += 2 * cx;
+          else if (!solid[cell + 1]) { sum += cx * lambda[cell + 1]; diagonal += cx; }
+          
+          if (k === 0) diagonal += 2 * cz;
+          else if (!solid[cell - nx]) { sum += cz * lambda[cell - nx]; diagonal += cz; }
+          if (k === nz - 1) diagonal += 2 * cz;
+          else if (!solid[cell + nx]) { sum += cz * lambda[cell + nx]; diagonal += cz; }
+          
+          if (j > 0 && !solid[cell - layer]) { sum += cy * lambda[cell - layer]; diagonal += cy; }
+          if (j === ny - 1) diagonal += 2 * cy;
+          else if (!solid[cell + layer]) { sum += cy * lambda[cell + layer]; diagonal += cy; }
+          
+          if (diagonal === 0) continue;
+          
+          const residual = sum - diagonal * lambda[cell] - divergence[cell];
+          lambda[cell] += omega * residual / diagonal;
+          maxResidual = Math.max(maxResidual, Math.abs(residual));
+        }
+      }
+    }
+    
+    if (maxResidual <= initialResidual * tolerance) break;
+  }
+  
+  // Correct the face velocities: u = u₀ − M ∇λ (walls stay closed)
+  const lambdaAt = (i, j, k) => {
+    if (i < 0 || i >= nx || k < 0 || k >= nz || j >= ny) return null;   // Open boundary
+    return lambda[i + nx * (k + nz * j)];
+  };
+  const correct = (faces, index, a, b, coefficient, spacing) => {
+    // a/b: [i, j, k] of the cells either side of the face
+    const aOpen = a[1] >= 0 && (lambdaAt(...a) === null || isOpen(...a));
+    const bOpen = b[1] >= 0 && (lambdaAt(...b) === null || isOpen(...b));
+    if (!aOpen || !bOpen) {
+      faces[index] = 0;
+      return;
+    }
+    let la = lambdaAt(...a);
+    let lb = lambdaAt(...b);
+    if (la === null) la = -lb;
+    if (lb === null) lb = -la;
+    faces[index] -= coefficient * (lb - la) / spacing;
+  };
+  
+  for (let j = 0; j < ny; j++) {
+    for (let k = 0; k < nz; k++) {
+      for (let i = 0; i <= nx; i++) {
+        correct(u, uIndex(i, j, k), [i - 1, j, k], [i, j, k], 1, dx);
+      }
+    }
+  }
+  for (let j = 0; j <= ny; j++) {
+    for (let k = 0; k < nz; k++) {
+      for (let i = 0; i < nx; i++) {
+        if (j === 0) {
+          w[wIndex(i, j, k)] = 0;   // Sea-level floor
+          continue;
+        }
+        correct(w, wIndex(i, j, k), [i, j - 1, k], [i, j, k], verticalAdjustment, dy);
+      }
+    }
+  }
+  for (let j = 0; j < ny; j++) {
+    for (let k = 0; k <= nz; k++) {
+      for (let i = 0; i < nx; i++) {
+        correct(v, vIndex(i, j, k), [i, j, k - 1], [i, j, k], 1, dz);
+      }
+    }
+  }
+  
+  // Average faces to cell centres
+  const vx = new Float32Array(cellCount);
+  const vy = new Float32Array(cellCount);
+  const vz = new Float32Array(cellCount);
+  for (let j = 0; j < ny; j++) {
+    for (let k = 0; k < nz; k++) {
+      for (let i = 0; i < nx; i++) {
+        const cell = i + nx * (k + nz * j);
+        if (solid[cell]) continue;
+        vx[cell] = (u[uIndex(i, j, k)] + u[uIndex(i + 1, j, k)]) / 2;
+        vy[cell] = (w[wIndex(i, j, k)] + w[wIndex(i, j + 1, k)]) / 2;
+        vz[cell] = (v[vIndex(i, j, k)] + v[vIndex(i, j, k + 1)]) / 2;
+      }
+    }
+  }
+  
+  // Underground cells copy the first open cell above, so sampling just
+  // above the ground isn't dragged toward zero by the terrain interior
+  for (let c = 0; c < layer; c++) {
+    let j = 0;
+    while (j < ny && solid[c + layer * j]) j++;
+    if (j === ny) continue;
+    for (let below = 0; below < j; below++) {
+      vx[c + layer * below] = vx[c + layer * j];
+      vz[c + layer * below] = vz[c + layer * j];
+    }
+  }
+  
+  return { nx, ny, nz, dx, dy, dz, vx, vy, vz, iterations };
+}
+
+/**
+ * Combine the unit-wind solutions for a prevailing wind (windX, windZ)
+ */
+function combine({ east, south }, windX, windZ, reuse) {
+  const cellCount = east.vx.length;
+  const out = reuse || {
+    nx: east.nx, ny: east.ny, nz: east.nz,
+    dx: east.dx, dy: east.dy, dz: east.dz,
+    vx: new Float32Array(cellCount),
+    vy: new Float32Array(cellCount),
+    vz: new Float32Array(cellCount)
+  };
+  
+  for (let c = 0; c < cellCount; c++) {
+    out.vx[c] = windX * east.vx[c] + windZ * south.vx[c];
+    out.vy[c] = windX * east.vy[c] + windZ * south.vy[c];
+    out.vz[c] = windX * east.vz[c] + windZ * south.vz[c];
+  }
+  return out;
+}
+
+/**
+ * Wind shear with height above ground (same profile the slider wind always used)
+ */
+function windProfile(agl) {
+  return 0.5 + (Math.log(Math.max(1, agl + 1)) / Math.log(10)) * 0.7;
+}
@@ -0,0 +1,114 @@
+/**
+ * zones.js - Rasterised zone lookup
+ *
+ * Burns polygon zones (counties, air districts, census tracts...) into a
+ * grid over the map once, so "which zone is this particle in?" is an array
+ * index instead of point-in-polygon against every outline. No THREE or DOM
+ * dependencies; regions.js keeps the county raster, other zone systems build
+ * their own with the same functions.
+ */
+
+import { MAP_BOUNDS } from './heightmap.js';
+
+// ============================================
+// Configuration
+// ============================================
+
+const ZONE_CONFIG = {
+  cellSize: 0.25   // World units (~250 m); zones agree with their outlines to half a cell
+};
+
+// ============================================
+// Rasterisation
+// ============================================
+
+/**
+ * Rasterise zones over the map extent (scanline fill, even-odd, so holes
+ * and multi-part zones need no special handling).
+ *
+ * @param {Array<{id: string, polygons: Array}>} zones - polygons as in
+ *   regions.js REGIONS, but in world [x, z]. Later zones paint over earlier
+ *   ones where they overlap.
+ * @param {number} [cellSize] - World units per raster cell
+ * @returns {{ids: Array, cells: Uint16Array, cols: number, rows: number, cellSize: number}}
+ *   cells holds an index into ids per cell, row-major from the north-west
+ *   corner; ids[0] is null (no zone)
+ */
+export function rasterizeZones(zones, cellSize = ZONE_CONFIG.cellSize) {
+  const cols = Math.ceil(MAP_BOUNDS.width / cellSize);
+  const rows = Math.ceil(MAP_BOUNDS.depth / cellSize);
+  const cells = new Uint16Array(cols * rows);
+  const ids = [null];
+  
+  const x0 = -MAP_BOUNDS.width / 2;
+  const z0 = -MAP_BOUNDS.depth / 2;
+  
+  zones.forEach(zone => {
+    const index = ids.push(zone.id) - 1;
+    const rings = zone.polygons.flat();
+    
+    let zMin = Infinity;
+    let zMax = -Infinity;
+    rings.forEach(ring => ring.forEach(([, z]) => {
+      zMin = Math.min(zMin, z);
+      zMax = Math.max(zMax, z);
+    }));
+    const rowStart = Math.max(0, Math.floor((zMin - z0) / cellSize));
+    const rowEnd = Math.min(rows - 1, Math.ceil((zMax - z0) / cellSize));
+    
+    const crossings = [];
+    for (let row = rowStart; row <= rowEnd; row++) {
+      // Edge crossings along the row's centre line
+      const z = z0 + (row + 0.5) * cellSize;
+      crossings.length = 0;
+      rings.forEach(ring => {
+        for (let i = 0; i < ring.length - 1; i++) {
+          const [xa, za] = ring[i];
+          const [xb, zb] = ring[i + 1];
+          if ((za > z) !== (zb > z)) {
+            crossings.push(xa + (z - za) / (zb - za) * (xb - xa));
+          }
+        }
+      });
+      crossings.sort((a, b) => a - b);
+      
+      // Fill cells whose centres lie between pairs of crossings
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const colStart = Math.max(0, Math.ceil((crossings[k] - x0) / cellSize - 0.5));
+        const colEnd = Math.min(cols - 1, Math.floor((crossings[k + 1] - x0) / cellSize - 0.5));
+        cells.fill(index, row * cols + colStart, row * cols + colEnd + 1);
+      }
+    }
+  });
+  
+  return { ids, cells, cols, rows, cellSize };
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+/**
+ * Zone index at a world position
+ * @param {Object} raster - From rasterizeZones()
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Index into raster.ids (0 outside the map or any zone)
+ */
+export function getZoneIndex(raster, x, z) {
+  const col = Math.floor((x + MAP_BOUNDS.width / 2) / raster.cellSize);
+  const row = Math.floor((z + MAP_BOUNDS.depth / 2) / raster.cellSize);
+  if (col < 0 || col >= raster.cols || row < 0 || row >= raster.rows) return 0;
+  return raster.cells[row * raster.cols + col];
+}
+
+/**
+ * Zone id at a world position
+ * @param {Object} raster - From rasterizeZones()
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {string|null}
+ */
+export function getZoneAt(raster, x, z) {
+  return raster.ids[getZoneIndex(raster, x, z)];
+}